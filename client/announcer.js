@@ -0,0 +1,41 @@
+// Screen Reader Announcements
+// The playfield is a canvas, so assistive tech can't see the words on it. Game events are
+// read out through an ARIA live region instead (see #announcer in index.html).
+
+const BATCH_MS = 150; // Events this close together are read as one message
+
+let enabled = true;
+let pending = [];
+
+export function setAnnouncements(on) {
+    enabled = on;
+    if (!on) pending = [];
+}
+
+export function announce(text) {
+    if (!enabled) return;
+    pending.push(text);
+    if (pending.length > 1) return; // Already scheduled
+
+    // Emptied first so a repeated message ("Wave 2" after a restart) is still read
+    const region = document.getElementById('announcer');
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = pending.join('. ');
+        pending = [];
+    }, BATCH_MS);
+}
+
+// Game events -> live region
+export function attachAnnouncer(game) {
+    const who = player => game.versus ? `Player ${player + 1} ` : '';
+
+    game.on('enemySpawned', enemy => announce(`New word ${enemy.word}`));
+    game.on('attackReceived', () => announce('Sent by your opponent')); // Right after its new word
+    game.on('enemyLocked', enemy => announce(`${who(enemy.lockedBy)}Locked ${enemy.word}`));
+    game.on('damageTaken', ({ health, player }) => announce(`${who(player || 0)}Hull ${health} percent`));
+    game.on('waveChanged', wave => announce(`Wave ${wave}`));
+    game.on('waveCleared', ({ wave }) => announce(`Wave ${wave} cleared`));
+    game.on('bossSpawned', () => announce('Boss incoming'));
+    game.on('gameOver', result => announce(`Game over. Score ${result.score}`));
+}
@@ -0,0 +1,157 @@
+import { stereoPan, letterSemitones, pitchRate } from '../core/index.js';
+
+// Audio Context (Synthesized Sounds)
+const AudioContext = window.AudioContext || window.webkitAudioContext;
+export const audioCtx = new AudioContext();
+
+// Buses: every effect goes through sfx, the soundtrack (music.js) through music; both into
+// master (Levels set from the settings screen), then a limiter so piled-up shots can't clip
+const masterBus = audioCtx.createGain();
+const sfxBus = audioCtx.createGain();
+export const musicBus = audioCtx.createGain();
+const limiter = audioCtx.createDynamicsCompressor();
+limiter.threshold.value = -6; // dB
+limiter.knee.value = 0;
+limiter.ratio.value = 20;
+limiter.attack.value = 0.003;
+limiter.release.value = 0.25;
+sfxBus.connect(masterBus);
+musicBus.connect(masterBus);
+masterBus.connect(limiter);
+limiter.connect(audioCtx.destination);
+
+const SHOT_BASE = 440; // Hz, the shot for A (see letterSemitones)
+
+// Sound pack: { buffer, sounds: { name: { start, duration } } } (see core/sound.js)
+let sprite = null;
+
+export function setSoundPack(pack) {
+    sprite = pack;
+}
+
+// Gains 0 to 1; ramped briefly so dragging a slider doesn't click
+export function setVolumes({ master, sfx, music }) {
+    const now = audioCtx.currentTime;
+    [[masterBus, master], [sfxBus, sfx], [musicBus, music]].forEach(([bus, value]) => {
+        bus.gain.setTargetAtTime(value, now, 0.02);
+    });
+}
+
+// Where one effect enters the mix: the sfx bus, through a panner if it's off-centre
+function channel(pan) {
+    if (!pan) return sfxBus;
+    const panner = audioCtx.createStereoPanner();
+    panner.pan.value = pan;
+    panner.connect(sfxBus);
+    return panner;
+}
+
+// The sound pack's sample for a named sound, if it has one; rate also shifts the pitch
+function playSample(name, pan, rate) {
+    const clip = sprite && sprite.sounds[name];
+    if (!clip) return false;
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    const source = audioCtx.createBufferSource();
+    source.buffer = sprite.buffer;
+    source.playbackRate.value = rate;
+    source.connect(channel(pan));
+    source.start(0, clip.start, clip.duration);
+    return true;
+}
+
+// A named effect: sample from the sound pack, or else the synthesized version
+function effect(name, synth, pan = 0, rate = 1) {
+    if (!playSample(name, pan, rate)) synth();
+}
+
+export function playTone(freq, type, duration, pan = 0) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, audioCtx.currentTime);
+
+    gain.gain.setValueAtTime(0.1, audioCtx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + duration);
+
+    osc.connect(gain);
+    gain.connect(channel(pan));
+
+    osc.start();
+    osc.stop(audioCtx.currentTime + duration);
+}
+
+// Advanced Audio (War FX)
+function createNoiseBuffer() {
+    const bufferSize = audioCtx.sampleRate * 2;
+    const buffer = audioCtx.createBuffer(1, bufferSize, audioCtx.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < bufferSize; i++) {
+        data[i] = Math.random() * 2 - 1;
+    }
+    return buffer;
+}
+export const noiseBuffer = createNoiseBuffer();
+
+export function sfxWarExplosion(pan = 0) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    const noise = audioCtx.createBufferSource();
+    noise.buffer = noiseBuffer;
+
+    const noiseFilter = audioCtx.createBiquadFilter();
+    noiseFilter.type = 'lowpass';
+    noiseFilter.frequency.value = 1000;
+    noiseFilter.frequency.exponentialRampToValueAtTime(100, audioCtx.currentTime + 0.5);
+
+    const gain = audioCtx.createGain();
+    gain.gain.setValueAtTime(2.0, audioCtx.currentTime);
+    gain.gain.exponentialRampToValueAtTime(0.01, audioCtx.currentTime + 0.5);
+
+    noise.connect(noiseFilter);
+    noiseFilter.connect(gain);
+    gain.connect(channel(pan));
+
+    noise.start();
+}
+
+// Shots play the typed letter's note, so a word is a melody
+export function sfxShoot(letter, pan = 0) {
+    const rate = pitchRate(letterSemitones(letter));
+    effect('shoot', () => playTone(SHOT_BASE * rate, 'square', 0.1, pan), pan, rate);
+}
+export function sfxLock(pan = 0) { effect('lock', () => playTone(1200, 'sine', 0.1, pan), pan); }
+export function sfxError() { effect('error', () => playTone(150, 'sawtooth', 0.2)); }
+export function sfxReward() {
+    effect('reward', () => {
+        playTone(600, 'sine', 0.1);
+        setTimeout(() => playTone(800, 'sine', 0.2), 100);
+    });
+}
+
+// Game events -> sound effects (Panned to where on the field they happen)
+export function attachAudio(game) {
+    const pan = x => stereoPan(x, game.field.width);
+
+    game.on('enemyLocked', enemy => sfxLock(pan(enemy.x)));
+    game.on('shotFired', ({ target }) => sfxShoot(target.word[target.matchedIndex - 1], pan(target.x)));
+    game.on('keyMissed', () => sfxError());
+    game.on('targetReleased', ({ reason }) => {
+        if (reason === 'manual') effect('release', () => playTone(300, 'square', 0.08)); // Strict errors already buzz
+    });
+    game.on('enemyDestroyed', ({ enemy }) => effect('explosion', () => sfxWarExplosion(pan(enemy.x)), pan(enemy.x)));
+    game.on('armorBroken', enemy => effect('armor', () => playTone(150, 'sawtooth', 0.15, pan(enemy.x)), pan(enemy.x))); // Plating cracks
+    game.on('powerUpCollected', () => {
+        effect('powerup', () => {
+            playTone(660, 'sine', 0.1);
+            setTimeout(() => playTone(990, 'sine', 0.15), 80);
+        });
+    });
+    game.on('powerUpUsed', type => {
+        if (type === 'shield') effect('shield', () => playTone(220, 'triangle', 0.25)); // Hit deflected
+    });
+    game.on('bossSpawned', () => effect('boss', () => playTone(110, 'sawtooth', 0.8))); // Klaxon
+    game.on('bossFired', missile => effect('bossFire', () => playTone(600, 'triangle', 0.1, pan(missile.x)), pan(missile.x)));
+    game.on('bossDamaged', () => effect('bossHit', () => playTone(90, 'square', 0.3)));
+    game.on('damageTaken', () => effect('damage', () => playTone(150, 'sawtooth', 0.2))); // Glitch sound
+}
@@ -0,0 +1,73 @@
+// Camera (Screen shake and zoom kicks; no DOM, so it is tested headless like the core)
+// Stepped with the simulation ticks and read once per drawn frame. Shake jitters the view by
+// up to its intensity in pixels while it lasts; a zoom kick jumps the view in (or out, for a
+// negative amount) and eases back to 1 over its ticks. Zoom is about the canvas centre.
+
+export class Camera {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.shakeTicks = 0;
+        this.shakeIntensity = 0;
+        this.zoom = 1;
+        this.prevZoom = 1;
+        this.kickAmount = 0;
+        this.kickTicks = 0;
+        this.kickAge = 0;
+        this.offset = [0, 0]; // Shake the last view picked, for the background (which doesn't zoom)
+    }
+
+    // The latest shake replaces the one in progress
+    shake(ticks, intensity) {
+        this.shakeTicks = ticks;
+        this.shakeIntensity = intensity;
+    }
+
+    kick(amount, ticks) {
+        this.kickAmount = amount;
+        this.kickTicks = ticks;
+        this.kickAge = 0;
+    }
+
+    update() {
+        if (this.shakeTicks > 0) {
+            this.shakeTicks--;
+        } else {
+            this.shakeIntensity = 0;
+        }
+
+        this.prevZoom = this.zoom;
+        if (this.kickAge < this.kickTicks) {
+            this.kickAge++;
+            const left = 1 - this.kickAge / this.kickTicks;
+            this.zoom = 1 + this.kickAmount * left * left; // Eases out
+        } else {
+            this.zoom = 1;
+        }
+    }
+
+    // [scaleX, scaleY, offsetX, offsetY] taking playfield coordinates to canvas pixels for this
+    // frame. The field keeps its shape: one scale for both axes, fitted and centred, with the
+    // spare width or height left to the background. random picks the shake offset; it is per
+    // frame, so not a run's seeded RNG (that would tie the other effects to the frame rate)
+    view(width, height, field, alpha = 1, random = Math.random) {
+        const zoom = this.prevZoom + (this.zoom - this.prevZoom) * alpha;
+        const fit = Math.min(width / field.width, height / field.height);
+        const left = (width - field.width * fit) / 2;
+        const top = (height - field.height * fit) / 2;
+        const view = [
+            fit * zoom,
+            fit * zoom,
+            (width / 2) * (1 - zoom) + left * zoom,
+            (height / 2) * (1 - zoom) + top * zoom
+        ];
+        this.offset = this.shakeIntensity > 0
+            ? [(random() - 0.5) * this.shakeIntensity, (random() - 0.5) * this.shakeIntensity]
+            : [0, 0];
+        view[2] += this.offset[0];
+        view[3] += this.offset[1];
+        return view;
+    }
+}
@@ -0,0 +1,53 @@
+import { Pool, sweep } from '../core/index.js';
+import { Particle, Shockwave, TextExplosion, SpriteExplosion } from './renderer.js';
+
+// Effect System (Particles and effects on the playfield, pooled; cosmetic only, the core
+// never sees them)
+
+const EFFECT_TYPES = [Particle, Shockwave, TextExplosion, SpriteExplosion];
+
+export class EffectSystem {
+    constructor() {
+        this.particles = [];
+        this.effects = []; // Shockwaves, letter debris, sprite explosions
+        this.pools = new Map(EFFECT_TYPES.map(Type => [Type, new Pool(Type)]));
+    }
+
+    // A pooled instance of Type, set up with args and drawn from now on
+    spawn(Type, ...args) {
+        const item = this.pools.get(Type).acquire(...args);
+        (Type === Particle ? this.particles : this.effects).push(item);
+        return item;
+    }
+
+    release(item) {
+        this.pools.get(item.constructor).release(item);
+    }
+
+    // New run: everything back to the pools
+    clear() {
+        sweep(this.particles, () => true, item => this.release(item));
+        sweep(this.effects, () => true, item => this.release(item));
+    }
+
+    update() {
+        this.particles.forEach(p => p.update());
+        this.effects.forEach(e => e.update());
+        sweep(this.particles, p => p.life <= 0, item => this.release(item));
+        sweep(this.effects, e => e.isDead(), item => this.release(item));
+    }
+
+    // except: a type another backend draws (WebGL takes the sprite explosions)
+    drawEffects(ctx, alpha = 1, except = null) {
+        this.effects.forEach(e => {
+            if (!(except && e instanceof except)) e.draw(ctx, alpha);
+        });
+    }
+
+    // Idle instances waiting in the pools (profiler)
+    get pooled() {
+        let total = 0;
+        this.pools.forEach(pool => total += pool.size);
+        return total;
+    }
+}
@@ -0,0 +1,68 @@
+import { runRecord, sortRuns, historyToJSON, historyToCSV, importHistory, mergeHistory } from '../core/index.js';
+
+// Run History (Stored in IndexedDB, one record per finished live run)
+
+const DB_NAME = 'neonType';
+const STORE = 'runs';
+
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Runs fn against the store; resolves with the request's result once the transaction commits
+function withStore(mode, fn) {
+    return openDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+    }));
+}
+
+function download(text, type, fileName) {
+    const blob = new Blob([text], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+export const RunHistory = {
+    add(result) {
+        return withStore('readwrite', store => store.add(runRecord(result)));
+    },
+
+    // All runs, oldest first
+    all() {
+        return withStore('readonly', store => store.getAll()).then(sortRuns);
+    },
+
+    export(format) {
+        return this.all().then(runs => {
+            const stamp = new Date().toISOString().slice(0, 10);
+            if (format === 'csv') download(historyToCSV(runs), 'text/csv', `neontype-history-${stamp}.csv`);
+            else download(historyToJSON(runs), 'application/json', `neontype-history-${stamp}.json`);
+        });
+    },
+
+    // Resolves with { added, errors }; runs already in the history are skipped
+    importFile(file) {
+        return Promise.all([file.text(), this.all()]).then(([text, existing]) => {
+            const { runs, errors } = importHistory(text, file.name);
+            const fresh = mergeHistory(existing, runs);
+            return withStore('readwrite', store => fresh.forEach(run => store.add(run)))
+                .then(() => ({ added: fresh.length, errors }));
+        });
+    }
+};
@@ -0,0 +1,350 @@
+import { sfxReward } from './audio.js';
+import { TICK_RATE, SLOW_TICKS } from '../core/index.js';
+import { POWER_UP_STYLE } from './renderer.js';
+
+// HUD & Mission Report (DOM side of the game)
+
+export function updateUI(game) {
+    document.getElementById('score-display').innerText = game.score; // Combined in versus
+    document.getElementById('wave-display').innerText = game.wave;
+
+    const multiplier = document.getElementById('multiplier-display');
+    multiplier.innerText = 'x' + game.multiplier;
+    multiplier.classList.toggle('boost', game.multiplier > 1);
+    document.getElementById('multiplier-box').classList.toggle('hidden', game.versus); // One per player below
+
+    document.getElementById('hull-panel').classList.toggle('hidden', game.versus);
+    document.getElementById('versus-hud').classList.toggle('hidden', !game.versus);
+    if (game.versus) {
+        updateVersusHUD(game);
+        return;
+    }
+
+    colorHull(document.getElementById('health-bar-fill'), game.health);
+}
+
+// Versus: each player's score, multiplier and hull
+function updateVersusHUD(game) {
+    game.pilots.forEach(pilot => {
+        document.getElementById('versus-score-' + pilot.index).innerText = pilot.score;
+        const multiplier = document.getElementById('versus-multiplier-' + pilot.index);
+        multiplier.innerText = 'x' + pilot.multiplier;
+        multiplier.classList.toggle('boost', pilot.multiplier > 1);
+        colorHull(document.getElementById('versus-hull-' + pilot.index), pilot.health);
+    });
+}
+
+function colorHull(bar, health) {
+    bar.style.width = health + '%';
+
+    // Dynamic Health Color
+    if (health < 30) {
+        bar.style.background = 'linear-gradient(90deg, #ff0044, #ff3333)';
+        bar.style.boxShadow = '0 0 15px rgba(255, 50, 50, 0.5)';
+    } else if (health < 60) {
+        bar.style.background = 'linear-gradient(90deg, #b8860b, #ffcc00)';
+        bar.style.boxShadow = '0 0 15px rgba(255, 204, 0, 0.5)';
+    } else {
+        bar.style.background = 'linear-gradient(90deg, #3aa381, #4ce0b3)';
+        bar.style.boxShadow = '0 0 15px rgba(76, 224, 179, 0.4)';
+    }
+}
+
+export function updateBossBar(boss) {
+    const bar = document.getElementById('boss-bar');
+    bar.classList.toggle('hidden', !boss);
+    if (!boss) return;
+
+    document.getElementById('boss-bar-fill').style.width = (boss.health * 100) + '%';
+    document.getElementById('boss-segments').innerText = `${boss.segments.length - boss.segment}/${boss.segments.length}`;
+}
+
+let shownPowerUps = null; // What the tray last showed
+
+// Active power-ups; called every tick so the SLOW timer runs down, but only writes when what
+// it shows has changed
+export function updatePowerUps(game) {
+    const shown = game.versus
+        ? game.pilots.map(({ powerUps }) => versusPowerUps(powerUps)).join('\n')
+        : [Math.ceil(game.powerUps.slow / SLOW_TICKS * 100), game.powerUps.shield, game.powerUps.multishot].join();
+    if (shown === shownPowerUps) return;
+    shownPowerUps = shown;
+
+    document.getElementById('powerup-tray').classList.toggle('hidden', game.versus);
+    if (game.versus) {
+        // Versus: a line of text under each hull instead of the tray
+        game.pilots.forEach(({ index, powerUps }) => {
+            document.getElementById('versus-powerups-' + index).innerText = versusPowerUps(powerUps);
+        });
+        return;
+    }
+
+    const { slow, shield, multishot } = game.powerUps;
+
+    document.getElementById('powerup-slow').classList.toggle('hidden', slow === 0);
+    if (slow > 0) document.getElementById('powerup-slow-fill').style.width = Math.ceil(slow / SLOW_TICKS * 100) + '%';
+
+    document.getElementById('powerup-shield').classList.toggle('hidden', shield === 0);
+    document.getElementById('powerup-shield-count').innerText = shield > 1 ? 'x' + shield : '';
+
+    document.getElementById('powerup-multishot').classList.toggle('hidden', multishot === 0);
+    document.getElementById('powerup-multishot-count').innerText = multishot > 1 ? 'x' + multishot : '';
+}
+
+function versusPowerUps(powerUps) {
+    const active = [];
+    if (powerUps.slow > 0) active.push(`SLOW ${Math.ceil(powerUps.slow / TICK_RATE)}s`);
+    if (powerUps.shield > 0) active.push(`SHIELD x${powerUps.shield}`);
+    if (powerUps.multishot > 0) active.push(`MULTISHOT x${powerUps.multishot}`);
+    return active.join(' // ');
+}
+
+export function showReward(text) {
+    const el = document.getElementById('reward-message');
+    el.innerText = text;
+    el.classList.remove('active');
+    void el.offsetWidth; // Trigger reflow
+    el.classList.add('active');
+    sfxReward();
+}
+
+// Game events -> HUD
+export function attachHUD(game) {
+    const refresh = () => updateUI(game);
+    game.on('enemyDestroyed', refresh);
+    game.on('damageTaken', refresh);
+    game.on('multiplierChanged', refresh);
+    game.on('waveChanged', wave => {
+        showIntermission(null);
+        showReward(`WAVE ${wave}`);
+        refresh();
+    });
+    game.on('waveCleared', summary => {
+        showIntermission(summary);
+        sfxReward();
+        refresh();
+    });
+    showIntermission(null); // Hide an overlay left over from the last run
+
+    game.on('powerUpCollected', ({ type }) => {
+        showReward(`${POWER_UP_STYLE[type].label} ONLINE`);
+        updatePowerUps(game);
+    });
+    game.on('powerUpUsed', () => updatePowerUps(game));
+    updatePowerUps(game);
+
+    // Boss Fight
+    const refreshBoss = () => updateBossBar(game.boss);
+    game.on('bossSpawned', () => {
+        showReward('WARNING: MOTHERSHIP INBOUND');
+        refreshBoss();
+    });
+    game.on('shotFired', p => {
+        if (p.target === game.boss) refreshBoss();
+    });
+    game.on('bossDamaged', refreshBoss);
+    game.on('bossDefeated', ({ points }) => {
+        showReward(`MOTHERSHIP DESTROYED +${points}`);
+        refreshBoss();
+        refresh();
+    });
+    refreshBoss(); // Hide a bar left over from the last run
+
+    // Online Race
+    game.on('attackSent', ({ word }) => showReward(`ATTACK SENT: ${word}`));
+    game.on('attackReceived', () => showReward('INCOMING ATTACK'));
+}
+
+// Online race: the opponent's progress ({ name, score, health, wave, word, typed, over }), or null to hide
+export function showOpponent(opponent) {
+    const panel = document.getElementById('opponent-hud');
+    panel.classList.toggle('hidden', !opponent);
+    if (!opponent) return;
+
+    document.getElementById('opponent-name').innerText = opponent.name;
+    document.getElementById('opponent-score').innerText = opponent.score;
+    document.getElementById('opponent-wave').innerText = 'W' + opponent.wave;
+    colorHull(document.getElementById('opponent-hull'), opponent.over ? 0 : opponent.health);
+
+    // The word they're on, typed part highlighted
+    document.getElementById('opponent-typed').innerText = opponent.over ? 'DOWN' : opponent.word.slice(0, opponent.typed);
+    document.getElementById('opponent-rest').innerText = opponent.over ? '' : opponent.word.slice(opponent.typed);
+}
+
+// Between waves: per-wave stats (summary from the core's waveCleared event), or null to hide
+export function showIntermission(summary) {
+    const overlay = document.getElementById('intermission');
+    overlay.classList.toggle('hidden', !summary);
+    if (!summary) return;
+
+    document.getElementById('intermission-wave').innerText = summary.wave;
+    document.getElementById('wave-kills').innerText = summary.kills;
+    document.getElementById('wave-breaches').innerText = summary.breaches;
+    document.getElementById('wave-accuracy').innerText = summary.accuracy + '%';
+    document.getElementById('wave-points').innerText = '+' + summary.points;
+    document.getElementById('wave-time').innerText = (summary.ticks / TICK_RATE).toFixed(1) + 's';
+}
+
+// newRecord: text for the new-record message, or null when the run isn't a record
+export function showMissionReport(result, newRecord) {
+    const newRecordMsg = document.getElementById('new-record-msg');
+    const replayStatus = document.getElementById('replay-status');
+
+    document.getElementById('summary-score').innerText = result.score;
+    document.getElementById('summary-wave').innerText = result.wave;
+    document.getElementById('summary-accuracy').innerText = result.accuracy + '%';
+    document.getElementById('summary-streak').innerText = result.maxStreak;
+    document.getElementById('summary-rules').innerText =
+        [result.players ? 'versus' : null, result.difficulty, result.mode, result.strictness]
+            .filter(Boolean).join(' / ').toUpperCase();
+
+    newRecordMsg.innerText = newRecord || '';
+    newRecordMsg.classList.toggle('hidden', !newRecord);
+
+    // Where the points came from
+    const scoring = result.scoring;
+    document.getElementById('breakdown-base').innerText = scoring.base;
+    document.getElementById('breakdown-perfect-words').innerText = scoring.perfectWords;
+    ['perfect', 'speed', 'danger', 'multiplier'].forEach(key => {
+        document.getElementById('breakdown-' + key).innerText = '+' + scoring[key];
+    });
+
+    // Versus: who won and each player's side of it, in place of the solo breakdown and graph
+    const versus = !!result.players;
+    document.getElementById('versus-report').classList.toggle('hidden', !versus);
+    document.getElementById('report-details').classList.toggle('hidden', versus);
+    document.getElementById('report-graph').classList.toggle('hidden', versus);
+    if (versus) showVersusReport(result);
+
+    showTypingAnalysis(result.analytics);
+
+    // A replay never counts towards the high score; it only verifies the recorded run
+    if (result.verified === null) {
+        replayStatus.classList.add('hidden');
+    } else {
+        replayStatus.innerText = result.verified
+            ? 'REPLAY VERIFIED'
+            : `REPLAY MISMATCH (RECORDED ${result.replay.score})`;
+        replayStatus.classList.toggle('mismatch', !result.verified);
+        replayStatus.classList.remove('hidden');
+    }
+
+    // Graph
+    drawGraph(result.scoreHistory);
+
+    document.getElementById('game-over-screen').classList.add('active');
+}
+
+function showVersusReport(result) {
+    document.getElementById('versus-winner').innerText = result.winner === null
+        ? 'DRAW'
+        : `P${result.winner + 1} WINS BY ${Math.abs(result.players[0].score - result.players[1].score)}`;
+
+    result.players.forEach((player, i) => {
+        const column = document.getElementById('versus-result-' + i);
+        column.innerHTML = '';
+        const title = document.createElement('p');
+        title.className = 'label';
+        title.innerText = i === 0 ? 'P1 // LEFT HAND' : 'P2 // RIGHT HAND';
+        column.appendChild(title);
+
+        [
+            ['SCORE', player.score],
+            ['HULL', player.health + '%'],
+            ['ACCURACY', player.accuracy + '%'],
+            ['BEST STREAK', player.maxStreak],
+            ['WPM', player.analytics.wpm],
+            ['PERFECT WORDS', player.scoring.perfectWords],
+            [`STEALS (${player.steals})`, '+' + player.stealPoints]
+        ].forEach(([label, value]) => {
+            const row = document.createElement('div');
+            row.className = 'breakdown-row';
+            [label, value].forEach(text => {
+                const cell = document.createElement('span');
+                cell.innerText = text;
+                row.appendChild(cell);
+            });
+            column.appendChild(row);
+        });
+    });
+}
+
+// Keyboard heatmap rows; keys nobody asked for stay dark
+const KEY_ROWS = ['QWERTYUIOP', 'ASDFGHJKL', 'ZXCVBNM'];
+
+function showTypingAnalysis(analytics) {
+    document.getElementById('analysis-wpm').innerText = analytics.wpm;
+    document.getElementById('analysis-raw-net').innerText = `${analytics.rawWpm} / ${analytics.netWpm}`;
+
+    const heatmap = document.getElementById('key-heatmap');
+    heatmap.innerHTML = '';
+    KEY_ROWS.forEach(row => {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'key-row';
+        row.split('').forEach(key => {
+            const cell = document.createElement('div');
+            cell.className = 'key-cell';
+            cell.innerText = key;
+            const stats = analytics.keys[key];
+            if (stats) {
+                // Green when clean, red when every press missed
+                const hue = Math.round(160 * (1 - stats.errorRate));
+                cell.classList.add('used');
+                cell.style.background = `hsl(${hue}, 80%, 55%)`;
+                cell.title = `${stats.errors}/${stats.presses} missed`;
+            }
+            rowEl.appendChild(cell);
+        });
+        heatmap.appendChild(rowEl);
+    });
+
+    const fillList = (id, items, format) => {
+        const list = document.getElementById(id);
+        list.innerHTML = '';
+        if (items.length === 0) items = [null];
+        items.forEach(item => {
+            const li = document.createElement('li');
+            li.innerText = item ? format(item) : '--';
+            list.appendChild(li);
+        });
+    };
+    const show = char => char === ' ' ? 'SPACE' : char;
+    fillList('analysis-confusions', analytics.confusions, c => `${show(c.intended)} → ${show(c.typed)} ×${c.count}`);
+    fillList('analysis-bigrams', analytics.slowBigrams, b => `${b.bigram.replace(' ', '␣')} ${b.avgMs}ms`);
+}
+
+export function drawGraph(data, canvasId = 'perf-graph', color = '#ff5e00') {
+    const c = document.getElementById(canvasId);
+    const cc = c.getContext('2d');
+    // Fit canvas to container
+    c.width = c.clientWidth;
+    c.height = c.clientHeight;
+
+    if (data.length < 2) return;
+
+    const pad = 10;
+    const gw = c.width - pad * 2;
+    const gh = c.height - pad * 2;
+    const maxVal = Math.max(...data, 100);
+
+    cc.clearRect(0, 0, c.width, c.height);
+    cc.strokeStyle = color;
+    cc.lineWidth = 2;
+    cc.beginPath();
+
+    data.forEach((val, i) => {
+        const x = pad + (i / (data.length - 1)) * gw;
+        const y = c.height - pad - (val / maxVal) * gh;
+        if (i === 0) cc.moveTo(x, y);
+        else cc.lineTo(x, y);
+    });
+    cc.stroke();
+
+    // Gradient fill
+    cc.lineTo(c.width - pad, c.height - pad);
+    cc.lineTo(pad, c.height - pad);
+    cc.globalAlpha = 0.2;
+    cc.fillStyle = color;
+    cc.fill();
+    cc.globalAlpha = 1;
+}
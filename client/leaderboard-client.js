@@ -0,0 +1,41 @@
+// Online Leaderboard Client
+// Talks to a leaderboard server over HTTP (see server/leaderboard-server.js for the reference
+// one). No DOM access, so it runs under Node too; pass a fetch implementation to swap transports.
+
+export class LeaderboardClient {
+    constructor(endpoint, fetchImpl = (...args) => fetch(...args)) {
+        this.endpoint = endpoint.replace(/\/+$/, '');
+        this.fetch = fetchImpl;
+    }
+
+    // Sends a finished run with its replay so the server can re-simulate it.
+    // Resolves with { id, rank, score }; rejects with the server's reason.
+    submit(name, result) {
+        return this.request('/scores', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name, replay: result.replay })
+        });
+    }
+
+    // Resolves with [{ rank, id, name, score, wave, difficulty, mode, strictness, accuracy, date }]
+    rankings({ difficulty = null, mode = null, limit = 10 } = {}) {
+        const params = new URLSearchParams({ limit: String(limit) });
+        if (difficulty) params.set('difficulty', difficulty);
+        if (mode) params.set('mode', mode);
+        return this.request('/scores?' + params).then(data => data.scores);
+    }
+
+    replay(id) {
+        return this.request(`/scores/${id}/replay`);
+    }
+
+    request(path, options = {}) {
+        return this.fetch(this.endpoint + path, options).then(res => res.json()
+            .catch(() => ({}))
+            .then(data => {
+                if (!res.ok) throw new Error(data.error || `Leaderboard error ${res.status}`);
+                return data;
+            }));
+    }
+}
@@ -0,0 +1,159 @@
+import { Sequencer, musicMood, stepDuration } from '../core/index.js';
+import { audioCtx, musicBus, noiseBuffer } from './audio.js';
+
+// Soundtrack (Plays core/music.js's sequence on Web Audio)
+// A timer schedules the notes a little ahead on the audio clock, so they land on time even
+// when the page's timers jitter. Everything runs through a duck stage into the music bus.
+
+const LOOKAHEAD = 0.12; // Seconds scheduled in advance
+const TIMER_MS = 25;
+const DUCK_LEVEL = 0.25; // Paused: quieter and muffled
+const DUCK_CUTOFF = 700; // Hz
+const FADE_OUT = 2.5; // Seconds after game over
+
+const duckGain = audioCtx.createGain();
+const duckFilter = audioCtx.createBiquadFilter();
+duckFilter.type = 'lowpass';
+duckFilter.frequency.value = 20000;
+duckGain.connect(duckFilter);
+duckFilter.connect(musicBus);
+
+let timer = null;
+let sequencer = null;
+let game = null;
+let nextTime = 0;
+let stopTimeout = null;
+
+function frequency(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// One oscillator with an attack/release envelope, optionally through a lowpass
+function tone(type, freq, time, length, level, cutoff = 0, attack = 0.005) {
+    const osc = audioCtx.createOscillator();
+    const gain = audioCtx.createGain();
+    osc.type = type;
+    osc.frequency.setValueAtTime(freq, time);
+    gain.gain.setValueAtTime(0.0001, time);
+    gain.gain.exponentialRampToValueAtTime(level, time + attack);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+
+    if (cutoff) {
+        const filter = audioCtx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(cutoff, time);
+        osc.connect(filter);
+        filter.connect(gain);
+    } else {
+        osc.connect(gain);
+    }
+    gain.connect(duckGain);
+    osc.start(time);
+    osc.stop(time + length + 0.05);
+    return osc;
+}
+
+// A slice of the shared noise buffer through a filter
+function noise(time, length, level, filterType, cutoff) {
+    const source = audioCtx.createBufferSource();
+    source.buffer = noiseBuffer;
+    const filter = audioCtx.createBiquadFilter();
+    filter.type = filterType;
+    filter.frequency.setValueAtTime(cutoff, time);
+    const gain = audioCtx.createGain();
+    gain.gain.setValueAtTime(level, time);
+    gain.gain.exponentialRampToValueAtTime(0.0001, time + length);
+
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(duckGain);
+    source.start(time);
+    source.stop(time + length);
+}
+
+// Synthwave voices
+const VOICES = {
+    kick(n, time) {
+        const osc = tone('sine', 150, time, 0.35, n.velocity * 0.5);
+        osc.frequency.exponentialRampToValueAtTime(40, time + 0.12); // Pitch drop
+    },
+    snare(n, time) {
+        noise(time, 0.18, n.velocity * 0.25, 'highpass', 1200);
+        tone('triangle', 180, time, 0.1, n.velocity * 0.15);
+    },
+    hat(n, time) {
+        noise(time, 0.05, n.velocity * 0.12, 'highpass', 7000);
+    },
+    bass(n, time, step) {
+        tone('sawtooth', frequency(n.note), time, n.steps * step * 0.9, n.velocity * 0.18, 500);
+    },
+    arp(n, time, step) {
+        tone('square', frequency(n.note), time, n.steps * step * 0.8, n.velocity * 0.06, 3000);
+    },
+    pad(n, time, step) {
+        // Two detuned saws for width
+        [-6, 6].forEach(cents => {
+            const osc = tone('sawtooth', frequency(n.note), time, n.steps * step, n.velocity * 0.04, 1400, 0.4);
+            osc.detune.setValueAtTime(cents, time);
+        });
+    }
+};
+
+// What the music follows; the weakest hull counts in versus
+function mood() {
+    return musicMood({
+        wave: game.wave,
+        health: Math.min(...game.pilots.map(p => p.health)),
+        enemies: game.enemies.length,
+        boss: game.boss
+    });
+}
+
+function schedule() {
+    // A background tab throttles the timer; skip what was missed rather than play it in a burst
+    if (nextTime < audioCtx.currentTime) nextTime = audioCtx.currentTime;
+    while (nextTime < audioCtx.currentTime + LOOKAHEAD) {
+        const m = mood();
+        const step = stepDuration(m.tempo);
+        sequencer.next(m).forEach(n => VOICES[n.voice](n, nextTime, step));
+        nextTime += step;
+    }
+}
+
+function clearTimers() {
+    clearInterval(timer);
+    clearTimeout(stopTimeout);
+    timer = null;
+    stopTimeout = null;
+}
+
+// New run: a fresh sequence seeded from it (a replay sounds like the run it records)
+export function startMusic(core) {
+    if (audioCtx.state === 'suspended') audioCtx.resume();
+    clearTimers();
+    game = core;
+    sequencer = new Sequencer(core.seed);
+    const now = audioCtx.currentTime;
+    duckGain.gain.cancelScheduledValues(now);
+    duckGain.gain.setValueAtTime(1, now);
+    duckFilter.frequency.setTargetAtTime(20000, now, 0.05);
+    nextTime = now + 0.05;
+    timer = setInterval(schedule, TIMER_MS);
+    core.on('gameOver', () => fadeOutMusic());
+}
+
+// Paused: keep the groove going underneath the pause screen
+export function duckMusic(ducked) {
+    if (!timer) return;
+    const now = audioCtx.currentTime;
+    duckGain.gain.setTargetAtTime(ducked ? DUCK_LEVEL : 1, now, 0.1);
+    duckFilter.frequency.setTargetAtTime(ducked ? DUCK_CUTOFF : 20000, now, 0.1);
+}
+
+export function fadeOutMusic() {
+    if (!timer) return;
+    const now = audioCtx.currentTime;
+    duckGain.gain.setTargetAtTime(0.0001, now, FADE_OUT / 4);
+    clearTimeout(stopTimeout);
+    stopTimeout = setTimeout(clearTimers, FADE_OUT * 1000);
+}
@@ -0,0 +1,71 @@
+import { LeaderboardClient } from './leaderboard-client.js';
+
+// Online Leaderboard (Optional; endpoint set on the service record screen, stored in localStorage)
+
+const ENDPOINT_KEY = 'neonTypeOnlineURL';
+
+export const Online = {
+    client: null,
+
+    configure(endpoint) {
+        endpoint = endpoint.trim();
+        if (endpoint) localStorage.setItem(ENDPOINT_KEY, endpoint);
+        else localStorage.removeItem(ENDPOINT_KEY);
+        this.client = endpoint ? new LeaderboardClient(endpoint) : null;
+    },
+
+    // Live runs only: the server re-simulates the replay before it counts
+    submit(name, result) {
+        const status = document.getElementById('online-status');
+        if (!this.client) {
+            status.classList.add('hidden');
+            return;
+        }
+
+        status.innerText = 'UPLOADING TO ONLINE LEADERBOARD...';
+        status.classList.remove('mismatch', 'hidden');
+        this.client.submit(name, result)
+            .then(({ rank }) => status.innerText = `ONLINE RANK #${rank} ON ${result.difficulty.toUpperCase()}`)
+            .catch(err => {
+                status.innerText = `ONLINE: ${err.message.toUpperCase()}`;
+                status.classList.add('mismatch');
+            });
+    },
+
+    renderRankings(difficulty) {
+        const list = document.getElementById('board-online');
+        const show = items => {
+            list.innerHTML = '';
+            items.forEach(([label, score]) => {
+                const li = document.createElement('li');
+                li.className = 'breakdown-row';
+                [label, score].forEach(value => {
+                    const cell = document.createElement('span');
+                    cell.innerText = value;
+                    li.appendChild(cell);
+                });
+                list.appendChild(li);
+            });
+        };
+
+        if (!this.client) {
+            show([['NOT CONNECTED', '']]);
+            return Promise.resolve();
+        }
+        show([['LOADING...', '']]);
+        return this.client.rankings({ difficulty })
+            .then(scores => show(scores.length > 0 ? scores.map(s => [`${s.name} // ${s.mode.toUpperCase()}`, s.score]) : [['--', '']]))
+            .catch(err => show([[`OFFLINE (${err.message.toUpperCase()})`, '']]));
+    },
+
+    init(onChange) {
+        const field = document.getElementById('online-url');
+        field.value = localStorage.getItem(ENDPOINT_KEY) || '';
+        this.configure(field.value);
+
+        document.getElementById('online-connect-btn').addEventListener('click', () => {
+            this.configure(field.value);
+            onChange();
+        });
+    }
+};
@@ -0,0 +1,86 @@
+import { ScreenOverlay, SpriteExplosion, drawParticles, drawEnemyHull, drawPlayer, PILOT_GLOW } from './renderer.js';
+
+// Render Pipeline (Every frame, layer by layer in a fixed order)
+//   background  the grid, in canvas pixels; it shakes with the camera but doesn't zoom
+//   world       particles, hulls, shots and ships, through the camera
+//   effects     shockwaves, letter debris and explosions, through the camera
+//   hud         word labels, badges and the versus divider, through the camera but over
+//               every effect, so a blast never hides the next word
+//   post        scanlines and vignette (or bloom and the CRT pass) over the whole canvas
+// Sprites come from a backend: CanvasBackend below, or the WebGLRenderer (client/webgl.js),
+// whose sprites all end up under the 2D drawing of the same frame.
+
+export const LAYERS = ['background', 'world', 'effects', 'hud', 'post'];
+const CAMERA_LAYERS = ['world', 'effects', 'hud'];
+
+// The 2D renderer's draw functions, straight onto the canvas
+export class CanvasBackend {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.overlay = new ScreenOverlay();
+    }
+
+    begin() {}
+
+    drawGrid(grid, alpha = 1) {
+        grid.draw(this.ctx, alpha);
+    }
+
+    drawParticles(particles, alpha = 1) {
+        drawParticles(this.ctx, particles, alpha);
+    }
+
+    drawEnemies(enemies, alpha = 1) {
+        enemies.forEach(e => drawEnemyHull(this.ctx, e, alpha));
+    }
+
+    drawPilots(pilots, alpha = 1) {
+        pilots.forEach(pilot => drawPlayer(this.ctx, pilot.ship, alpha, PILOT_GLOW[pilot.index]));
+    }
+
+    drawExplosions(effects, alpha = 1) {
+        effects.forEach(e => {
+            if (e instanceof SpriteExplosion) e.draw(this.ctx, alpha);
+        });
+    }
+
+    present(options) {
+        this.overlay.draw(this.ctx, options);
+    }
+}
+
+export class RenderPipeline {
+    // ctx: the canvas for the 2D drawing (the backend's own, or the one laid over WebGL)
+    constructor(backend, ctx) {
+        this.backend = backend;
+        this.ctx = ctx;
+        this.layers = new Map(LAYERS.map(name => [name, []]));
+    }
+
+    // draw(ctx, frame) goes on top of what the layer already has
+    add(layer, draw) {
+        this.layers.get(layer).push(draw);
+        return this;
+    }
+
+    // frame: { core, alpha, width, height, view, shake } with view from Camera.view and shake
+    // its Camera.offset
+    render(frame) {
+        const { backend, ctx } = this;
+        const [scaleX, scaleY, offsetX, offsetY] = frame.view;
+        backend.begin(frame.width, frame.height, frame.view, frame.shake);
+        ctx.clearRect(0, 0, frame.width, frame.height);
+
+        this.layers.forEach((draws, name) => {
+            ctx.save();
+            if (name === 'background') {
+                ctx.translate(frame.shake[0], frame.shake[1]);
+            } else if (CAMERA_LAYERS.includes(name)) {
+                ctx.translate(offsetX, offsetY);
+                ctx.scale(scaleX, scaleY);
+            }
+            draws.forEach(draw => draw(ctx, frame));
+            ctx.restore();
+        });
+    }
+}
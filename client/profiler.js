@@ -0,0 +1,78 @@
+// Performance Overlay (Frame rate, frame cost and what is on screen; toggled on the settings
+// screen)
+
+const REFRESH_MS = 500; // Text updates; every frame would be unreadable
+
+// Rolling frame timing (No DOM, so tested headless)
+export class FrameMeter {
+    constructor(samples = 60) {
+        this.samples = samples;
+        this.intervals = []; // ms between frames
+        this.work = []; // ms spent in each frame
+        this.last = null;
+    }
+
+    // now: frame timestamp; workMs: time the frame took to update and draw
+    record(now, workMs) {
+        if (this.last !== null) push(this.intervals, now - this.last, this.samples);
+        push(this.work, workMs, this.samples);
+        this.last = now;
+    }
+
+    // After a pause, so the gap doesn't count as one very slow frame
+    reset() {
+        this.last = null;
+    }
+
+    get fps() {
+        const interval = average(this.intervals);
+        return interval > 0 ? 1000 / interval : 0;
+    }
+
+    get frameMs() {
+        return average(this.work);
+    }
+}
+
+function push(list, value, max) {
+    list.push(value);
+    if (list.length > max) list.shift();
+}
+
+function average(list) {
+    return list.length > 0 ? list.reduce((sum, v) => sum + v, 0) / list.length : 0;
+}
+
+export const Profiler = {
+    meter: new FrameMeter(),
+    enabled: false,
+    shownAt: 0,
+
+    setEnabled(on) {
+        this.enabled = on;
+        this.meter.reset();
+        document.getElementById('profiler').classList.toggle('hidden', !on);
+    },
+
+    // After a pause, so the gap isn't one very long frame
+    reset() {
+        this.meter.reset();
+    },
+
+    // Once per drawn frame; workMs is what the frame cost to update and draw
+    frame(now, workMs, counts) {
+        if (!this.enabled) return;
+        this.meter.record(now, workMs);
+        if (now - this.shownAt < REFRESH_MS) return;
+        this.shownAt = now;
+
+        const { fps, frameMs } = this.meter;
+        document.getElementById('profiler').innerText = [
+            `${Math.round(fps)} FPS // ${frameMs.toFixed(1)} MS`,
+            `ENEMIES ${counts.enemies} // SHOTS ${counts.projectiles}`,
+            `PARTICLES ${counts.particles} // EFFECTS ${counts.effects}`,
+            `POOLED ${counts.pooled}`,
+            `RENDERER ${counts.renderer}`
+        ].join('\n');
+    }
+};
@@ -0,0 +1,170 @@
+import {
+    createLeaderboard, addProfile, removeProfile, profileBoard, difficultyBoard, personalBest, qualifies, recordScore,
+    isValidLeaderboard
+} from '../core/index.js';
+
+// Player Profiles & Local Leaderboard (Stored in localStorage, picked on the start screen)
+
+const STORAGE_KEY = 'neonTypeLeaderboard';
+const SELECTED_KEY = 'neonTypeProfile';
+const DEFAULT_PILOT = 'PILOT';
+
+function loadBoard() {
+    try {
+        const board = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        if (isValidLeaderboard(board) && board.profiles.length > 0) return board;
+    } catch (err) {
+        // Fall through to a fresh board
+    }
+    return addProfile(createLeaderboard(), DEFAULT_PILOT).board;
+}
+
+export const Profiles = {
+    board: loadBoard(),
+    selected: localStorage.getItem(SELECTED_KEY),
+    pending: null, // { result } waiting on name entry
+
+    current() {
+        return this.board.profiles.find(p => p.id === this.selected) || this.board.profiles[0];
+    },
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.board));
+        localStorage.setItem(SELECTED_KEY, this.current().id);
+    },
+
+    select(id) {
+        this.selected = id;
+        this.save();
+        this.render();
+    },
+
+    add(name) {
+        const { board, profile, error } = addProfile(this.board, name);
+        if (error) {
+            this.setStatus(error.toUpperCase(), true);
+            return;
+        }
+        this.board = board;
+        this.setStatus('');
+        this.select(profile.id);
+    },
+
+    // The last pilot can't be removed; there is always someone to credit
+    remove() {
+        if (this.board.profiles.length <= 1) return;
+        this.board = removeProfile(this.board, this.current().id);
+        this.select(this.board.profiles[0].id);
+    },
+
+    // Message for new-record-msg, or null when the run isn't a best for this pilot and difficulty
+    newRecordText(result) {
+        const profile = this.current();
+        if (result.score <= personalBest(this.board, profile.id, result.difficulty) || result.score === 0) return null;
+        return `NEW BEST FOR ${profile.name} ON ${result.difficulty.toUpperCase()}`;
+    },
+
+    // Name entry for a run that made the pilot's top 10; returns whether it was offered
+    offer(result) {
+        const profile = this.current();
+        if (!qualifies(this.board, profile.id, result.difficulty, result.score)) return false;
+
+        this.pending = { result };
+        const input = document.getElementById('name-input');
+        input.value = profile.name;
+        document.getElementById('name-entry').classList.remove('hidden');
+        document.getElementById('rank-msg').classList.add('hidden');
+        input.focus();
+        input.select();
+        return true;
+    },
+
+    // Saves the pending run under the entered name (leaving the screen saves it under the pilot's)
+    commit(name = this.current().name) {
+        if (!this.pending) return;
+        const { result } = this.pending;
+        this.pending = null;
+
+        const placed = recordScore(this.board, this.current().id, result.difficulty, {
+            name,
+            score: result.score,
+            wave: result.wave,
+            accuracy: result.accuracy,
+            date: new Date().toISOString()
+        });
+        this.board = placed.board;
+        this.save();
+
+        document.getElementById('name-entry').classList.add('hidden');
+        const rankMsg = document.getElementById('rank-msg');
+        const overall = placed.overallRank ? ` // #${placed.overallRank} OVERALL` : '';
+        rankMsg.innerText = `#${placed.rank} FOR ${this.current().name}${overall} ON ${result.difficulty.toUpperCase()}`;
+        rankMsg.classList.remove('hidden');
+    },
+
+    // Top 10 lists for the service record screen
+    renderBoards(difficulty) {
+        const profile = this.current();
+        document.getElementById('board-profile-title').innerText = `${profile.name} TOP 10`;
+        const fill = (id, entries, label) => {
+            const list = document.getElementById(id);
+            list.innerHTML = '';
+            if (entries.length === 0) entries = [null];
+            entries.forEach(entry => {
+                const li = document.createElement('li');
+                li.className = 'breakdown-row';
+                [entry ? label(entry) : '--', entry ? entry.score : ''].forEach(value => {
+                    const cell = document.createElement('span');
+                    cell.innerText = value;
+                    li.appendChild(cell);
+                });
+                list.appendChild(li);
+            });
+        };
+        fill('board-profile', profileBoard(this.board, profile.id, difficulty), e => `${e.name} // W${e.wave}`);
+        fill('board-all', difficultyBoard(this.board, difficulty), e => e.name === e.profile ? e.name : `${e.name} (${e.profile})`);
+    },
+
+    setStatus(text, warn = false) {
+        const el = document.getElementById('profile-status');
+        el.innerText = text;
+        el.classList.toggle('warn', warn);
+    },
+
+    render() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = '';
+        this.board.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.innerText = profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.current().id;
+        document.getElementById('profile-remove-btn').classList.toggle('hidden', this.board.profiles.length <= 1);
+    },
+
+    init() {
+        const nameField = document.getElementById('profile-name');
+        const addFromField = () => {
+            this.add(nameField.value);
+            nameField.value = '';
+        };
+
+        document.getElementById('profile-select').addEventListener('change', e => this.select(e.target.value));
+        document.getElementById('profile-add-btn').addEventListener('click', addFromField);
+        document.getElementById('profile-remove-btn').addEventListener('click', () => this.remove());
+        nameField.addEventListener('keydown', e => {
+            if (e.key === 'Enter') addFromField();
+        });
+
+        const nameInput = document.getElementById('name-input');
+        document.getElementById('name-save-btn').addEventListener('click', () => this.commit(nameInput.value));
+        nameInput.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.commit(nameInput.value);
+        });
+
+        this.save();
+        this.render();
+    }
+};
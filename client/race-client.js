@@ -0,0 +1,86 @@
+import { Emitter } from '../core/index.js';
+
+// Online Race Client
+// Talks to a race relay over WebSocket (see server/race-server.js for the reference one) and
+// re-emits every relay message by its type (lobby, hosted, start, opponent, attack, ...).
+// No DOM access, so it runs under Node too; pass a WebSocket implementation to swap transports.
+
+export class RaceClient extends Emitter {
+    constructor(url, WebSocketImpl = globalThis.WebSocket) {
+        super();
+        this.url = url;
+        this.WebSocket = WebSocketImpl;
+        this.socket = null;
+    }
+
+    // Resolves once connected; 'close' is emitted when the relay goes away
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocket(this.url);
+            let opened = false;
+            socket.onopen = () => {
+                opened = true;
+                this.socket = socket;
+                resolve(this);
+            };
+            socket.onmessage = ({ data }) => {
+                let message;
+                try {
+                    message = JSON.parse(data);
+                } catch (err) {
+                    return; // Not ours
+                }
+                if (message && typeof message.type === 'string') this.emit(message.type, message);
+            };
+            socket.onclose = () => {
+                if (!opened) reject(new Error('Relay unreachable'));
+                else if (this.socket === socket) {
+                    this.socket = null;
+                    this.emit('close');
+                }
+            };
+        });
+    }
+
+    get connected() {
+        return !!this.socket;
+    }
+
+    send(message) {
+        if (this.socket) this.socket.send(JSON.stringify(message));
+    }
+
+    host(name, rules) {
+        this.send({ type: 'host', name, rules });
+    }
+
+    join(name, room) {
+        this.send({ type: 'join', name, room });
+    }
+
+    // Progress for the opponent's HUD: word is the locked word (or ''), typed how much of it is done
+    status(status) {
+        this.send({ type: 'status', ...status });
+    }
+
+    attack(word) {
+        this.send({ type: 'attack', word });
+    }
+
+    over(result) {
+        this.send({ type: 'over', score: result.score, wave: result.wave });
+    }
+
+    leave() {
+        this.send({ type: 'leave' });
+    }
+
+    // Closing it ourselves also emits 'close', so listeners can let the client go
+    close() {
+        const socket = this.socket;
+        if (!socket) return;
+        this.socket = null;
+        socket.close();
+        this.emit('close');
+    }
+}
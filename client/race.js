@@ -0,0 +1,184 @@
+import { STATUS_TICKS } from '../core/index.js';
+import { RaceClient } from './race-client.js';
+import { Profiles } from './profiles.js';
+import { showReward, showOpponent } from './hud.js';
+
+// Online Race (Lobby screen and the relay link during a race; relay URL stored in localStorage)
+
+const URL_KEY = 'neonTypeRaceURL';
+
+export const Race = {
+    client: null,
+    game: null, // The live race run, if any
+    opponent: null, // { name, score, health, wave, word, typed, over }
+    pendingResult: null, // Relay's verdict, once both runs are over
+
+    show() {
+        document.getElementById('start-screen').classList.remove('active');
+        document.getElementById('race-screen').classList.add('active');
+        if (!this.client) this.connect(document.getElementById('race-url').value);
+    },
+
+    hide() {
+        if (this.client) this.client.close();
+        this.client = null; // Reconnects on the next show
+        document.getElementById('race-screen').classList.remove('active');
+        document.getElementById('start-screen').classList.add('active');
+    },
+
+    get racing() {
+        return !!this.game && !this.game.over;
+    },
+
+    connect(url) {
+        url = url.trim();
+        if (this.client) this.client.close();
+        this.client = null;
+        this.renderRooms([]);
+        if (!url) {
+            this.setStatus('ENTER A RELAY ADDRESS', true);
+            return Promise.resolve();
+        }
+        localStorage.setItem(URL_KEY, url);
+
+        const client = new RaceClient(url);
+        this.listen(client);
+        this.setStatus('CONNECTING...');
+        return client.connect()
+            .then(() => {
+                this.client = client;
+                this.setStatus('CONNECTED // HOST A RACE OR JOIN ONE');
+            })
+            .catch(err => this.setStatus(err.message.toUpperCase(), true));
+    },
+
+    // Relay messages -> lobby, HUD and the live run
+    listen(client) {
+        client.on('lobby', ({ rooms }) => this.renderRooms(rooms));
+        client.on('hosted', ({ room }) => this.setStatus(`ROOM ${room} OPEN // WAITING FOR AN OPPONENT`));
+        client.on('error', ({ message }) => this.setStatus(message.toUpperCase(), true));
+        client.on('close', () => {
+            if (this.client === client) this.client = null;
+            this.setStatus('DISCONNECTED FROM RELAY', true);
+            if (this.racing) showReward('RELAY LOST');
+        });
+
+        client.on('start', ({ seed, rules, opponent }) => {
+            this.opponent = { name: opponent, score: 0, health: 100, wave: 1, word: '', typed: 0, over: false };
+            this.pendingResult = null;
+            document.getElementById('race-screen').classList.remove('active');
+            this.onStart({ seed, rules });
+        });
+        client.on('opponent', status => {
+            if (!this.opponent) return;
+            Object.assign(this.opponent, status);
+            showOpponent(this.opponent);
+        });
+        client.on('opponentOver', ({ score, wave }) => {
+            if (!this.opponent) return;
+            Object.assign(this.opponent, { score, wave, over: true, word: '' });
+            showOpponent(this.opponent);
+            if (this.racing) showReward(`${this.opponent.name} DOWN // BEAT ${score}`);
+        });
+        client.on('opponentLeft', () => {
+            if (this.racing) showReward('OPPONENT DISCONNECTED');
+            this.showResult('OPPONENT DISCONNECTED');
+        });
+        client.on('attack', ({ word }) => {
+            if (this.game) this.game.queueAttack(word);
+        });
+        client.on('result', ({ score, opponentScore, outcome }) => {
+            const verdict = { win: 'YOU WIN', lose: 'YOU LOSE', draw: 'DRAW' }[outcome];
+            this.showResult(`${verdict} // ${score} VS ${opponentScore}`, outcome === 'lose');
+        });
+    },
+
+    // A race run just started: report progress, forward attacks and the final score
+    attach(game) {
+        this.game = game;
+        game.on('attackSent', ({ word }) => this.client && this.client.attack(word));
+        game.on('gameOver', result => {
+            if (this.client) this.client.over(result);
+            if (!this.pendingResult) this.showResult(this.client ? 'WAITING FOR OPPONENT...' : 'RELAY LOST');
+        });
+        showOpponent(this.opponent);
+    },
+
+    // Called every tick of a race run
+    update(game) {
+        if (game !== this.game || !this.client || game.tick % STATUS_TICKS !== 0) return;
+        const target = game.lockedTarget;
+        this.client.status({
+            score: game.score,
+            health: game.health,
+            wave: game.wave,
+            word: target ? target.word : '',
+            typed: target ? target.matchedIndex : 0
+        });
+    },
+
+    // Any other run: no opponent on the HUD, no race line on the report
+    detach() {
+        this.game = null;
+        showOpponent(null);
+        document.getElementById('race-result').classList.add('hidden');
+    },
+
+    showResult(text, warn = false) {
+        this.pendingResult = text;
+        const el = document.getElementById('race-result');
+        el.innerText = text;
+        el.classList.toggle('mismatch', warn);
+        el.classList.remove('hidden');
+    },
+
+    renderRooms(rooms) {
+        const list = document.getElementById('race-rooms');
+        list.innerHTML = '';
+        if (rooms.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'breakdown-row';
+            li.innerText = this.client ? 'NO OPEN ROOMS' : '--';
+            list.appendChild(li);
+            return;
+        }
+        rooms.forEach(room => {
+            const li = document.createElement('li');
+            li.className = 'breakdown-row';
+            const label = document.createElement('span');
+            const { difficulty, mode, strictness } = room.rules;
+            label.innerText = `${room.host} // ${[difficulty, mode, strictness].join(' / ').toUpperCase()}`;
+            const join = document.createElement('button');
+            join.className = 'ui-btn pack-btn';
+            join.innerText = 'JOIN';
+            join.addEventListener('click', () => this.client && this.client.join(Profiles.current().name, room.id));
+            li.appendChild(label);
+            li.appendChild(join);
+            list.appendChild(li);
+        });
+    },
+
+    setStatus(text, warn = false) {
+        const el = document.getElementById('race-status');
+        el.innerText = text;
+        el.classList.toggle('warn', warn);
+    },
+
+    // rules(): the start screen's current selection; onStart({ seed, rules }) starts the run
+    init(rules, onStart) {
+        this.onStart = onStart;
+        const field = document.getElementById('race-url');
+        field.value = localStorage.getItem(URL_KEY) || '';
+
+        document.getElementById('race-btn').addEventListener('click', () => this.show());
+        document.getElementById('race-back-btn').addEventListener('click', () => this.hide());
+        document.getElementById('race-connect-btn').addEventListener('click', () => this.connect(field.value));
+        field.addEventListener('keydown', e => {
+            if (e.key === 'Enter') this.connect(field.value);
+        });
+        document.getElementById('race-host-btn').addEventListener('click', () => {
+            if (this.client) this.client.host(Profiles.current().name, rules());
+            else this.setStatus('NOT CONNECTED', true);
+        });
+    }
+};
@@ -0,0 +1,939 @@
+import { SHIELD_RADIUS } from '../core/index.js';
+
+// Canvas Renderer
+// Draws the simulation state (core/) plus purely visual effects. Everything in the
+// world is drawn in playfield coordinates; the caller scales the playfield to the canvas.
+
+let field = { width: 1, height: 1 };
+let labelScale = 1; // Word label size (settings screen)
+let steadyFlame = false; // Reduced motion: the engine flame doesn't flicker
+
+// Lock colours. Standard tells locked from free by red vs teal; contrast uses yellow, which
+// reads by brightness alone, on solid black plates, and rings the locked plate twice
+export const PALETTES = {
+    standard: {
+        locked: '#ff0044', lockedCore: '#ff3333', incoming: '#c04cff', free: '#ffffff',
+        plate: 'rgba(10, 20, 30, 0.9)', matched: '#ff9900', text: '#ffffff', doubleFrame: false
+    },
+    contrast: {
+        locked: '#ffe600', lockedCore: '#ffe600', incoming: '#3da5ff', free: '#ffffff',
+        plate: '#000000', matched: '#ffe600', text: '#ffffff', doubleFrame: true
+    }
+};
+let palette = PALETTES.standard;
+
+export function setPlayfield(f) {
+    field = f;
+}
+
+export function setLabelScale(scale) {
+    labelScale = scale;
+}
+
+export function setPalette(name) {
+    palette = PALETTES[name] || PALETTES.standard;
+}
+
+export function setReducedMotion(on) {
+    steadyFlame = on;
+}
+
+// Engine flame [opacity, radius] for this frame: a flicker, or its middle held for reduced motion
+export function engineFlame() {
+    if (steadyFlame) return [0.75, 12.5];
+    return [Math.random() * 0.5 + 0.5, 10 + Math.random() * 5];
+}
+
+// 3D Perspective Helper (Playfield coordinates)
+export function project(x, y) {
+    const fcx = field.width / 2;
+    const depth = (y / field.height); // 0.0 (Far) to 1.0 (Near)
+    const scale = 0.5 + 0.5 * (depth * depth); // More dramatic scale
+    const sx = fcx + (x - fcx) * scale;
+    const sy = y;
+    return { x: sx, y: sy, scale: scale };
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Load Assets
+const explosionImg = new Image();
+explosionImg.src = 'Explosion.png';
+
+const playerImg = new Image();
+playerImg.src = 'spiked ship 3. small.blue_.PNG';
+
+// The WebGL backend bakes the images into its sprite atlas, so it waits for both
+export function imagesReady() {
+    return [explosionImg, playerImg].every(img => img.complete && img.naturalWidth > 0);
+}
+
+// Offscreen canvas for a layer that only changes with the canvas size (or its options)
+function createLayer(width, height) {
+    const layer = document.createElement('canvas');
+    layer.width = width;
+    layer.height = height;
+    return layer;
+}
+
+// Background Grid Effect
+export class BackgroundGrid {
+    constructor() {
+        this.offsetY = 0;
+        this.prevOffsetY = 0;
+        this.speed = 2;
+        this.layer = null; // Vertical lines (they don't move)
+        this.fade = null; // Horizontal line colour, brighter towards the bottom
+    }
+
+    // Rebuilt when the canvas is resized
+    cache(width, height) {
+        if (this.layer && this.layer.width === width && this.layer.height === height) return;
+        this.layer = createLayer(width, height);
+        const lctx = this.layer.getContext('2d');
+
+        lctx.strokeStyle = 'rgba(76, 224, 179, 0.15)'; // Tac Green
+        lctx.lineWidth = 1;
+        lctx.beginPath();
+        this.verticalLines(width, height, (x0, y0, x1, y1) => {
+            lctx.moveTo(x0, y0);
+            lctx.lineTo(x1, y1);
+        });
+        lctx.stroke();
+
+        this.fade = lctx.createLinearGradient(0, 0, 0, height);
+        this.fade.addColorStop(0, 'rgba(76, 224, 179, 0)');
+        this.fade.addColorStop(1, 'rgba(76, 224, 179, 0.3)');
+    }
+
+    // Vertical lines (Perspective): visit(x0, y0, x1, y1) for each
+    verticalLines(width, height, visit) {
+        const cx = width / 2;
+        for (let i = -10; i <= 10; i++) {
+            const x = cx + i * 100;
+            visit(cx + (x - cx) * 0.1, 0, x, height); // Converge at top
+        }
+    }
+
+    // Horizontal lines (Moving forward): visit(y) for each
+    horizontalLines(height, alpha, visit) {
+        // Unwrap so interpolation doesn't jump backwards across the modulo
+        const target = this.offsetY < this.prevOffsetY ? this.offsetY + 80 : this.offsetY;
+        const offsetY = lerp(this.prevOffsetY, target, alpha) % 80;
+
+        for (let i = 0; i < 20; i++) {
+            const y = (offsetY + i * 80) % height;
+            // Only draw if in lower half to simulate ground plane perception
+            if (y > height * 0.2) visit(y);
+        }
+    }
+
+    update() {
+        this.prevOffsetY = this.offsetY;
+        this.offsetY = (this.offsetY + this.speed) % 80;
+    }
+
+    draw(ctx, alpha = 1) {
+        const { width, height } = ctx.canvas;
+        this.cache(width, height);
+        ctx.drawImage(this.layer, 0, 0);
+
+        // One path, faded by the gradient
+        ctx.save();
+        ctx.strokeStyle = this.fade;
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        this.horizontalLines(height, alpha, y => {
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+        });
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+// Scanlines and vignette over the whole canvas, cached until the size or the settings change
+export class ScreenOverlay {
+    constructor() {
+        this.layer = null;
+        this.key = '';
+    }
+
+    draw(ctx, { scanlines, vignette }) {
+        if (!scanlines && !vignette) return;
+        const { width, height } = ctx.canvas;
+        const key = [width, height, scanlines, vignette].join();
+        if (key !== this.key) {
+            this.key = key;
+            this.layer = createLayer(width, height);
+            const lctx = this.layer.getContext('2d');
+
+            // Scanlines (Very subtle texture)
+            if (scanlines) {
+                lctx.fillStyle = 'rgba(0, 0, 0, 0.03)';
+                for (let i = 0; i < height; i += 4) {
+                    lctx.fillRect(0, i, width, 2);
+                }
+            }
+
+            // Vignette (Corner darkening only - does not obscure text)
+            if (vignette) {
+                const maxDim = Math.max(width, height);
+                const grad = lctx.createRadialGradient(width / 2, height / 2, maxDim * 0.6, width / 2, height / 2, maxDim);
+                grad.addColorStop(0, 'rgba(0,0,0,0)');
+                grad.addColorStop(1, 'rgba(0,0,0,0.5)'); // Reduced intensity
+                lctx.fillStyle = grad;
+                lctx.fillRect(0, 0, width, height);
+            }
+        }
+        ctx.drawImage(this.layer, 0, 0);
+    }
+}
+
+// Game Entities
+const LABEL_MAX_WIDTH = 420; // Longer phrases wrap onto more lines
+const LABEL_LINE_HEIGHT = 30;
+
+// Splits a label at spaces into lines no wider than maxWidth. Spaces stay attached to the
+// end of their line and each line keeps its start index, so typed progress maps across lines.
+function wrapLabel(ctx, text, maxWidth) {
+    const lines = [];
+    let current = '';
+    let currentStart = 0;
+    let index = 0;
+
+    text.split(/(?<= )/).forEach(word => {
+        if (current && ctx.measureText((current + word).trimEnd()).width > maxWidth) {
+            lines.push({ text: current, start: currentStart });
+            current = '';
+            currentStart = index;
+        }
+        current += word;
+        index += word.length;
+    });
+    lines.push({ text: current, start: currentStart });
+    return lines;
+}
+
+// Ship glow per player (gold solo and for P1)
+export const PILOT_GLOW = ['#ffd700', '#00f3ff'];
+export const SHIP_SIZE = 100;
+
+// The ship picture alone, centred (WebGL atlas; the glow and flame are sprites of their own)
+export function drawShipImage(ctx) {
+    ctx.drawImage(playerImg, -SHIP_SIZE / 2, -SHIP_SIZE / 2, SHIP_SIZE, SHIP_SIZE);
+}
+
+export function drawPlayer(ctx, player, alpha = 1, glow = PILOT_GLOW[0]) {
+    const p = project(player.x, player.y);
+    const s = p.scale;
+
+    ctx.save();
+    ctx.translate(p.x, p.y);
+    ctx.rotate(lerp(player.prevAngle, player.angle, alpha));
+    ctx.scale(s, s);
+
+    ctx.shadowBlur = 30;
+    ctx.shadowColor = glow;
+    drawShipImage(ctx);
+
+    // Engine flame
+    const [flameAlpha, flameRadius] = engineFlame();
+    ctx.fillStyle = `rgba(0, 240, 255, ${flameAlpha})`;
+    ctx.beginPath();
+    ctx.arc(0, SHIP_SIZE / 2 - 10, flameRadius, 0, Math.PI * 2);
+    ctx.fill();
+
+    ctx.restore();
+}
+
+// Versus: the line between the two halves of the field
+export function drawDivider(ctx) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(255, 153, 0, 0.25)';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([12, 18]);
+    ctx.beginPath();
+    ctx.moveTo(field.width / 2, 0); // The centre line stays put under project()
+    ctx.lineTo(field.width / 2, field.height);
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Power-Up Badges (Colour and glyph per type, shared with the HUD tray)
+export const POWER_UP_STYLE = {
+    emp: { color: '#00f3ff', icon: 'E', label: 'EMP' },
+    slow: { color: '#c04cff', icon: 'S', label: 'SLOW' },
+    shield: { color: '#4ce0b3', icon: 'D', label: 'SHIELD' },
+    multishot: { color: '#ff9900', icon: 'M', label: 'MULTISHOT' }
+};
+
+// Online race: destroying an attack word sends it to the opponent
+const ATTACK_STYLE = { color: '#ff0044', icon: 'A', label: 'ATTACK' };
+
+function drawBadge(ctx, style, age) {
+    ctx.save();
+    ctx.strokeStyle = style.color;
+    ctx.shadowBlur = 15;
+    ctx.shadowColor = style.color;
+    ctx.lineWidth = 3;
+    ctx.globalAlpha = 0.6 + Math.sin(age * 0.15) * 0.4;
+    ctx.beginPath();
+    ctx.arc(0, 0, 42, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // Glyph tag on the rim
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = style.color;
+    ctx.beginPath();
+    ctx.arc(34, 24, 13, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#000';
+    ctx.font = 'bold 18px "Share Tech Mono"';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(style.icon, 34, 25);
+    ctx.restore();
+}
+
+// Enemy Vessels (One body per archetype, drawn around the origin)
+function drawDrone(ctx, enemy, isLocked, baseColor, age) {
+    // "Tactical Drone"
+    const rotation = age * 0.02;
+    const pulse = age * 0.1;
+
+    // 1. Core
+    ctx.fillStyle = '#111';
+    ctx.beginPath();
+    ctx.arc(0, 0, 20, 0, Math.PI * 2);
+    ctx.fill();
+
+    // 2. Rotating Rings
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 30, 10, rotation, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.strokeStyle = isLocked ? '#ffbd00' : '#888';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 30, 10, -rotation, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // 3. Central Eye
+    const pulseSize = 10 + Math.sin(pulse) * 2;
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#4ce0b3'; /* Red vs Teal */
+    ctx.beginPath();
+    ctx.arc(0, 0, pulseSize, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawScout(ctx, enemy, isLocked, baseColor, age) {
+    // Swept dart (banks into its sway, see hullTurn)
+    ctx.fillStyle = '#111';
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(0, 24);
+    ctx.lineTo(22, -16);
+    ctx.lineTo(0, -6);
+    ctx.lineTo(-22, -16);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    // Engine trail
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#00f3ff';
+    ctx.globalAlpha = 0.5 + Math.sin(age * 0.3) * 0.3;
+    ctx.fillRect(-3, -22, 6, 10);
+    ctx.globalAlpha = 1;
+}
+
+function drawArmored(ctx, enemy, isLocked, baseColor, age) {
+    // Hexagonal hull; the outer plating is gone once the armor breaks
+    const hex = (r) => {
+        ctx.beginPath();
+        for (let i = 0; i < 6; i++) {
+            const a = Math.PI / 6 + i * Math.PI / 3;
+            ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r);
+        }
+        ctx.closePath();
+    };
+
+    ctx.fillStyle = '#1a1a1a';
+    hex(30);
+    ctx.fill();
+    ctx.strokeStyle = enemy.armor > 0 ? '#aaaaaa' : '#555';
+    ctx.lineWidth = enemy.armor > 0 ? 6 : 2;
+    if (enemy.armor === 0) ctx.setLineDash([6, 6]); // Cracked plating
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = 2;
+    hex(18);
+    ctx.stroke();
+
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#4ce0b3';
+    ctx.fillRect(-6, -6 + Math.sin(age * 0.05) * 2, 12, 12);
+}
+
+function drawSplitter(ctx, enemy, isLocked, baseColor, age) {
+    // Twin pods joined at a seam that pulls apart over time
+    const gap = 14 + Math.sin(age * 0.08) * 3;
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = 3;
+    ctx.fillStyle = '#111';
+    [-1, 1].forEach(side => {
+        ctx.beginPath();
+        ctx.arc(side * gap, 0, 16, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    });
+
+    ctx.strokeStyle = isLocked ? '#ffbd00' : '#c04cff';
+    ctx.beginPath();
+    ctx.moveTo(-gap, 0);
+    ctx.lineTo(gap, 0);
+    ctx.stroke();
+
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#c04cff';
+    [-1, 1].forEach(side => {
+        ctx.beginPath();
+        ctx.arc(side * gap, 0, 6, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+function drawBomber(ctx, enemy, isLocked, baseColor, age) {
+    // Spiked mine; spins and blinks faster once primed
+    const spikes = 8;
+    ctx.fillStyle = '#111';
+    ctx.strokeStyle = enemy.primed ? '#ff5e00' : baseColor;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    for (let i = 0; i < spikes * 2; i++) {
+        const r = i % 2 === 0 ? 30 : 18;
+        const a = (i / (spikes * 2)) * Math.PI * 2;
+        ctx.lineTo(Math.cos(a) * r, Math.sin(a) * r);
+    }
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    const blink = Math.sin(age * (enemy.primed ? 0.8 : 0.1)) > 0;
+    ctx.fillStyle = blink ? '#ff0044' : '#441111';
+    ctx.beginPath();
+    ctx.arc(0, 0, 9, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Dome covering everything within SHIELD_RADIUS, under the carrier's hull (a sprite of its
+// own under WebGL, which bakes it at full opacity and fades the sprite)
+export function domeOpacity(age) {
+    return 0.25 + Math.sin(age * 0.05) * 0.1;
+}
+
+export function drawShieldDome(ctx, opacity) {
+    ctx.strokeStyle = `rgba(0, 243, 255, ${opacity})`;
+    ctx.fillStyle = `rgba(0, 243, 255, ${opacity * 0.2})`;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(0, 0, SHIELD_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+}
+
+function drawShieldCarrier(ctx, enemy, isLocked, baseColor, age) {
+    // Diamond hull
+    ctx.fillStyle = '#111';
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(0, -28);
+    ctx.lineTo(24, 0);
+    ctx.lineTo(0, 28);
+    ctx.lineTo(-24, 0);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#00f3ff';
+    ctx.beginPath();
+    ctx.arc(0, 0, 8, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawFragment(ctx, enemy, isLocked, baseColor, age) {
+    ctx.scale(0.6, 0.6);
+    drawDrone(ctx, enemy, isLocked, baseColor, age);
+}
+
+function drawMissile(ctx, enemy, isLocked, baseColor, age) {
+    // Nose points along the flight path (see hullTurn)
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#ff5e00';
+    ctx.beginPath();
+    ctx.moveTo(0, 18);
+    ctx.lineTo(8, -10);
+    ctx.lineTo(-8, -10);
+    ctx.closePath();
+    ctx.fill();
+
+    // Exhaust
+    ctx.fillStyle = `rgba(255, 200, 0, ${0.5 + Math.sin(age * 0.6) * 0.3})`;
+    ctx.beginPath();
+    ctx.arc(0, -14, 5, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawBoss(ctx, enemy, isLocked, baseColor, age) {
+    // Mothership: wide hull, turning core, one pip per remaining segment
+    ctx.scale(2, 2);
+    ctx.fillStyle = '#111';
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(-60, 0);
+    ctx.lineTo(-30, -22);
+    ctx.lineTo(30, -22);
+    ctx.lineTo(60, 0);
+    ctx.lineTo(30, 22);
+    ctx.lineTo(-30, 22);
+    ctx.closePath();
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.strokeStyle = isLocked ? '#ffbd00' : '#ff0044';
+    ctx.beginPath();
+    ctx.ellipse(0, 0, 22, 8, age * 0.03, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = isLocked ? palette.lockedCore : '#ff0044';
+    ctx.beginPath();
+    ctx.arc(0, 0, 7 + Math.sin(age * 0.1) * 2, 0, Math.PI * 2);
+    ctx.fill();
+
+    const remaining = enemy.segments.length - enemy.segment;
+    for (let i = 0; i < enemy.segments.length; i++) {
+        ctx.fillStyle = i < remaining ? '#ff0044' : '#333';
+        ctx.fillRect(-enemy.segments.length * 5 + i * 10, 28, 7, 4);
+    }
+}
+
+const ENEMY_BODIES = {
+    drone: drawDrone,
+    scout: drawScout,
+    armored: drawArmored,
+    splitter: drawSplitter,
+    bomber: drawBomber,
+    shield: drawShieldCarrier,
+    fragment: drawFragment,
+    missile: drawMissile,
+    boss: drawBoss
+};
+
+// Hulls that turn: scouts bank into their sway, missiles point along the flight path, mines spin
+export function hullTurn(enemy, age) {
+    if (enemy.type === 'scout') return (enemy.x - enemy.prevX) * 0.1;
+    if (enemy.type === 'missile') return Math.atan2(enemy.y - enemy.prevY, enemy.x - enemy.prevX) - Math.PI / 2;
+    if (enemy.type === 'bomber') return age * (enemy.primed ? 0.15 : 0.03);
+    return 0;
+}
+
+// Red if locked, purple if the opponent sent it, White otherwise (Standard palette)
+export function hullColor(enemy) {
+    return enemy.isLocked ? palette.locked : (enemy.incoming ? palette.incoming : palette.free);
+}
+
+// Hulls for the WebGL backend's sprite atlas, baked at rest (age 0, unturned). The key names
+// everything else the picture depends on; the extent is half the side of the square it fills
+export function hullKey(enemy) {
+    const remaining = enemy.segments ? enemy.segments.length - enemy.segment : 0; // Boss pips
+    return [
+        enemy.type, hullColor(enemy), enemy.isLocked, palette.lockedCore, enemy.armor > 0, !!enemy.primed, remaining
+    ].join();
+}
+
+export function hullExtent(enemy) {
+    return enemy.type === 'boss' ? 128 : 40;
+}
+
+export function drawHull(ctx, enemy) {
+    (ENEMY_BODIES[enemy.type] || drawDrone)(ctx, enemy, enemy.isLocked, hullColor(enemy), 0);
+}
+
+// Hull (with a carrier's dome); the word label goes on a layer above the effects, see
+// drawEnemyMarkings
+export function drawEnemyHull(ctx, enemy, alpha = 1) {
+    const p = project(lerp(enemy.prevX, enemy.x, alpha), lerp(enemy.prevY, enemy.y, alpha));
+    const age = lerp(enemy.age - 1, enemy.age, alpha);
+    const baseColor = hullColor(enemy);
+
+    ctx.save();
+    ctx.translate(p.x, p.y);
+    ctx.scale(p.scale, p.scale);
+    ctx.shadowBlur = enemy.isLocked ? 20 : 0;
+    ctx.shadowColor = baseColor;
+    if (enemy.type === 'shield') drawShieldDome(ctx, domeOpacity(age));
+    ctx.rotate(hullTurn(enemy, age));
+    (ENEMY_BODIES[enemy.type] || drawDrone)(ctx, enemy, enemy.isLocked, baseColor, age);
+    ctx.restore();
+}
+
+// Badges, shield cage and word label
+export function drawEnemyMarkings(ctx, enemy, alpha = 1) {
+    const p = project(lerp(enemy.prevX, enemy.x, alpha), lerp(enemy.prevY, enemy.y, alpha));
+    const s = p.scale;
+    const age = lerp(enemy.age - 1, enemy.age, alpha);
+
+    ctx.save();
+    ctx.translate(p.x, p.y);
+    ctx.scale(s, s);
+
+    const isLocked = enemy.isLocked;
+    const baseColor = hullColor(enemy);
+
+    if (enemy.powerUp) drawBadge(ctx, POWER_UP_STYLE[enemy.powerUp], age);
+    else if (enemy.attack) drawBadge(ctx, ATTACK_STYLE, age);
+
+    // Shielded: dashed cage while a carrier blocks locking
+    if (enemy.shielded) {
+        ctx.strokeStyle = 'rgba(0, 243, 255, 0.6)';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(0, 0, 36, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+    }
+
+    // Word Label (High contrast plate, wrapped for long phrases)
+    if (enemy.type === 'boss') ctx.translate(0, -24); // Clear the larger hull
+    if (labelScale !== 1) {
+        // Grow from the plate's bottom edge so a larger label never covers the hull
+        ctx.translate(0, -40);
+        ctx.scale(labelScale, labelScale);
+        ctx.translate(0, 40);
+    }
+    ctx.font = '900 36px "Share Tech Mono"';
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    const lines = wrapLabel(ctx, enemy.word, LABEL_MAX_WIDTH);
+    const lineWidths = lines.map(line => ctx.measureText(line.text.trimEnd()).width);
+    const totalW = Math.max(...lineWidths);
+    const extraH = (lines.length - 1) * LABEL_LINE_HEIGHT; // Plate grows upwards
+
+    // Label Background (Heavy frame while armor remains)
+    ctx.shadowBlur = isLocked ? 20 : 0;
+    ctx.shadowColor = baseColor;
+    ctx.fillStyle = palette.plate;
+    ctx.strokeStyle = baseColor;
+    ctx.lineWidth = enemy.armor > 0 ? 4 : 1;
+    ctx.beginPath();
+    ctx.rect(-totalW / 2 - 10, -70 - extraH, totalW + 20, 30 + extraH); /* Sharp rect */
+    ctx.fill();
+    ctx.stroke();
+    if (isLocked && palette.doubleFrame) {
+        ctx.lineWidth = 2;
+        ctx.strokeRect(-totalW / 2 - 16, -76 - extraH, totalW + 32, 42 + extraH);
+    }
+
+    ctx.shadowBlur = 0;
+    lines.forEach((line, i) => {
+        const labelY = -50 - extraH + i * LABEL_LINE_HEIGHT;
+        const startX = -lineWidths[i] / 2;
+        const typed = Math.max(0, Math.min(line.text.length, enemy.matchedIndex - line.start));
+        const matched = line.text.substring(0, typed);
+        const offset = ctx.measureText(matched).width;
+
+        if (matched.length > 0) {
+            ctx.fillStyle = palette.matched; // Tactical Orange for matched
+            ctx.fillText(matched, startX, labelY);
+        }
+
+        ctx.fillStyle = palette.text; // White for remaining
+        ctx.fillText(line.text.substring(typed), startX + offset, labelY);
+
+        // Cursor under the next character (makes pending spaces visible)
+        if (isLocked && typed < line.text.length && enemy.matchedIndex >= line.start) {
+            const charW = ctx.measureText(line.text[typed]).width;
+            ctx.fillStyle = palette.matched;
+            ctx.fillRect(startX + offset, labelY + 14, charW, 3);
+        }
+    });
+
+    ctx.restore();
+}
+
+export function drawProjectile(ctx, projectile, alpha = 1) {
+    ctx.strokeStyle = '#fff'; // White Tracer
+    ctx.lineWidth = 2;
+    ctx.lineCap = 'butt';
+    ctx.shadowBlur = 5;
+    ctx.shadowColor = '#fff';
+
+    ctx.beginPath();
+    for (let i = 0; i < projectile.trail.length; i++) {
+        const p = project(projectile.trail[i].x, projectile.trail[i].y);
+        if (i === 0) ctx.moveTo(p.x, p.y);
+        else ctx.lineTo(p.x, p.y);
+    }
+    const curr = project(lerp(projectile.prevX, projectile.x, alpha), lerp(projectile.prevY, projectile.y, alpha));
+    ctx.lineTo(curr.x, curr.y);
+    ctx.stroke();
+
+    // Leading Spark
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(curr.x, curr.y, 4, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+// Visual Effects (All pooled, see client/effects.js: reset starts one over)
+
+// Particles come in a few fixed colours so they can be drawn in one path per colour and
+// fade step, with no per-particle save/restore or shadow blur
+const FIRE_COLORS = ['hsl(345, 100%, 60%)', 'hsl(355, 100%, 60%)', 'hsl(5, 100%, 60%)', 'hsl(15, 100%, 60%)']; // Red/Crimson
+export const PARTICLE_COLORS = ['#fff', 'rgba(50, 50, 50, 0.5)', ...FIRE_COLORS];
+export const SPARK = 0;
+const SMOKE = 1;
+const FADE_STEPS = 8;
+
+export class Particle {
+    constructor(x, y, type, rng) {
+        this.reset(x, y, type, rng);
+    }
+
+    reset(x, y, type, rng) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.type = type;
+        this.life = 1;
+        const angle = rng() * Math.PI * 2;
+
+        if (type === 'spark') {
+            this.vx = Math.cos(angle) * (rng() * 15 + 5);
+            this.vy = Math.sin(angle) * (rng() * 15 + 5);
+            this.decay = rng() * 0.05 + 0.02;
+            this.color = SPARK;
+            this.size = rng() * 3 + 1;
+        } else if (type === 'fire') {
+            this.vx = Math.cos(angle) * (rng() * 6);
+            this.vy = Math.sin(angle) * (rng() * 6);
+            this.decay = rng() * 0.04 + 0.01;
+            this.color = 2 + Math.floor(rng() * FIRE_COLORS.length);
+            this.size = rng() * 20 + 10;
+        } else if (type === 'smoke') {
+            this.vx = Math.cos(angle) * 2;
+            this.vy = Math.sin(angle) * 2 - 2;
+            this.decay = 0.02;
+            this.color = SMOKE;
+            this.size = rng() * 30 + 10;
+        }
+    }
+
+    update() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.x += this.vx;
+        this.y += this.vy;
+        this.life -= this.decay;
+
+        if (this.type === 'spark') {
+            this.vx *= 0.9;
+            this.vy *= 0.9;
+        } else {
+            this.size += 0.5;
+            this.vx *= 0.95;
+            this.vy *= 0.95;
+        }
+    }
+}
+
+// Buckets reused every frame: [colour][fade step] -> particles
+const particleBuckets = PARTICLE_COLORS.map(() => Array.from({ length: FADE_STEPS }, () => []));
+
+export function drawParticles(ctx, particles, alpha = 1) {
+    particles.forEach(p => {
+        if (p.life <= 0) return;
+        const step = Math.min(FADE_STEPS - 1, Math.floor(p.life * FADE_STEPS));
+        particleBuckets[p.color][step].push(p);
+    });
+
+    ctx.save();
+    particleBuckets.forEach((steps, color) => {
+        ctx.fillStyle = PARTICLE_COLORS[color];
+        ctx.globalCompositeOperation = color === SPARK ? 'lighter' : 'source-over'; // Sparks glow without a blur
+        steps.forEach((bucket, step) => {
+            if (bucket.length === 0) return;
+            ctx.globalAlpha = (step + 1) / FADE_STEPS;
+            ctx.beginPath();
+            bucket.forEach(particle => {
+                const p = project(lerp(particle.prevX, particle.x, alpha), lerp(particle.prevY, particle.y, alpha));
+                const r = p.scale * particle.size;
+                ctx.moveTo(p.x + r, p.y);
+                ctx.arc(p.x, p.y, r, 0, Math.PI * 2);
+            });
+            ctx.fill();
+            bucket.length = 0;
+        });
+    });
+    ctx.restore();
+}
+
+export class Shockwave {
+    constructor(x, y) {
+        this.reset(x, y);
+    }
+
+    reset(x, y) {
+        this.x = x;
+        this.y = y;
+        this.radius = 1;
+        this.prevRadius = 1;
+        this.maxRadius = 80;
+        this.alpha = 1;
+        this.speed = 5;
+    }
+
+    update() {
+        this.prevRadius = this.radius;
+        this.radius += this.speed;
+        this.alpha -= 0.05;
+    }
+
+    isDead() {
+        return this.alpha <= 0;
+    }
+
+    draw(ctx, alpha = 1) {
+        if (this.alpha <= 0) return;
+        ctx.save();
+        const p = project(this.x, this.y);
+        ctx.translate(p.x, p.y);
+        ctx.scale(1, 0.5); // Perspective oval
+
+        ctx.beginPath();
+        ctx.arc(0, 0, lerp(this.prevRadius, this.radius, alpha), 0, Math.PI * 2);
+        ctx.strokeStyle = `rgba(255, 200, 0, ${this.alpha})`;
+        ctx.lineWidth = 5;
+        ctx.stroke();
+        ctx.restore();
+    }
+}
+
+export class TextExplosion {
+    constructor(x, y, text, rng) {
+        this.particles = [];
+        this.reset(x, y, text, rng);
+    }
+
+    // Keeps the letter objects of earlier words for reuse
+    reset(x, y, text, rng) {
+        const totalW = 12 * text.length; // Approximate width based on font
+        while (this.particles.length < text.length) this.particles.push({});
+        this.particles.length = text.length;
+
+        this.particles.forEach((p, i) => {
+            const offsetX = (i * 14) - (totalW / 2);
+            p.char = text[i];
+            p.x = p.prevX = x + offsetX;
+            p.y = p.prevY = y;
+            p.vx = (rng() - 0.5) * 4;
+            p.vy = (rng() - 0.5) * 4 - 2; // Slight upward bias
+            p.rotation = 0;
+            p.vRot = (rng() - 0.5) * 0.2;
+            p.alpha = 1;
+            p.scale = 1;
+        });
+    }
+
+    update() {
+        this.particles.forEach(p => {
+            p.prevX = p.x;
+            p.prevY = p.y;
+            p.x += p.vx;
+            p.y += p.vy;
+            p.rotation += p.vRot;
+            p.alpha -= 0.02;
+            p.scale += 0.02;
+        });
+    }
+
+    draw(ctx, alpha = 1) {
+        ctx.save();
+        ctx.font = 'bold 20px "Share Tech Mono"';
+        this.particles.forEach(p => {
+            if (p.alpha <= 0) return;
+            ctx.save();
+            ctx.translate(lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha));
+            ctx.rotate(p.rotation);
+            ctx.scale(p.scale, p.scale);
+            ctx.fillStyle = `rgba(0, 255, 0, ${p.alpha})`; // Neon green debris
+            ctx.fillText(p.char, 0, 0);
+            ctx.restore();
+        });
+        ctx.restore();
+    }
+
+    isDead() {
+        return this.particles.every(p => p.alpha <= 0);
+    }
+}
+
+export const EXPLOSION_SCALE = 4; // Scale up the explosion
+
+// Sprite sheet of 12 frames side by side
+export function explosionFrameSize() {
+    return { width: explosionImg.width / 12, height: explosionImg.height };
+}
+
+// Draw the specific frame centered
+export function drawExplosionFrame(ctx, frame) {
+    const { width, height } = explosionFrameSize();
+    ctx.drawImage(explosionImg, frame * width, 0, width, height, -width / 2, -height / 2, width, height);
+}
+
+export class SpriteExplosion {
+    constructor(x, y) {
+        this.reset(x, y);
+    }
+
+    reset(x, y) {
+        this.x = x;
+        this.y = y;
+        this.frame = 0;
+        this.totalFrames = 12;
+        this.frameSpeed = 0.5; // Controls animation speed
+        this.currentFrame = 0;
+        this.active = true;
+    }
+
+    update() {
+        this.currentFrame += this.frameSpeed;
+        this.frame = Math.floor(this.currentFrame);
+        if (this.frame >= this.totalFrames) {
+            this.active = false;
+        }
+    }
+
+    draw(ctx) {
+        if (!this.active) return;
+
+        ctx.save();
+        const p = project(this.x, this.y);
+        const s = p.scale * EXPLOSION_SCALE;
+        ctx.translate(p.x, p.y);
+        ctx.scale(s, s);
+        drawExplosionFrame(ctx, this.frame);
+        ctx.restore();
+    }
+
+    isDead() {
+        return !this.active;
+    }
+}
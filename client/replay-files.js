@@ -0,0 +1,21 @@
+import { isValidReplay } from '../core/index.js';
+
+// Replay Files (Download / upload as JSON)
+
+export function saveReplay(replay) {
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `neontype-replay-${replay.difficulty}-${replay.score}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+// Resolves with the parsed replay, rejects if the file isn't one
+export function readReplayFile(file) {
+    return file.text().then(text => {
+        const data = JSON.parse(text);
+        if (!isValidReplay(data)) throw new Error('Invalid replay');
+        return data;
+    });
+}
@@ -0,0 +1,173 @@
+import { cleanSettings, reducedMotion, volumes, isBindableKey, PARTICLE_LEVELS, DEFAULT_SETTINGS } from '../core/index.js';
+import { setVolumes } from './audio.js';
+import { setLabelScale, setPalette, setReducedMotion } from './renderer.js';
+import { setAnnouncements } from './announcer.js';
+import { Profiler } from './profiler.js';
+
+// Settings Screen (Audio, effects and controls; stored in localStorage, applied as they change)
+
+const STORAGE_KEY = 'neonTypeSettings';
+const MOTION_QUERY = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// Key names as shown on the pause key button
+function keyLabel(key) {
+    return key === ' ' ? 'SPACE' : key.toUpperCase();
+}
+
+export const Settings = {
+    values: { ...DEFAULT_SETTINGS },
+    returnTo: 'start-screen', // Screen that opened this one (start or pause)
+    open: false,
+    capturing: false, // Waiting for the new pause key
+    // Backend the setting asked for at startup and the one in use (2d where WebGL is unavailable);
+    // changing the setting takes effect on reload
+    renderer: { picked: '2d', used: '2d' },
+
+    load() {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (err) {
+            // Corrupt entry: start from the defaults
+        }
+        this.values = cleanSettings(stored);
+    },
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.values));
+    },
+
+    set(key, value) {
+        this.values = cleanSettings({ ...this.values, [key]: value });
+        this.save();
+        this.apply();
+        this.render();
+    },
+
+    // Pushes the values to the audio buses, the renderer and the page; the game loop reads the rest
+    apply() {
+        setVolumes(volumes(this.values));
+        setLabelScale(this.values.labelSize / 100);
+        setPalette(this.values.palette);
+        setAnnouncements(this.values.announce);
+        Profiler.setEnabled(this.values.profiler);
+        setReducedMotion(this.reducedMotion);
+        document.body.classList.toggle('reduced-motion', this.reducedMotion); // CSS animations
+    },
+
+    // No screen flash, shake or engine flicker
+    get reducedMotion() {
+        return reducedMotion(this.values, MOTION_QUERY && MOTION_QUERY.matches);
+    },
+
+    get shakeScale() {
+        return this.reducedMotion ? 0 : this.values.shake / 100;
+    },
+
+    get particleDensity() {
+        return PARTICLE_LEVELS[this.values.particles];
+    },
+
+    show(from) {
+        this.returnTo = from;
+        this.open = true;
+        this.capturing = false;
+        this.setStatus('');
+        this.render();
+        document.getElementById(from).classList.remove('active');
+        document.getElementById('settings-screen').classList.add('active');
+    },
+
+    hide() {
+        this.open = false;
+        this.capturing = false;
+        document.getElementById('settings-screen').classList.remove('active');
+        document.getElementById(this.returnTo).classList.add('active');
+    },
+
+    render() {
+        const v = this.values;
+        document.querySelectorAll('.setting-range').forEach(input => {
+            const key = input.getAttribute('data-setting');
+            input.value = v[key];
+            document.getElementById(`setting-${key}`).innerText = `${v[key]}%`;
+        });
+        document.querySelectorAll('.setting-toggle').forEach(input => {
+            input.checked = v[input.getAttribute('data-setting')];
+        });
+        document.querySelectorAll('.setting-choice').forEach(btn => {
+            btn.classList.toggle('active', v[btn.getAttribute('data-setting')] === btn.getAttribute('data-value'));
+        });
+        let rendererNote = '';
+        if (v.renderer !== this.renderer.picked) rendererNote = 'ON RELOAD';
+        else if (v.renderer !== this.renderer.used) rendererNote = 'UNAVAILABLE, USING 2D';
+        document.getElementById('renderer-note').innerText = rendererNote;
+        const keyBtn = document.getElementById('pause-key-btn');
+        keyBtn.innerText = this.capturing ? 'PRESS A KEY' : keyLabel(v.pauseKey);
+        keyBtn.classList.toggle('capturing', this.capturing);
+    },
+
+    setStatus(text, warn = false) {
+        const el = document.getElementById('settings-status');
+        el.innerText = text;
+        el.classList.toggle('warn', warn);
+    },
+
+    isPauseKey(key) {
+        return key === this.values.pauseKey;
+    },
+
+    // Keys for this screen come first: rebinding, then the pause key backs out.
+    // Returns true when the key was used here
+    handleKey(e) {
+        if (this.capturing) {
+            e.preventDefault(); // Tab would move focus
+            this.capturing = false;
+            if (isBindableKey(e.key)) {
+                this.set('pauseKey', e.key);
+                this.setStatus('');
+            } else {
+                this.render();
+                this.setStatus(`${keyLabel(e.key)} TYPES OR RELEASES LOCKS // PICK A KEY LIKE ESC, TAB OR F1`, true);
+            }
+            return true;
+        }
+        if (this.open && this.isPauseKey(e.key)) {
+            this.hide();
+            return true;
+        }
+        return false;
+    },
+
+    init() {
+        this.load();
+        this.apply();
+
+        document.querySelectorAll('.setting-range').forEach(input => {
+            input.addEventListener('input', () => this.set(input.getAttribute('data-setting'), Number(input.value)));
+        });
+        document.querySelectorAll('.setting-toggle').forEach(input => {
+            input.addEventListener('change', () => this.set(input.getAttribute('data-setting'), input.checked));
+        });
+        document.querySelectorAll('.setting-choice').forEach(btn => {
+            btn.addEventListener('click', () => this.set(btn.getAttribute('data-setting'), btn.getAttribute('data-value')));
+        });
+        if (MOTION_QUERY) MOTION_QUERY.addEventListener('change', () => this.apply()); // Followed on AUTO
+        document.getElementById('pause-key-btn').addEventListener('click', () => {
+            this.capturing = true;
+            this.setStatus('');
+            this.render();
+        });
+        document.getElementById('settings-reset-btn').addEventListener('click', () => {
+            this.values = { ...DEFAULT_SETTINGS };
+            this.save();
+            this.apply();
+            this.render();
+            this.setStatus('DEFAULTS RESTORED');
+        });
+
+        document.getElementById('settings-btn').addEventListener('click', () => this.show('start-screen'));
+        document.getElementById('pause-settings-btn').addEventListener('click', () => this.show('pause-screen'));
+        document.getElementById('settings-back-btn').addEventListener('click', () => this.hide());
+    }
+};
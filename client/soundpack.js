@@ -0,0 +1,134 @@
+import { parseSoundPack, MAX_SOUND_PACK_BYTES } from '../core/index.js';
+import { audioCtx, setSoundPack } from './audio.js';
+
+// Sound Pack (An audio sprite replacing the synthesized effects; imported from the settings
+// screen. The sprite map is kept in localStorage, the audio in IndexedDB: a few megabytes in
+// localStorage would leave no room for the settings, profiles and word packs.)
+
+const STORAGE_KEY = 'neonTypeSoundPack'; // { name, sounds }
+const DB_NAME = 'neonTypeSoundPack';
+const STORE = 'audio';
+const AUDIO_KEY = 'pack'; // The one stored audio file, as a Blob
+
+let dbPromise = null;
+
+function openDB() {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return dbPromise;
+}
+
+// Runs fn against the store; resolves with the request's result once the transaction commits
+function withStore(mode, fn) {
+    return openDB().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const request = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(request ? request.result : undefined);
+        tx.onerror = () => reject(tx.error);
+    }));
+}
+
+function decode(audio) {
+    return audio.arrayBuffer().then(data => audioCtx.decodeAudioData(data));
+}
+
+export const SoundPack = {
+    name: null, // Loaded pack, null for the synthesized sounds
+
+    // pack: { name, sounds }; audio: the Blob (or File) they index into
+    load(pack, audio) {
+        return decode(audio).then(buffer => {
+            setSoundPack({ buffer, sounds: pack.sounds });
+            this.name = pack.name;
+            this.render();
+        });
+    },
+
+    save(pack, audio) {
+        return withStore('readwrite', store => store.put(audio, AUDIO_KEY))
+            .then(() => localStorage.setItem(STORAGE_KEY, JSON.stringify(pack)));
+    },
+
+    // The sprite map (.json) and its audio file, picked together
+    importFiles(files) {
+        const list = Array.from(files);
+        const map = list.find(f => /\.json$/i.test(f.name));
+        const audio = list.find(f => f !== map);
+        if (!map || !audio) {
+            this.setStatus('PICK THE SPRITE MAP (.JSON) AND ITS AUDIO FILE TOGETHER', [], true);
+            return Promise.resolve();
+        }
+        if (audio.size > MAX_SOUND_PACK_BYTES) {
+            this.setStatus(`AUDIO FILE OVER ${MAX_SOUND_PACK_BYTES / 1024 / 1024} MB`, [], true);
+            return Promise.resolve();
+        }
+
+        return map.text()
+            .then(text => {
+                const { sounds, errors } = parseSoundPack(text);
+                if (!sounds) {
+                    this.setStatus(errors[errors.length - 1].toUpperCase(), errors, true);
+                    return;
+                }
+                const pack = { name: audio.name.replace(/\.[^.]+$/, '').toUpperCase(), sounds };
+                return this.load(pack, audio).then(() => {
+                    const skipped = errors.length > 0 ? `, ${errors.length} SKIPPED` : '';
+                    const text = `LOADED ${pack.name} (${Object.keys(sounds).length} SOUNDS${skipped})`;
+                    this.setStatus(text, errors, errors.length > 0);
+                    return this.save(pack, audio)
+                        .catch(() => this.setStatus(text + ' // NOT STORED, THIS SESSION ONLY', errors, true));
+                });
+            })
+            .catch(() => this.setStatus('COULD NOT DECODE THE AUDIO FILE', [], true));
+    },
+
+    remove() {
+        setSoundPack(null);
+        this.name = null;
+        localStorage.removeItem(STORAGE_KEY);
+        withStore('readwrite', store => store.delete(AUDIO_KEY)).catch(() => {});
+        this.render();
+        this.setStatus('');
+    },
+
+    setStatus(text, details = [], warn = false) {
+        const el = document.getElementById('sound-pack-status');
+        el.innerText = text;
+        el.title = details.join('\n'); // Skipped entries on hover
+        el.classList.toggle('warn', warn);
+    },
+
+    render() {
+        document.getElementById('sound-pack-name').innerText = this.name || 'SYNTHESIZED';
+        document.getElementById('sound-pack-remove-btn').classList.toggle('hidden', !this.name);
+    },
+
+    init() {
+        const fileInput = document.getElementById('sound-pack-file');
+        document.getElementById('sound-pack-import-btn').addEventListener('click', () => fileInput.click());
+        document.getElementById('sound-pack-remove-btn').addEventListener('click', () => this.remove());
+        fileInput.addEventListener('change', e => {
+            if (e.target.files.length > 0) this.importFiles(e.target.files);
+            e.target.value = '';
+        });
+
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (err) {
+            // Corrupt entry: synthesized sounds
+        }
+        if (stored && stored.sounds) {
+            withStore('readonly', store => store.get(AUDIO_KEY))
+                .then(audio => audio && this.load(stored, audio))
+                .catch(() => this.setStatus('STORED SOUND PACK COULD NOT BE DECODED', [], true));
+        }
+        this.render();
+    }
+};
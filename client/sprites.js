@@ -0,0 +1,134 @@
+// Sprite Batching (Pure helpers for the WebGL backend in webgl.js; no DOM, so tested headless)
+// Every sprite is one instance of a unit quad: where it goes, its size and turn, the atlas
+// cell it shows, a tint, and how much of it adds light instead of covering what is under it
+// (glow: 0 covers like paint, 1 adds like the 2D renderer's 'lighter' sparks).
+
+export const SPRITE_FLOATS = 14; // x, y, w, h, rotation, u0, v0, u1, v1, r, g, b, a, glow
+
+export class SpriteBatch {
+    constructor(capacity = 256) {
+        this.data = new Float32Array(capacity * SPRITE_FLOATS);
+        this.count = 0;
+    }
+
+    clear() {
+        this.count = 0;
+    }
+
+    // Centred on x, y; color is [r, g, b, a] from 0 to 1
+    push(x, y, w, h, rotation, cell, color, glow = 0) {
+        if ((this.count + 1) * SPRITE_FLOATS > this.data.length) {
+            const grown = new Float32Array(this.data.length * 2); // Kept for the next frame
+            grown.set(this.data);
+            this.data = grown;
+        }
+        const d = this.data;
+        const i = this.count * SPRITE_FLOATS;
+        d[i] = x;
+        d[i + 1] = y;
+        d[i + 2] = w;
+        d[i + 3] = h;
+        d[i + 4] = rotation;
+        d[i + 5] = cell.u0;
+        d[i + 6] = cell.v0;
+        d[i + 7] = cell.u1;
+        d[i + 8] = cell.v1;
+        d[i + 9] = color[0];
+        d[i + 10] = color[1];
+        d[i + 11] = color[2];
+        d[i + 12] = color[3];
+        d[i + 13] = glow;
+        this.count++;
+    }
+
+    // The filled part, for the instance buffer
+    get view() {
+        return this.data.subarray(0, this.count * SPRITE_FLOATS);
+    }
+}
+
+// A square texture cut into equal cells, handed out as pictures are first asked for. When
+// every cell is taken they are all reclaimed and the pictures baked again on demand, so a
+// long run that meets many hull states can't outgrow the texture.
+export class SpriteAtlas {
+    constructor(size, cellSize) {
+        this.size = size;
+        this.cellSize = cellSize;
+        this.columns = Math.floor(size / cellSize);
+        this.cells = new Map(); // key -> { x, y, u0, v0, u1, v1 }
+        this.next = 0;
+    }
+
+    get capacity() {
+        return this.columns * this.columns;
+    }
+
+    // The cell holding key's picture; bake(cell) draws it the first time
+    lookup(key, bake) {
+        const found = this.cells.get(key);
+        if (found) return found;
+
+        if (this.next === this.capacity) {
+            this.cells.clear();
+            this.next = 0;
+        }
+        const index = this.next++;
+        const x = (index % this.columns) * this.cellSize;
+        const y = Math.floor(index / this.columns) * this.cellSize;
+        const inset = 0.5; // Half a texel, so filtering never reads the neighbouring cell
+        const cell = {
+            x, y,
+            u0: (x + inset) / this.size,
+            v0: (y + inset) / this.size,
+            u1: (x + this.cellSize - inset) / this.size,
+            v1: (y + this.cellSize - inset) / this.size
+        };
+        this.cells.set(key, cell);
+        bake(cell);
+        return cell;
+    }
+}
+
+// CSS colour (#rgb, #rrggbb, rgb(), rgba(), hsl(), hsla()) as [r, g, b, a] from 0 to 1;
+// the renderer's colours are all written in one of these
+export function parseColor(css) {
+    const text = String(css).trim().toLowerCase();
+
+    let hex = text.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        let digits = hex[1];
+        if (digits.length === 3) digits = digits.split('').map(d => d + d).join('');
+        return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16) / 255).concat(1);
+    }
+
+    const fn = text.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+    if (!fn) return [1, 1, 1, 1];
+    const args = fn[2].split(',').map(part => parseFloat(part));
+    const a = Number.isFinite(args[3]) ? args[3] : 1;
+
+    if (fn[1].startsWith('rgb')) return [args[0] / 255, args[1] / 255, args[2] / 255, a];
+
+    // HSL to RGB
+    const h = (((args[0] % 360) + 360) % 360) / 360;
+    const s = args[1] / 100;
+    const l = args[2] / 100;
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = (t) => {
+        t = (t + 1) % 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [channel(h + 1 / 3), channel(h), channel(h - 1 / 3), a];
+}
+
+// One side of a symmetric Gaussian blur: weights[0] for the centre texel, weights[i] for the
+// two at distance i, summing to 1 over the whole kernel
+export function blurWeights(taps, sigma) {
+    const weights = [];
+    for (let i = 0; i < taps; i++) weights.push(Math.exp(-(i * i) / (2 * sigma * sigma)));
+    const total = weights.reduce((sum, w, i) => sum + (i === 0 ? w : 2 * w), 0);
+    return weights.map(w => w / total);
+}
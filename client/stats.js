@@ -0,0 +1,108 @@
+import { bestsByDifficulty } from '../core/index.js';
+import { RunHistory } from './history.js';
+import { drawGraph } from './hud.js';
+import { Profiles } from './profiles.js';
+import { Online } from './online.js';
+
+// Service Record Screen (Trends and bests across every stored run)
+
+const DIFFICULTY_ORDER = ['easy', 'medium', 'hard', 'training'];
+
+export const StatsScreen = {
+    boardDifficulty: 'easy',
+
+    show() {
+        document.getElementById('start-screen').classList.remove('active');
+        document.getElementById('stats-screen').classList.add('active');
+        this.setStatus('');
+        this.renderBoards();
+        return this.refresh();
+    },
+
+    hide() {
+        document.getElementById('stats-screen').classList.remove('active');
+        document.getElementById('start-screen').classList.add('active');
+    },
+
+    refresh() {
+        return RunHistory.all()
+            .then(runs => this.render(runs))
+            .catch(() => this.setStatus('RUN HISTORY UNAVAILABLE IN THIS BROWSER', true));
+    },
+
+    render(runs) {
+        const summary = document.getElementById('stats-summary');
+        if (runs.length === 0) {
+            summary.innerText = 'NO RUNS YET';
+        } else {
+            const minutes = Math.round(runs.reduce((sum, r) => sum + r.duration, 0) / 60);
+            summary.innerText = `${runs.length} RUNS // ${minutes} MIN PLAYED // SINCE ${runs[0].date.slice(0, 10)}`;
+        }
+
+        drawGraph(runs.map(r => r.score), 'stats-score-graph');
+        drawGraph(runs.map(r => r.wpm), 'stats-wpm-graph', '#4ce0b3');
+
+        const bests = bestsByDifficulty(runs);
+        const table = document.getElementById('stats-bests');
+        table.innerHTML = '';
+        DIFFICULTY_ORDER.filter(d => bests[d]).forEach(difficulty => {
+            const best = bests[difficulty];
+            const row = document.createElement('div');
+            row.className = 'breakdown-row';
+            [difficulty.toUpperCase(), best.runs, best.score, best.wave, best.accuracy + '%', best.wpm].forEach(value => {
+                const cell = document.createElement('span');
+                cell.innerText = value;
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+    },
+
+    // Local and online top 10s for the selected difficulty
+    renderBoards() {
+        Profiles.renderBoards(this.boardDifficulty);
+        Online.renderRankings(this.boardDifficulty);
+    },
+
+    importFile(file) {
+        return RunHistory.importFile(file)
+            .then(({ added, errors }) => {
+                const skipped = errors.length > 0 ? `, ${errors.length} SKIPPED` : '';
+                this.setStatus(`IMPORTED ${added} RUNS${skipped}`, errors.length > 0, errors);
+                return this.refresh();
+            })
+            .catch(() => this.setStatus('IMPORT FAILED', true));
+    },
+
+    setStatus(text, warn = false, details = []) {
+        const el = document.getElementById('history-status');
+        el.innerText = text;
+        el.title = details.join('\n');
+        el.classList.toggle('warn', warn);
+    },
+
+    init() {
+        const fileInput = document.getElementById('history-file');
+
+        Online.init(() => this.renderBoards());
+
+        document.querySelectorAll('.board-btn').forEach(btn => {
+            btn.addEventListener('click', e => {
+                document.querySelectorAll('.board-btn').forEach(b => b.classList.remove('active'));
+                e.target.classList.add('active');
+                this.boardDifficulty = e.target.getAttribute('data-diff');
+                this.renderBoards();
+            });
+        });
+
+        document.getElementById('stats-btn').addEventListener('click', () => this.show());
+        document.getElementById('stats-back-btn').addEventListener('click', () => this.hide());
+        document.getElementById('history-json-btn').addEventListener('click', () => RunHistory.export('json'));
+        document.getElementById('history-csv-btn').addEventListener('click', () => RunHistory.export('csv'));
+        document.getElementById('history-import-btn').addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', e => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+    }
+};
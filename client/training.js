@@ -0,0 +1,43 @@
+import {
+    VOCABULARY, createErrorModel, updateErrorModel, isValidErrorModel, trainingFocus, trainingVocabulary, trainingWords
+} from '../core/index.js';
+
+// Training Error Model (Stored in localStorage, grows with every live run)
+
+const STORAGE_KEY = 'neonTypeErrorModel';
+
+function loadModel() {
+    try {
+        const model = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return isValidErrorModel(model) ? model : createErrorModel();
+    } catch (err) {
+        return createErrorModel();
+    }
+}
+
+export const Training = {
+    model: loadModel(),
+
+    // Every run teaches the model, whatever its difficulty
+    record(keyLog) {
+        if (keyLog.length === 0) return;
+        this.model = updateErrorModel(this.model, keyLog);
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.model));
+        this.render();
+    },
+
+    // Vocabulary for a training run: a word pack's words, or every built-in list of the mode
+    wordsFor(mode, pack = null) {
+        const words = pack
+            ? pack.words.map(({ word, weight }) => ({ word, weight }))
+            : trainingVocabulary(VOCABULARY[mode] || VOCABULARY.words);
+        return trainingWords(words, this.model);
+    },
+
+    render() {
+        const focus = trainingFocus(this.model);
+        document.getElementById('training-focus').innerText = focus.length > 0
+            ? 'TRAINING FOCUS: ' + focus.map(id => id.replace(' ', '␣')).join(' ')
+            : 'TRAINING LEARNS YOUR WEAK KEYS AS YOU PLAY';
+    }
+};
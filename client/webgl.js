@@ -0,0 +1,570 @@
+import { SHIELD_RADIUS } from '../core/index.js';
+import { SPRITE_FLOATS, SpriteBatch, SpriteAtlas, parseColor, blurWeights } from './sprites.js';
+import {
+    project, hullKey, hullExtent, hullTurn, hullColor, drawHull, drawShieldDome, domeOpacity, drawShipImage,
+    drawExplosionFrame, explosionFrameSize, imagesReady, SpriteExplosion, SHIP_SIZE, EXPLOSION_SCALE, PILOT_GLOW,
+    PARTICLE_COLORS, SPARK, engineFlame
+} from './renderer.js';
+
+// WebGL Renderer (Optional backend, picked on the settings screen)
+// The grid, enemy hulls, ships, particles and explosion frames are instanced sprites from one
+// atlas, drawn into an offscreen scene. Its bright parts are blurred into a bloom, and a CRT
+// pass (scanlines, vignette, colour fringe) finishes the frame. Word labels, shots and the
+// other effects are still drawn by the 2D renderer, onto a canvas that is laid over the scene
+// after the bloom so text stays sharp. Same methods as CanvasBackend (client/pipeline.js).
+
+const ATLAS_SIZE = 2048;
+const CELL_SIZE = 256;
+const BLOOM_THRESHOLD = 0.6; // Brightest channel where the glow starts (neon reds count, not just white)
+const BLOOM_STRENGTH = 1.1;
+const BLOOM_PASSES = 2; // Blur pairs (horizontal, vertical), each spreading its taps wider
+const BLUR_WEIGHTS = blurWeights(5, 2);
+const SCANLINE_SHADE = 0.12;
+const VIGNETTE_SHADE = 0.5;
+const FRINGE = 1.5; // Colour fringe at the edges, in pixels
+
+const WHITE = [1, 1, 1, 1];
+const SCREEN_VIEW = [1, 1, 0, 0]; // The grid is laid out in canvas pixels already
+const GRID_COLOR = 'rgba(76, 224, 179, 0.15)';
+
+// Shaders (GLSL ES 1.0). Sprite and full-screen quads share the corner attribute at location 0
+const SPRITE_VS = `
+attribute vec2 a_corner;
+attribute vec4 a_rect;
+attribute float a_rotation;
+attribute vec4 a_uv;
+attribute vec4 a_color;
+attribute float a_glow;
+uniform vec4 u_view; // Scale and offset from sprite coordinates to canvas pixels
+uniform vec2 u_resolution;
+varying vec2 v_uv;
+varying vec4 v_color;
+varying float v_glow;
+
+void main() {
+    float c = cos(a_rotation);
+    float s = sin(a_rotation);
+    vec2 local = a_corner * a_rect.zw;
+    vec2 world = a_rect.xy + vec2(local.x * c - local.y * s, local.x * s + local.y * c);
+    vec2 clip = (world * u_view.xy + u_view.zw) / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    v_uv = mix(a_uv.xy, a_uv.zw, a_corner + 0.5);
+    v_color = a_color;
+    v_glow = a_glow;
+}`;
+
+// Premultiplied: a glowing sprite gives up its coverage and only adds light
+const SPRITE_FS = `
+precision mediump float;
+uniform sampler2D u_atlas;
+varying vec2 v_uv;
+varying vec4 v_color;
+varying float v_glow;
+
+void main() {
+    vec4 texel = texture2D(u_atlas, v_uv);
+    texel.rgb *= v_color.rgb;
+    texel *= v_color.a;
+    gl_FragColor = vec4(texel.rgb, texel.a * (1.0 - v_glow));
+}`;
+
+const QUAD_VS = `
+attribute vec2 a_corner;
+varying vec2 v_uv;
+
+void main() {
+    v_uv = a_corner + 0.5;
+    gl_Position = vec4(a_corner * 2.0, 0.0, 1.0);
+}`;
+
+const BRIGHT_FS = `
+precision mediump float;
+uniform sampler2D u_source;
+uniform float u_threshold;
+varying vec2 v_uv;
+
+void main() {
+    vec3 color = texture2D(u_source, v_uv).rgb;
+    float peak = max(color.r, max(color.g, color.b));
+    gl_FragColor = vec4(color * smoothstep(u_threshold, 1.0, peak), 1.0);
+}`;
+
+const BLUR_FS = `
+precision mediump float;
+uniform sampler2D u_source;
+uniform vec2 u_step; // One tap along the blur, in texture coordinates
+uniform float u_weights[${BLUR_WEIGHTS.length}];
+varying vec2 v_uv;
+
+void main() {
+    vec3 sum = texture2D(u_source, v_uv).rgb * u_weights[0];
+    for (int i = 1; i < ${BLUR_WEIGHTS.length}; i++) {
+        vec2 offset = u_step * float(i);
+        sum += (texture2D(u_source, v_uv + offset).rgb + texture2D(u_source, v_uv - offset).rgb) * u_weights[i];
+    }
+    gl_FragColor = vec4(sum, 1.0);
+}`;
+
+// Scene plus bloom, the 2D canvas over both, then the CRT shading over everything. Shading is
+// composited as black over the page, so the vignette darkens the background too (as in 2D)
+const FINISH_FS = `
+precision mediump float;
+uniform sampler2D u_scene;
+uniform sampler2D u_bloom;
+uniform sampler2D u_overlay;
+uniform vec2 u_resolution;
+uniform float u_bloomStrength;
+uniform float u_scanlines;
+uniform float u_vignette;
+uniform float u_fringe;
+varying vec2 v_uv;
+
+void main() {
+    vec2 fromCentre = v_uv - 0.5;
+    vec2 shift = fromCentre * 2.0 * u_fringe / u_resolution;
+    vec4 scene = texture2D(u_scene, v_uv);
+    scene.r = texture2D(u_scene, v_uv + shift).r;
+    scene.b = texture2D(u_scene, v_uv - shift).b;
+
+    vec3 light = min(scene.rgb + texture2D(u_bloom, v_uv).rgb * u_bloomStrength, vec3(1.0));
+    vec4 color = vec4(light, max(scene.a, max(light.r, max(light.g, light.b))));
+
+    vec4 top = texture2D(u_overlay, vec2(v_uv.x, 1.0 - v_uv.y)); // Canvas rows run top down
+    color = top + color * (1.0 - top.a);
+
+    float scan = step(2.0, mod(gl_FragCoord.y, 4.0)) * u_scanlines;
+    float dist = length(fromCentre * u_resolution) / max(u_resolution.x, u_resolution.y);
+    float corner = clamp((dist - 0.35) / 0.4, 0.0, 1.0) * u_vignette;
+    float shade = 1.0 - (1.0 - scan) * (1.0 - corner);
+    gl_FragColor = vec4(color.rgb * (1.0 - shade), color.a * (1.0 - shade) + shade);
+}`;
+
+// Per-instance attributes: name, floats, offset into the sprite (see SPRITE_FLOATS)
+const SPRITE_ATTRIBUTES = [['a_rect', 4, 0], ['a_rotation', 1, 4], ['a_uv', 4, 5], ['a_color', 4, 9], ['a_glow', 1, 13]];
+
+function compile(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) throw new Error(gl.getShaderInfoLog(shader));
+    return shader;
+}
+
+function createProgram(gl, vertex, fragment) {
+    const program = gl.createProgram();
+    gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, vertex));
+    gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, fragment));
+    gl.bindAttribLocation(program, 0, 'a_corner');
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) throw new Error(gl.getProgramInfoLog(program));
+
+    const uniforms = {};
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+        const { name } = gl.getActiveUniform(program, i);
+        uniforms[name.replace(/\[0\]$/, '')] = gl.getUniformLocation(program, name);
+    }
+    const attributes = {};
+    for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES); i++) {
+        const { name } = gl.getActiveAttrib(program, i);
+        attributes[name] = gl.getAttribLocation(program, name);
+    }
+    return { program, uniforms, attributes };
+}
+
+function createTexture(gl, width, height) {
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    return texture;
+}
+
+// Offscreen texture to draw a pass into
+function createTarget(gl, width, height) {
+    const texture = createTexture(gl, width, height);
+    const framebuffer = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return { texture, framebuffer, width, height };
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+// Shared atlas pictures, drawn within ±1
+function drawDot(ctx) {
+    ctx.fillStyle = '#fff';
+    ctx.beginPath();
+    ctx.arc(0, 0, 0.98, 0, Math.PI * 2);
+    ctx.fill();
+}
+
+function drawHalo(ctx) {
+    const grad = ctx.createRadialGradient(0, 0, 0, 0, 0, 1);
+    grad.addColorStop(0, 'rgba(255, 255, 255, 1)');
+    grad.addColorStop(1, 'rgba(255, 255, 255, 0)');
+    ctx.fillStyle = grad;
+    ctx.fillRect(-1, -1, 2, 2);
+}
+
+function drawPixel(ctx) {
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(-1, -1, 2, 2);
+}
+
+export class WebGLRenderer {
+    // Throws where WebGL or instancing is unavailable, or a shader won't build
+    constructor(canvas) {
+        const gl = canvas.getContext('webgl', { alpha: true, premultipliedAlpha: true, antialias: false, depth: false });
+        const instancing = gl && gl.getExtension('ANGLE_instanced_arrays');
+        if (!instancing) throw new Error('WebGL instancing unavailable');
+
+        this.canvas = canvas;
+        this.gl = gl;
+        this.instancing = instancing;
+        this.overlay = document.createElement('canvas'); // The 2D renderer draws here
+        this.overlayCtx = this.overlay.getContext('2d');
+        this.cellCanvas = document.createElement('canvas'); // Atlas pictures are baked here first
+        this.cellCanvas.width = CELL_SIZE;
+        this.cellCanvas.height = CELL_SIZE;
+        this.cellCtx = this.cellCanvas.getContext('2d');
+
+        this.screenSprites = new SpriteBatch(); // Canvas pixels: the grid
+        this.worldSprites = new SpriteBatch(); // Playfield coordinates
+        this.view = [1, 1, 0, 0];
+        this.width = 1;
+        this.height = 1;
+        this.tints = new Map(); // CSS colour -> [r, g, b, a]
+        this.scratch = [0, 0, 0, 0]; // Tint with its own alpha (push copies it)
+        this.lost = false;
+
+        canvas.addEventListener('webglcontextlost', e => {
+            e.preventDefault(); // Lets the browser restore it
+            this.lost = true;
+        });
+        canvas.addEventListener('webglcontextrestored', () => {
+            this.setup();
+            this.lost = false;
+        });
+        this.setup();
+    }
+
+    // GPU resources; again after a lost context comes back
+    setup() {
+        const gl = this.gl;
+        this.sprites = createProgram(gl, SPRITE_VS, SPRITE_FS);
+        this.bright = createProgram(gl, QUAD_VS, BRIGHT_FS);
+        this.blur = createProgram(gl, QUAD_VS, BLUR_FS);
+        this.finish = createProgram(gl, QUAD_VS, FINISH_FS);
+
+        this.quad = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-0.5, -0.5, 0.5, -0.5, -0.5, 0.5, 0.5, 0.5]), gl.STATIC_DRAW);
+        this.instances = gl.createBuffer();
+
+        this.atlas = new SpriteAtlas(ATLAS_SIZE, CELL_SIZE);
+        this.atlasTexture = createTexture(gl, ATLAS_SIZE, ATLAS_SIZE);
+        this.overlayTexture = createTexture(gl, 1, 1);
+        this.targets = null; // Sized on the first frame
+
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    }
+
+    get spriteCount() {
+        return this.screenSprites.count + this.worldSprites.count;
+    }
+
+    tint(css) {
+        let color = this.tints.get(css);
+        if (!color) {
+            color = parseColor(css);
+            this.tints.set(css, color);
+        }
+        return color;
+    }
+
+    // css at a given opacity
+    fade(css, opacity) {
+        const color = this.tint(css);
+        const out = this.scratch;
+        out[0] = color[0];
+        out[1] = color[1];
+        out[2] = color[2];
+        out[3] = color[3] * opacity;
+        return out;
+    }
+
+    // The atlas cell for key; the first time, draw(ctx) paints it around the origin within ±extent
+    cell(key, extent, draw) {
+        return this.atlas.lookup(key, cell => {
+            const ctx = this.cellCtx;
+            ctx.clearRect(0, 0, CELL_SIZE, CELL_SIZE);
+            ctx.save();
+            ctx.translate(CELL_SIZE / 2, CELL_SIZE / 2);
+            ctx.scale(CELL_SIZE / 2 / extent, CELL_SIZE / 2 / extent);
+            draw(ctx);
+            ctx.restore();
+
+            const gl = this.gl;
+            gl.bindTexture(gl.TEXTURE_2D, this.atlasTexture);
+            gl.texSubImage2D(gl.TEXTURE_2D, 0, cell.x, cell.y, gl.RGBA, gl.UNSIGNED_BYTE, this.cellCanvas);
+        });
+    }
+
+    // Starts a frame of width x height canvas pixels, seen through view (see Camera.view) and
+    // shaken by shake (Camera.offset, for the grid). The 2D canvas is sized to match; the
+    // caller clears it
+    begin(width, height, view, shake = [0, 0]) {
+        if (this.overlay.width !== width || this.overlay.height !== height) {
+            this.overlay.width = width;
+            this.overlay.height = height;
+        }
+        this.width = width;
+        this.height = height;
+        this.view = view;
+        this.shake = shake;
+        this.screenSprites.clear();
+        this.worldSprites.clear();
+    }
+
+    // Same lines as BackgroundGrid.draw, as 1 pixel wide sprites
+    drawGrid(grid, alpha = 1) {
+        const { width, height } = this;
+        const [shakeX, shakeY] = this.shake;
+        const pixel = this.cell('pixel', 1, drawPixel);
+        const green = this.tint(GRID_COLOR);
+        grid.verticalLines(width, height, (x0, y0, x1, y1) => {
+            const length = Math.hypot(x1 - x0, y1 - y0);
+            this.screenSprites.push(
+                (x0 + x1) / 2 + shakeX, (y0 + y1) / 2 + shakeY, length, 1, Math.atan2(y1 - y0, x1 - x0), pixel, green
+            );
+        });
+        grid.horizontalLines(height, alpha, y => {
+            // Brighter towards the bottom (the 2D gradient runs to 0.3)
+            const color = this.fade(GRID_COLOR, 2 * y / height);
+            this.screenSprites.push(width / 2 + shakeX, y + shakeY, width, 1, 0, pixel, color);
+        });
+    }
+
+    drawParticles(particles, alpha = 1) {
+        const dot = this.cell('dot', 1, drawDot);
+        particles.forEach(particle => {
+            if (particle.life <= 0) return;
+            const p = project(lerp(particle.prevX, particle.x, alpha), lerp(particle.prevY, particle.y, alpha));
+            const size = p.scale * particle.size * 2;
+            const color = this.fade(PARTICLE_COLORS[particle.color], particle.life);
+            this.worldSprites.push(p.x, p.y, size, size, 0, dot, color, particle.color === SPARK ? 1 : 0);
+        });
+    }
+
+    // Hulls; drawEnemyMarkings adds the rest in 2D
+    drawEnemies(enemies, alpha = 1) {
+        const halo = this.cell('halo', 1, drawHalo);
+        enemies.forEach(enemy => {
+            const p = project(lerp(enemy.prevX, enemy.x, alpha), lerp(enemy.prevY, enemy.y, alpha));
+            const s = p.scale;
+            const age = lerp(enemy.age - 1, enemy.age, alpha);
+
+            if (enemy.type === 'shield') {
+                const extent = SHIELD_RADIUS + 2;
+                const dome = this.cell('dome', extent, ctx => drawShieldDome(ctx, 1));
+                this.worldSprites.push(p.x, p.y, extent * 2 * s, extent * 2 * s, 0, dome, this.fade('#fff', domeOpacity(age)));
+            }
+
+            const extent = hullExtent(enemy);
+            if (enemy.isLocked) {
+                // In place of the 2D shadow blur
+                const size = extent * 2.4 * s;
+                this.worldSprites.push(p.x, p.y, size, size, 0, halo, this.fade(hullColor(enemy), 0.5), 1);
+            }
+            const hull = this.cell(hullKey(enemy), extent, ctx => drawHull(ctx, enemy));
+            this.worldSprites.push(p.x, p.y, extent * 2 * s, extent * 2 * s, hullTurn(enemy, age), hull, WHITE);
+        });
+    }
+
+    drawPilots(pilots, alpha = 1) {
+        if (!imagesReady()) return;
+        const ship = this.cell('ship', SHIP_SIZE / 2, drawShipImage);
+        const halo = this.cell('halo', 1, drawHalo);
+        const dot = this.cell('dot', 1, drawDot);
+        pilots.forEach(pilot => {
+            const player = pilot.ship;
+            const p = project(player.x, player.y);
+            const s = p.scale;
+            const angle = lerp(player.prevAngle, player.angle, alpha);
+
+            const glow = SHIP_SIZE * 1.6 * s;
+            this.worldSprites.push(p.x, p.y, glow, glow, 0, halo, this.fade(PILOT_GLOW[pilot.index], 0.5), 1);
+            this.worldSprites.push(p.x, p.y, SHIP_SIZE * s, SHIP_SIZE * s, angle, ship, WHITE);
+
+            // Engine flame (Flickers per frame, or holds for reduced motion, as in 2D)
+            const back = (SHIP_SIZE / 2 - 10) * s;
+            const [flameAlpha, flameRadius] = engineFlame();
+            const flame = flameRadius * 2 * s;
+            this.worldSprites.push(
+                p.x - Math.sin(angle) * back, p.y + Math.cos(angle) * back, flame, flame, 0, dot,
+                this.fade('rgb(0, 240, 255)', flameAlpha)
+            );
+        });
+    }
+
+    // The sprite explosions among the effects
+    drawExplosions(effects) {
+        if (!imagesReady()) return;
+        const frame = explosionFrameSize();
+        const extent = Math.max(frame.width, frame.height) / 2;
+        effects.forEach(effect => {
+            if (!(effect instanceof SpriteExplosion) || !effect.active) return;
+            const cell = this.cell(`explosion,${effect.frame}`, extent, ctx => drawExplosionFrame(ctx, effect.frame));
+            const p = project(effect.x, effect.y);
+            const size = extent * 2 * p.scale * EXPLOSION_SCALE;
+            this.worldSprites.push(p.x, p.y, size, size, 0, cell, WHITE);
+        });
+    }
+
+    // Draws the frame's sprites, blooms them, and lays the 2D canvas and the CRT pass over them
+    present({ scanlines, vignette }) {
+        if (this.lost) return;
+        const gl = this.gl;
+        this.resizeTargets();
+        const { scene, bloom, blur } = this.targets;
+
+        gl.bindFramebuffer(gl.FRAMEBUFFER, scene.framebuffer);
+        gl.viewport(0, 0, scene.width, scene.height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.enable(gl.BLEND);
+        this.drawBatch(this.screenSprites, SCREEN_VIEW);
+        this.drawBatch(this.worldSprites, this.view);
+        gl.disable(gl.BLEND);
+
+        // Bloom (Half resolution)
+        this.pass(this.bright, bloom, u => {
+            this.bindTexture(0, scene.texture, u.u_source);
+            gl.uniform1f(u.u_threshold, BLOOM_THRESHOLD);
+        });
+        for (let i = 1; i <= BLOOM_PASSES; i++) {
+            this.pass(this.blur, blur, u => {
+                this.bindTexture(0, bloom.texture, u.u_source);
+                gl.uniform2f(u.u_step, i / bloom.width, 0);
+                gl.uniform1fv(u.u_weights, BLUR_WEIGHTS);
+            });
+            this.pass(this.blur, bloom, u => {
+                this.bindTexture(0, blur.texture, u.u_source);
+                gl.uniform2f(u.u_step, 0, i / bloom.height);
+                gl.uniform1fv(u.u_weights, BLUR_WEIGHTS);
+            });
+        }
+
+        gl.bindTexture(gl.TEXTURE_2D, this.overlayTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.overlay);
+
+        this.pass(this.finish, null, u => {
+            this.bindTexture(0, scene.texture, u.u_scene);
+            this.bindTexture(1, bloom.texture, u.u_bloom);
+            this.bindTexture(2, this.overlayTexture, u.u_overlay);
+            gl.uniform2f(u.u_resolution, this.width, this.height);
+            gl.uniform1f(u.u_bloomStrength, BLOOM_STRENGTH);
+            gl.uniform1f(u.u_scanlines, scanlines ? SCANLINE_SHADE : 0);
+            gl.uniform1f(u.u_vignette, vignette ? VIGNETTE_SHADE : 0);
+            gl.uniform1f(u.u_fringe, FRINGE);
+        });
+    }
+
+    // Rebuilt when the canvas is resized
+    resizeTargets() {
+        const gl = this.gl;
+        const { width, height } = this;
+        if (this.targets && this.targets.scene.width === width && this.targets.scene.height === height) return;
+        if (this.targets) {
+            Object.values(this.targets).forEach(target => {
+                gl.deleteTexture(target.texture);
+                gl.deleteFramebuffer(target.framebuffer);
+            });
+        }
+        const halfW = Math.max(1, Math.ceil(width / 2));
+        const halfH = Math.max(1, Math.ceil(height / 2));
+        this.targets = {
+            scene: createTarget(gl, width, height),
+            bloom: createTarget(gl, halfW, halfH),
+            blur: createTarget(gl, halfW, halfH)
+        };
+    }
+
+    bindQuad() {
+        const gl = this.gl;
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+        gl.enableVertexAttribArray(0);
+        gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    }
+
+    bindTexture(unit, texture, location) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.uniform1i(location, unit);
+    }
+
+    // One instanced draw for the whole batch
+    drawBatch(batch, view) {
+        if (batch.count === 0) return;
+        const gl = this.gl;
+        const ext = this.instancing;
+        const { program, uniforms, attributes } = this.sprites;
+
+        gl.useProgram(program);
+        gl.uniform4fv(uniforms.u_view, view);
+        gl.uniform2f(uniforms.u_resolution, this.width, this.height);
+        this.bindTexture(0, this.atlasTexture, uniforms.u_atlas);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.instances);
+        gl.bufferData(gl.ARRAY_BUFFER, batch.view, gl.DYNAMIC_DRAW);
+        SPRITE_ATTRIBUTES.forEach(([name, size, offset]) => {
+            const location = attributes[name];
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, SPRITE_FLOATS * 4, offset * 4);
+            ext.vertexAttribDivisorANGLE(location, 1);
+        });
+        this.bindQuad();
+        ext.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, batch.count);
+
+        // The full-screen passes only read the corner attribute
+        SPRITE_ATTRIBUTES.forEach(([name]) => {
+            ext.vertexAttribDivisorANGLE(attributes[name], 0);
+            gl.disableVertexAttribArray(attributes[name]);
+        });
+    }
+
+    // Full-screen quad through program into target (null: the canvas)
+    pass(program, target, setUniforms) {
+        const gl = this.gl;
+        gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+        gl.viewport(0, 0, target ? target.width : this.width, target ? target.height : this.height);
+        gl.useProgram(program.program);
+        this.bindQuad();
+        setUniforms(program.uniforms);
+        gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    }
+}
+
+// Takes over from the 2D canvas on success; null to stay in 2D. The WebGL context goes on a
+// fresh canvas, since one that has been given a WebGL context can't fall back to 2D
+export function createWebGLRenderer(canvas) {
+    const glCanvas = document.createElement('canvas');
+    let renderer;
+    try {
+        renderer = new WebGLRenderer(glCanvas);
+    } catch (err) {
+        return null;
+    }
+    glCanvas.id = canvas.id;
+    glCanvas.setAttribute('aria-hidden', 'true');
+    canvas.replaceWith(glCanvas);
+    return renderer;
+}
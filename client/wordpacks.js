@@ -0,0 +1,123 @@
+import { importWordPack, wordsForDifficulty } from '../core/index.js';
+
+// Custom Word Packs (Stored in localStorage, picked on the start screen)
+
+const STORAGE_KEY = 'neonTypeWordPacks';
+const SELECTED_KEY = 'neonTypeWordPack';
+const BUILTIN = 'builtin';
+
+function loadPacks() {
+    try {
+        const packs = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        return Array.isArray(packs) ? packs : [];
+    } catch (err) {
+        return [];
+    }
+}
+
+export const WordPacks = {
+    packs: loadPacks(), // [{ id, name, words: [{ word, weight, difficulty }] }]
+    selected: localStorage.getItem(SELECTED_KEY) || BUILTIN,
+
+    current() {
+        return this.packs.find(p => p.id === this.selected) || null;
+    },
+
+    // Vocabulary for a new run, or null to use the built-in lists
+    wordsFor(difficulty) {
+        const pack = this.current();
+        return pack ? wordsForDifficulty(pack, difficulty) : null;
+    },
+
+    save() {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(this.packs));
+        localStorage.setItem(SELECTED_KEY, this.selected);
+    },
+
+    select(id) {
+        this.selected = this.packs.some(p => p.id === id) ? id : BUILTIN;
+        this.save();
+        this.render();
+    },
+
+    remove(id) {
+        this.packs = this.packs.filter(p => p.id !== id);
+        this.select(this.selected);
+    },
+
+    importFile(file) {
+        return file.text().then(text => {
+            const { pack, errors } = importWordPack(text, file.name);
+            if (!pack) {
+                this.setStatus(errors[errors.length - 1].toUpperCase(), errors, true);
+                return;
+            }
+
+            // Re-importing a pack with the same name replaces it
+            const { packs, selected } = this;
+            const existing = packs.find(p => p.name === pack.name);
+            const id = existing ? existing.id : 'pack-' + Date.now().toString(36);
+            this.packs = packs.filter(p => p !== existing).concat({ id, ...pack });
+            try {
+                this.select(id);
+            } catch (err) {
+                // Storage full: back to the packs that are stored
+                this.packs = packs;
+                this.selected = selected;
+                this.render();
+                this.setStatus(`NO ROOM TO SAVE ${pack.name}`, [], true);
+                return;
+            }
+
+            const skipped = errors.length > 0 ? `, ${errors.length} SKIPPED` : '';
+            this.setStatus(`LOADED ${pack.name} (${pack.words.length} WORDS${skipped})`, errors, errors.length > 0);
+        }, () => this.setStatus('COULD NOT READ THE FILE', [], true));
+    },
+
+    setStatus(text, details = [], warn = false) {
+        const el = document.getElementById('pack-status');
+        el.innerText = text;
+        el.title = details.join('\n'); // Full list of skipped entries on hover
+        el.classList.toggle('warn', warn);
+    },
+
+    render() {
+        const select = document.getElementById('pack-select');
+        select.innerHTML = '';
+        [{ id: BUILTIN, name: 'STANDARD' }].concat(this.packs).forEach(pack => {
+            const option = document.createElement('option');
+            option.value = pack.id;
+            option.innerText = pack.words ? `${pack.name} (${pack.words.length})` : pack.name;
+            select.appendChild(option);
+        });
+        select.value = this.selected;
+        document.getElementById('pack-remove-btn').classList.toggle('hidden', this.selected === BUILTIN);
+    },
+
+    init() {
+        const fileInput = document.getElementById('pack-file');
+        const startScreen = document.getElementById('start-screen');
+
+        document.getElementById('pack-select').addEventListener('change', e => this.select(e.target.value));
+        document.getElementById('pack-import-btn').addEventListener('click', () => fileInput.click());
+        document.getElementById('pack-remove-btn').addEventListener('click', () => this.remove(this.selected));
+        fileInput.addEventListener('change', e => {
+            if (e.target.files.length > 0) this.importFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Drag & Drop anywhere on the start screen
+        startScreen.addEventListener('dragover', e => {
+            e.preventDefault();
+            startScreen.classList.add('drop-target');
+        });
+        startScreen.addEventListener('dragleave', () => startScreen.classList.remove('drop-target'));
+        startScreen.addEventListener('drop', e => {
+            e.preventDefault();
+            startScreen.classList.remove('drop-target');
+            if (e.dataTransfer.files.length > 0) this.importFile(e.dataTransfer.files[0]);
+        });
+
+        this.render();
+    }
+};
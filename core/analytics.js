@@ -0,0 +1,78 @@
+import { TICK_MS } from './clock.js';
+
+// Typing Analytics
+// Built from the key log the game keeps: one { typed, intended, start, tick, latency } per keystroke.
+// intended is the character the game expected (null when the key matched nothing on screen),
+// start marks the key that locked onto a word and latency is ticks since the previous
+// keystroke (null for the first).
+
+const CHARS_PER_WORD = 5;
+const TOP = 5; // Entries in each "worst" list
+
+// Keys are compared case-insensitively so the heatmap maps onto physical keys
+const keyOf = char => char.toUpperCase();
+
+// Time to the second key of two correct keys in a row within one word: { AB: { count, totalMs } }
+export function bigramTimes(keyLog) {
+    const bigrams = {};
+    for (let i = 1; i < keyLog.length; i++) {
+        const prev = keyLog[i - 1];
+        const curr = keyLog[i];
+        if (prev.typed !== prev.intended || curr.typed !== curr.intended || curr.start) continue;
+        const id = keyOf(prev.intended) + keyOf(curr.intended);
+        const entry = bigrams[id] || (bigrams[id] = { count: 0, totalMs: 0 });
+        entry.count++;
+        entry.totalMs += curr.latency * TICK_MS;
+    }
+    return bigrams;
+}
+
+export function analyzeKeys(keyLog) {
+    const total = keyLog.length;
+    const correct = keyLog.filter(k => k.typed === k.intended).length;
+    const errors = total - correct;
+
+    // Active typing time: first to last keystroke (plus one tick so a single burst isn't zero)
+    const minutes = total > 0 ? ((keyLog[total - 1].tick - keyLog[0].tick + 1) * TICK_MS) / 60000 : 0;
+    const perMinute = n => minutes > 0 ? Math.round((n / CHARS_PER_WORD) / minutes) : 0;
+    const rawWpm = perMinute(total);
+    const netWpm = minutes > 0 ? Math.max(0, Math.round(rawWpm - errors / minutes)) : 0;
+
+    // Heatmap: how often each intended key was missed
+    const keys = {};
+    keyLog.forEach(k => {
+        if (k.intended === null || k.intended === ' ') return;
+        const key = keyOf(k.intended);
+        const entry = keys[key] || (keys[key] = { presses: 0, errors: 0, errorRate: 0 });
+        entry.presses++;
+        if (k.typed !== k.intended) entry.errors++;
+    });
+    Object.values(keys).forEach(entry => entry.errorRate = entry.errors / entry.presses);
+
+    // Confused pairs: wanted one key, hit another
+    const confusions = {};
+    keyLog.forEach(k => {
+        if (k.intended === null || k.typed === k.intended) return;
+        const id = k.intended + '\u0000' + k.typed;
+        (confusions[id] || (confusions[id] = { intended: k.intended, typed: k.typed, count: 0 })).count++;
+    });
+
+    const bigrams = bigramTimes(keyLog);
+
+    return {
+        keystrokes: total,
+        errors,
+        stray: keyLog.filter(k => k.intended === null).length, // Keys that matched no target at all
+        wpm: perMinute(correct),
+        rawWpm,
+        netWpm,
+        keys,
+        confusions: Object.values(confusions).sort((a, b) => b.count - a.count).slice(0, TOP),
+        // Slow bigrams, ignoring pairs seen once (noise)
+        slowBigrams: Object.entries(bigrams)
+            .filter(([, b]) => b.count >= 2)
+            .map(([bigram, { count, totalMs }]) => ({ bigram, count, avgMs: Math.round(totalMs / count) }))
+            .sort((a, b) => b.avgMs - a.avgMs)
+            .slice(0, TOP)
+    };
+}
@@ -0,0 +1,33 @@
+// Simulation Clock (Fixed timestep, independent of display refresh rate)
+// All speeds, timers and decay rates are expressed per simulation tick.
+export const TICK_RATE = 60; // Ticks per second
+export const TICK_MS = 1000 / TICK_RATE;
+export const MAX_FRAME_MS = 250; // Longer stalls (throttled tab) are dropped, not fast-forwarded
+
+export class Clock {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.accumulator = 0;
+        this.alpha = 0; // Fraction of a tick elapsed since the last step (render interpolation)
+    }
+
+    // Returns the number of simulation ticks to run for this frame
+    advance(now) {
+        if (this.lastTime === null) this.lastTime = now;
+        const frameTime = Math.min(now - this.lastTime, MAX_FRAME_MS);
+        this.lastTime = now;
+        this.accumulator += frameTime;
+
+        let steps = 0;
+        while (this.accumulator >= TICK_MS) {
+            this.accumulator -= TICK_MS;
+            steps++;
+        }
+        this.alpha = this.accumulator / TICK_MS;
+        return steps;
+    }
+}
@@ -0,0 +1,23 @@
+// Minimal Event Emitter
+// The simulation announces what happened; renderer, HUD and audio subscribe.
+export class Emitter {
+    constructor() {
+        this.listeners = {};
+    }
+
+    on(type, fn) {
+        if (!this.listeners[type]) this.listeners[type] = [];
+        this.listeners[type].push(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const list = this.listeners[type];
+        if (list) this.listeners[type] = list.filter(l => l !== fn);
+    }
+
+    emit(type, payload) {
+        const list = this.listeners[type];
+        if (list) list.slice().forEach(fn => fn(payload));
+    }
+}
@@ -0,0 +1,214 @@
+// Simulation Entities
+// State and per-tick movement only; drawing lives in client/renderer.js.
+// prevX/prevY/prevAngle hold last tick's values for render interpolation.
+
+export class Player {
+    constructor(field, x = field.width / 2) {
+        this.x = x;
+        this.y = field.height - 100;
+        this.angle = 0;
+        this.prevAngle = 0;
+        this.targetAngle = 0;
+    }
+
+    update(targetX, targetY) {
+        this.prevAngle = this.angle;
+        if (targetX !== null) {
+            this.targetAngle = Math.atan2(targetY - this.y, targetX - this.x) + Math.PI / 2;
+        } else {
+            this.targetAngle = 0;
+        }
+        let diff = this.targetAngle - this.angle;
+        while (diff > Math.PI) diff -= Math.PI * 2;
+        while (diff < -Math.PI) diff += Math.PI * 2;
+        this.angle += diff * 0.15;
+    }
+}
+
+// Enemy Archetypes
+//   points: score per letter, damage: hull lost on a breach, speed: fall speed factor
+//   weight / growth / minWave: spawn weight once the wave reaches minWave, plus growth per wave after
+//   drone:    the standard enemy
+//   scout:    zig-zags across its lane
+//   armored:  the word has to be typed twice
+//   splitter: breaks into two fragments with short words when destroyed
+//   bomber:   dives once half of its word is typed
+//   shield:   enemies near a shield carrier can't be locked until it is destroyed
+//   fragment: splitter debris, never spawned on its own
+//   missile:  fired by a boss at the player; typing its counter-word intercepts it
+export const ENEMY_TYPES = {
+    drone: { points: 10, damage: 20, speed: 1, weight: 10, growth: 0, minWave: 1 },
+    scout: { points: 12, damage: 20, speed: 1.3, weight: 3, growth: 1, minWave: 2 },
+    armored: { points: 20, damage: 20, speed: 0.7, weight: 2, growth: 1, minWave: 3 },
+    splitter: { points: 10, damage: 20, speed: 0.9, weight: 2, growth: 1, minWave: 4 },
+    bomber: { points: 15, damage: 30, speed: 0.9, weight: 2, growth: 1, minWave: 5 },
+    shield: { points: 20, damage: 20, speed: 0.6, weight: 1, growth: 0.5, minWave: 6 },
+    fragment: { points: 10, damage: 10, speed: 1.1, weight: 0, growth: 0, minWave: Infinity },
+    missile: { points: 5, damage: 10, speed: 2, weight: 0, growth: 0, minWave: Infinity }
+};
+
+export const SCOUT_SWAY = 70; // Horizontal reach either side of its lane
+export const BOMBER_BOOST = 2.5; // Fall speed factor once primed
+export const SHIELD_RADIUS = 160;
+
+export class Enemy {
+    constructor(word, rng, field, type = 'drone') {
+        this.word = word;
+        this.type = type;
+        this.matchedIndex = 0;
+        this.x = rng() * (field.width - 200) + 100;
+        this.prevX = this.x;
+        this.y = -100;
+        this.prevY = this.y;
+        this.floor = field.height;
+        // Long phrases fall slower so they stay typeable
+        this.speed = (rng() * 0.8 + 0.5) * Math.min(1, 12 / word.length) * ENEMY_TYPES[type].speed;
+        this.isLocked = false;
+        this.lockedBy = 0; // Versus: which player's lock
+        this.markedForDeletion = false;
+        this.age = 0; // Ticks alive (drives ring rotation and eye pulse)
+
+        this.armor = type === 'armored' ? 1 : 0; // Extra times the word must be typed
+        this.primed = false; // Bombers: half-typed, diving
+        this.shielded = false; // Covered by a nearby shield carrier
+        this.powerUp = null; // Granted when destroyed (see powerups.js)
+        this.attack = false; // Races: destroying it sends the word to the opponent (see race.js)
+        this.incoming = false; // Races: sent by the opponent
+        this.target = null; // Versus: the player a missile was fired at (see GameCore.targetOf)
+        // Scoring (see scoring.js)
+        this.lockTick = null; // First locked
+        this.lettersTyped = 0;
+        this.errors = 0; // Wrong keys while locked on
+        if (type === 'scout') {
+            this.laneX = this.x;
+            this.phase = rng() * Math.PI * 2;
+        }
+    }
+
+    // Missiles: head for a point (the player) instead of falling straight down
+    aimAt(x, y) {
+        this.vx = (x - this.x) * this.speed / Math.max(1, y - this.y);
+        this.floor = y;
+    }
+
+    update(difficultyMultiplier) {
+        this.prevX = this.x;
+        this.prevY = this.y;
+
+        let speed = this.speed * difficultyMultiplier;
+        if (this.type === 'missile') {
+            this.x += this.vx * difficultyMultiplier;
+        } else if (this.type === 'scout') {
+            this.x = this.laneX + Math.sin(this.age * 0.05 + this.phase) * SCOUT_SWAY;
+        } else if (this.type === 'bomber') {
+            if (this.matchedIndex * 2 >= this.word.length) this.primed = true; // Stays primed if released
+            if (this.primed) speed *= BOMBER_BOOST;
+        }
+
+        this.y += speed;
+        this.age++;
+        if (this.y > this.floor) {
+            this.markedForDeletion = true;
+            return 'damage';
+        }
+        return null;
+    }
+}
+
+// Boss: its health is a sequence of words typed in order. Lockable like an enemy;
+// word is always the current segment.
+export class Boss {
+    constructor(segments, field) {
+        this.type = 'boss';
+        this.segments = segments;
+        this.segment = 0;
+        this.matchedIndex = 0;
+        this.x = field.width / 2;
+        this.prevX = this.x;
+        this.y = -150;
+        this.prevY = this.y;
+        this.homeY = 140; // Descends to here, then sweeps sideways
+        this.sweep = field.width * 0.3;
+        this.centerX = this.x;
+        this.isLocked = false;
+        this.lockedBy = 0;
+        this.markedForDeletion = false;
+        this.shielded = false;
+        this.armor = 0;
+        this.age = 0;
+        this.sweepAge = 0;
+        this.fireTimer = 0;
+        this.lockTick = null;
+        this.lettersTyped = 0;
+        this.errors = 0;
+        this.totalLetters = segments.reduce((sum, w) => sum + w.length, 0);
+    }
+
+    get word() {
+        return this.segments[this.segment];
+    }
+
+    // 1 (untouched) to 0 (destroyed), by letters typed
+    get health() {
+        const typed = this.segments.slice(0, this.segment).reduce((sum, w) => sum + w.length, 0) + this.matchedIndex;
+        return 1 - typed / this.totalLetters;
+    }
+
+    update() {
+        this.prevX = this.x;
+        this.prevY = this.y;
+        this.age++;
+
+        if (this.y < this.homeY) {
+            this.y = Math.min(this.homeY, this.y + 2);
+        } else {
+            this.sweepAge++;
+            this.x = this.centerX + Math.sin(this.sweepAge * 0.01) * this.sweep;
+        }
+        return null; // Never breaches
+    }
+}
+
+// Pooled (see pool.js): reset starts it over
+export class Projectile {
+    constructor(x, y, target) {
+        this.trail = [];
+        this.reset(x, y, target);
+    }
+
+    reset(x, y, target) {
+        this.x = x;
+        this.y = y;
+        this.prevX = x;
+        this.prevY = y;
+        this.target = target;
+        this.speed = 20; // Faster lasers
+        this.active = true;
+        this.trail.length = 0;
+    }
+
+    update() {
+        if (!this.target || this.target.markedForDeletion) {
+            this.active = false;
+            return;
+        }
+
+        this.prevX = this.x;
+        this.prevY = this.y;
+        const angle = Math.atan2(this.target.y - this.y, this.target.x - this.x);
+        this.x += Math.cos(angle) * this.speed;
+        this.y += Math.sin(angle) * this.speed;
+
+        // Last 8 positions; the oldest point is reused for the newest
+        const point = this.trail.length >= 8 ? this.trail.shift() : {};
+        point.x = this.x;
+        point.y = this.y;
+        this.trail.push(point);
+
+        const dist = Math.hypot(this.x - this.target.x, this.y - this.target.y);
+        if (dist < 30) {
+            this.active = false;
+            return 'hit';
+        }
+    }
+}
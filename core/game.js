@@ -0,0 +1,768 @@
+import { Emitter } from './emitter.js';
+import { createRNG, randomSeed } from './rng.js';
+import { VOCABULARY } from './words.js';
+import { Enemy, Boss, Projectile, ENEMY_TYPES, SHIELD_RADIUS } from './entities.js';
+import { Pilot } from './pilot.js';
+import { Pool, sweep } from './pool.js';
+import { waveDefinition, INTERMISSION_TICKS, WAVE_HEAL } from './waves.js';
+import { POWER_UPS, POWERUP_CHANCE, SLOW_TICKS, SLOW_FACTOR } from './powerups.js';
+import { multiplierFor, scoreKill } from './scoring.js';
+import { analyzeKeys } from './analytics.js';
+import { TRAINING, trainingVocabulary } from './training.js';
+import { VERSUS_PLAYERS, KEYBOARD_HALVES, STEAL_BONUS, versusVocabulary } from './versus.js';
+import { RACE_SALT, ATTACK_CHANCE, ATTACK_TYPE, ATTACK_INPUT } from './race.js';
+
+// 2: enemy archetypes, 3: boss waves, 4: scripted waves, 5: power-ups (each changes what the
+// RNG is drawn for), 6: scoring model (recorded scores no longer verify), 7: versus breaches
+// and steals follow the ship an enemy is headed for
+export const REPLAY_VERSION = 7;
+
+// Every live run's playfield, whatever the window size (the canvas fits it in, letterboxed), so runs on
+// different screens face the same field and can share a leaderboard
+export const STANDARD_FIELD = { width: 1280, height: 720 };
+
+// Typing Rules
+//   forgiving: a wrong key only breaks the streak
+//   strict:    a wrong key costs hull and drops the lock (progress on that word is lost)
+//   retarget:  forgiving, plus Backspace releases the lock to switch to another enemy
+export const STRICTNESS = ['forgiving', 'strict', 'retarget'];
+export const STRICT_PENALTY = 5;
+
+// Boss Waves (see waves.js for which waves have one)
+export const BOSS_REWARD = 500; // Bonus score on top of the letters typed, plus a full hull
+
+// Game Simulation (Headless)
+// Owns every gameplay rule and advances one fixed tick per step(). It never touches
+// the DOM; the browser shell listens to these events:
+//   enemySpawned (enemy), enemyLocked (enemy), targetReleased ({ enemy, reason }),
+//   shotFired (projectile), keyMissed ({ key }), armorBroken (enemy),
+//   enemyDestroyed ({ enemy, points, breakdown }), multiplierChanged (multiplier), enemySplit ({ enemy, fragments }), damageTaken ({ amount, health }),
+//   bossSpawned (boss), bossDamaged (boss), bossFired (missile), bossDefeated ({ boss, points }),
+//   powerUpCollected ({ type, enemy }), powerUpUsed (type), powerUpExpired (type),
+//   waveCleared (wave summary), waveChanged (wave), gameOver (result),
+//   attackSent ({ word }), attackReceived (enemy) (races only)
+// Events caused by one player's keys or hull (enemyDestroyed, damageTaken) name them in `player`.
+export class GameCore extends Emitter {
+    // mode: 'words' (upper-case, keys are upper-cased), 'phrases' or 'code' (typed exactly,
+    // spaces included). words: optional custom vocabulary [{ word, weight }] (see
+    // wordpacks.js and training.js); defaults to the built-in list for the mode and difficulty,
+    // or every list of the mode for the training difficulty.
+    // players: 1, or 2 for split-keyboard versus (see versus.js; words mode with its own words).
+    // race: one side of an online race (see race.js)
+    constructor({
+        seed = randomSeed(), difficulty = 'easy', mode = 'words', strictness = 'forgiving',
+        field = STANDARD_FIELD, words = null, players = 1, race = false, replay = null
+    } = {}) {
+        super();
+        if (replay) {
+            seed = replay.seed;
+            difficulty = replay.difficulty;
+            mode = replay.mode || 'words';
+            strictness = replay.strictness || 'forgiving';
+            field = replay.field;
+            words = replay.words || null;
+            players = replay.players || 1;
+            race = !!replay.race;
+        }
+        this.versus = players === VERSUS_PLAYERS;
+        if (this.versus) {
+            mode = 'words';
+            words = words || versusVocabulary();
+        }
+
+        this.seed = seed;
+        this.difficulty = difficulty;
+        this.mode = mode;
+        this.strictness = strictness;
+        this.caseSensitive = mode !== 'words';
+        this.field = { ...field }; // Playfield size, fixed per run
+        const lists = VOCABULARY[mode] || VOCABULARY.words;
+        this.words = words || (difficulty === TRAINING
+            ? trainingVocabulary(lists)
+            : (lists[difficulty] || lists.easy).map(word => ({ word, weight: 1 })));
+        this.byLength = [...this.words].sort((a, b) => a.word.length - b.word.length);
+        // Splitter fragments: the short end of the vocabulary (at least a quarter of it)
+        const short = this.byLength.map(w => w.word).filter(w => w.length <= 5);
+        this.shortWords = short.length >= this.words.length / 4
+            ? short
+            : this.byLength.slice(0, Math.ceil(this.words.length / 4)).map(w => w.word);
+        this.rng = createRNG(seed);
+        // Races draw the wave stream apart from everything typing can influence; a normal run
+        // draws both from the one RNG
+        this.race = race;
+        this.spawnRng = race ? createRNG(seed ^ RACE_SALT) : this.rng;
+        this.tick = 0;
+        this.over = false;
+        this.result = null;
+
+        this.boss = null;
+        this.bossesDefeated = 0;
+
+        // One pilot per player: ship, score, hull, lock, power-ups and stats
+        this.pilots = this.versus
+            ? KEYBOARD_HALVES.map((keys, i) => new Pilot(i, this.field, this.field.width * (0.25 + 0.5 * i), keys))
+            : [new Pilot(0, this.field)];
+
+        this.startWave(1);
+
+        this.enemies = [];
+        this.blast = null; // Enemies an EMP going off has hit so far
+        this.projectiles = [];
+        this.projectilePool = new Pool(Projectile);
+
+        // Replays
+        this.inputQueue = []; // Keys pressed since the last tick
+        this.attackQueue = []; // Races: words the opponent sent since the last tick
+        this.playback = replay ? { replay, cursor: 0 } : null;
+        this.recording = replay ? null : {
+            version: REPLAY_VERSION,
+            seed,
+            difficulty,
+            mode,
+            strictness,
+            field: { ...this.field },
+            inputs: [] // [tick, key] or [tick, ATTACK_INPUT, word]
+        };
+        if (this.recording && this.race) this.recording.race = true;
+        if (this.recording && this.versus) this.recording.players = players;
+        else if (this.recording && words) this.recording.words = words; // Custom packs travel with the replay
+    }
+
+    // Single-player view: the only pilot (the first, in versus)
+    get player() {
+        return this.pilots[0].ship;
+    }
+
+    get lockedTarget() {
+        return this.pilots[0].lockedTarget;
+    }
+
+    get multiplier() {
+        return this.pilots[0].multiplier;
+    }
+
+    get powerUps() {
+        return this.pilots[0].powerUps;
+    }
+
+    get stats() {
+        return this.pilots[0].stats;
+    }
+
+    get health() {
+        return this.pilots[0].health;
+    }
+
+    set health(value) {
+        this.pilots[0].health = value;
+    }
+
+    // Every pilot's points combined
+    get score() {
+        return this.pilots.reduce((sum, p) => sum + p.score, 0);
+    }
+
+    sumStat(key) {
+        return this.pilots.reduce((sum, p) => sum + p.stats[key], 0);
+    }
+
+    // Versus: whose half of the keyboard a word is typed with, wherever it is on the field
+    pilotForWord(word) {
+        return this.pilotForKey(word[0]) || this.pilots[0];
+    }
+
+    // Versus: whose ship an enemy is headed for. A missile goes for the one it was fired at,
+    // anything else for the player whose word it carries
+    targetOf(enemy) {
+        return Number.isInteger(enemy.target) ? this.pilots[enemy.target] : this.pilotForWord(enemy.word);
+    }
+
+    pilotForKey(key) {
+        if (!this.versus) return this.pilots[0];
+        return this.pilots.find(p => p.owns(key)) || null; // Backspace, digits... belong to nobody
+    }
+
+    // Locks on anything that just died are let go
+    dropDeadLocks() {
+        this.pilots.forEach(p => {
+            if (p.lockedTarget && p.lockedTarget.markedForDeletion) p.lockedTarget = null;
+        });
+    }
+
+    queueInput(key) {
+        if (this.over || this.playback) return;
+        this.inputQueue.push(key);
+    }
+
+    // Races: an attack word from the opponent; anything outside the shared vocabulary is dropped
+    queueAttack(word) {
+        if (this.over || this.playback || !this.race) return false;
+        if (!this.words.some(w => w.word === word)) return false;
+        this.attackQueue.push(word);
+        return true;
+    }
+
+    // Inputs are applied at the start of a tick, so recording the tick is enough to replay them
+    processInputs() {
+        if (this.playback) {
+            const { replay } = this.playback;
+            while (this.playback.cursor < replay.inputs.length && replay.inputs[this.playback.cursor][0] <= this.tick) {
+                const [, key, word] = replay.inputs[this.playback.cursor];
+                if (key === ATTACK_INPUT) this.receiveAttack(word);
+                else this.handleInput(key);
+                this.playback.cursor++;
+            }
+            return;
+        }
+
+        // Attacks first, so playback (in recorded order) applies them the same way
+        this.attackQueue.forEach(word => {
+            this.recording.inputs.push([this.tick, ATTACK_INPUT, word]);
+            this.receiveAttack(word);
+        });
+        this.attackQueue = [];
+
+        this.inputQueue.forEach(key => {
+            this.recording.inputs.push([this.tick, key]);
+            this.handleInput(key);
+        });
+        this.inputQueue = [];
+    }
+
+    // Waves
+    startWave(wave) {
+        const def = waveDefinition(wave);
+        this.wave = wave;
+        this.waveDef = def;
+        this.waveSpawned = 0;
+        this.spawnTimer = 0;
+        this.bossPending = !!def.boss;
+        this.intermission = 0;
+
+        // Words for this wave: a length-ranked slice of the vocabulary (never empty)
+        const n = this.byLength.length;
+        const from = Math.min(n - 1, Math.floor(def.wordLength[0] * n));
+        this.pool = this.byLength.slice(from, Math.max(from + 1, Math.ceil(def.wordLength[1] * n)));
+        this.poolWeight = this.pool.reduce((sum, w) => sum + w.weight, 0);
+
+        this.waveStats = {
+            startTick: this.tick,
+            startScore: this.score,
+            startKeysTyped: this.sumStat('keysTyped'),
+            startKeysHit: this.sumStat('keysHit'),
+            kills: 0,
+            breaches: 0
+        };
+        this.emit('waveChanged', wave);
+    }
+
+    // Everything the wave spawned is gone: repair, report and take a breather
+    endWave() {
+        const ws = this.waveStats;
+        const keysTyped = this.sumStat('keysTyped') - ws.startKeysTyped;
+        const summary = {
+            wave: this.wave,
+            kills: ws.kills,
+            breaches: ws.breaches,
+            points: this.score - ws.startScore,
+            accuracy: keysTyped > 0 ? Math.floor(((this.sumStat('keysHit') - ws.startKeysHit) / keysTyped) * 100) : 100,
+            ticks: this.tick - ws.startTick
+        };
+
+        this.pilots.forEach(p => {
+            p.health = Math.min(100, p.health + WAVE_HEAL);
+            p.stats.scoreHistory.push(p.score); // Record history point
+            p.stats.waves.push(summary);
+        });
+        this.intermission = INTERMISSION_TICKS;
+        this.emit('waveCleared', summary);
+    }
+
+    // Weighted pick from the wave's words; with equal weights this is a plain uniform index
+    pickWord(rng = this.rng) {
+        let roll = rng() * this.poolWeight;
+        for (const entry of this.pool) {
+            roll -= entry.weight;
+            if (roll < 0) return entry.word;
+        }
+        return this.pool[this.pool.length - 1].word;
+    }
+
+    // Weighted pick among the archetypes of the current wave
+    pickType(rng = this.rng) {
+        const available = Object.entries(this.waveDef.types).map(([name, weight]) => ({ name, weight }));
+        if (available.length === 1) return available[0].name;
+
+        let roll = rng() * available.reduce((sum, t) => sum + t.weight, 0);
+        for (const type of available) {
+            roll -= type.weight;
+            if (roll < 0) return type.name;
+        }
+        return available[available.length - 1].name;
+    }
+
+    spawnEnemy(type = this.pickType(), word = this.pickWord(), rng = this.rng) {
+        const enemy = new Enemy(word, rng, this.field, type);
+        this.enemies.push(enemy);
+        this.updateShields();
+        this.emit('enemySpawned', enemy);
+        return enemy;
+    }
+
+    // Two fragments with short words, either side of the splitter
+    splitEnemy(enemy) {
+        const fragments = [-1, 1].map(side => {
+            const fragment = this.spawnEnemy('fragment', this.pickShortWord());
+            fragment.x = fragment.prevX = Math.min(this.field.width - 50, Math.max(50, enemy.x + side * 60));
+            fragment.y = fragment.prevY = Math.max(1, enemy.y); // Already on screen, so lockable
+            return fragment;
+        });
+        this.updateShields();
+        this.emit('enemySplit', { enemy, fragments });
+    }
+
+    pickShortWord() {
+        return this.shortWords[Math.floor(this.rng() * this.shortWords.length)];
+    }
+
+    spawnBoss() {
+        const level = this.bossesDefeated + 1;
+        const segments = [];
+        for (let i = 0; i < 2 + level; i++) segments.push(this.pickWord(this.spawnRng));
+
+        this.boss = new Boss(segments, this.field);
+        this.bossPending = false;
+        this.enemies.push(this.boss);
+        this.emit('bossSpawned', this.boss);
+    }
+
+    // Missiles fly at the player; their counter-words are short so they can be intercepted in time
+    updateBoss() {
+        const boss = this.boss;
+        const interval = Math.max(90, 200 - this.bossesDefeated * 20);
+        if (boss.y < boss.homeY || ++boss.fireTimer < interval) return;
+
+        boss.fireTimer = 0;
+        const missile = this.spawnEnemy('missile', this.pickShortWord());
+        missile.x = missile.prevX = boss.x;
+        missile.y = missile.prevY = boss.y + 40;
+        // Versus: either ship, at random
+        const target = this.versus ? this.pilots[Math.floor(this.rng() * this.pilots.length)] : this.pilots[0];
+        missile.target = target.index;
+        missile.aimAt(target.ship.x, target.ship.y);
+        this.emit('bossFired', missile);
+    }
+
+    // Enemies within reach of a living shield carrier can't be locked
+    updateShields() {
+        const carriers = this.enemies.filter(e => e.type === 'shield' && !e.markedForDeletion);
+        this.enemies.forEach(e => {
+            e.shielded = e.type !== 'shield' && e.type !== 'boss'
+                && carriers.some(c => Math.hypot(c.x - e.x, c.y - e.y) < SHIELD_RADIUS);
+        });
+    }
+
+    handleInput(key) {
+        if (this.over) return;
+        const pilot = this.pilotForKey(key);
+        if (!pilot) return;
+
+        if (key === 'Backspace') {
+            // Manual release is only allowed by the retarget rules
+            if (this.strictness === 'retarget') this.releaseTarget('manual', pilot);
+            return;
+        }
+
+        const char = this.caseSensitive ? key : key.toUpperCase();
+
+        // Nothing starts with whitespace, so a habitual space between targets isn't a miss
+        if (!pilot.lockedTarget && char === ' ') return;
+
+        pilot.stats.keysTyped++;
+        let intended = null; // What the game expected, for analytics
+        let start = false; // Locked onto a word
+
+        // If locked on a target
+        if (pilot.lockedTarget) {
+            const target = pilot.lockedTarget;
+            const desiredChar = target.word[target.matchedIndex];
+            intended = desiredChar;
+
+            // A key that starts an incoming missile's counter-word intercepts it;
+            // the interrupted target keeps its progress
+            const missile = char !== desiredChar && this.findTarget(char, e => e.type === 'missile');
+
+            if (char === desiredChar) {
+                // Correct Type
+                this.registerHit(pilot);
+                target.matchedIndex++;
+                target.lettersTyped++;
+                this.shoot(target, pilot);
+            } else if (missile) {
+                intended = char;
+                start = true;
+                this.registerHit(pilot);
+                target.isLocked = false;
+                this.lockOn(missile, pilot);
+            } else {
+                // Wrong Type
+                this.registerMiss(char, pilot);
+            }
+        } else {
+            // Not locked
+            const target = this.findTarget(char);
+            if (target) {
+                intended = char;
+                start = true;
+                this.registerHit(pilot);
+                this.lockOn(target, pilot);
+            } else {
+                this.registerMiss(char, pilot);
+            }
+        }
+
+        const log = pilot.stats.keyLog;
+        const latency = log.length > 0 ? this.tick - log[log.length - 1].tick : null;
+        log.push({ typed: char, intended, start, tick: this.tick, latency });
+
+        if (pilot.lockedTarget && pilot.lockedTarget.matchedIndex >= pilot.lockedTarget.word.length) {
+            this.completeWord(pilot.lockedTarget, pilot);
+        }
+    }
+
+    // The lowest on-screen enemy whose next letter is char (0 unless it was interrupted).
+    // In versus the halves share no keys, so a word half-typed by one pilot never matches the other.
+    findTarget(char, filter = () => true) {
+        const compatible = this.enemies.filter(e => e.word[e.matchedIndex] === char
+            && e.y > 0 && !e.shielded && !e.markedForDeletion && filter(e));
+        compatible.sort((a, b) => b.y - a.y);
+        return compatible[0] || null;
+    }
+
+    lockOn(target, pilot = this.pilots[0]) {
+        pilot.lockedTarget = target;
+        target.isLocked = true;
+        target.lockedBy = pilot.index;
+        target.matchedIndex++;
+        target.lettersTyped++;
+        if (target.lockTick === null) target.lockTick = this.tick;
+        this.emit('enemyLocked', target);
+        this.shoot(target, pilot);
+    }
+
+    completeWord(enemy, pilot = this.pilots[0]) {
+        // Multishot: the same word also lands on the nearest other enemy
+        const bonus = pilot.powerUps.multishot > 0 ? this.nearestEnemy(enemy) : null;
+
+        this.hitEnemy(enemy, pilot);
+        if (bonus) {
+            pilot.powerUps.multishot--;
+            this.shoot(bonus, pilot);
+            this.hitEnemy(bonus, pilot);
+            this.emit('powerUpUsed', 'multishot');
+        }
+    }
+
+    // Armor takes the word off once more and a boss moves on to its next segment (the lock
+    // stays, unless the segment is typed with the other half of the keyboard); otherwise the enemy is destroyed
+    hitEnemy(enemy, pilot = this.pilots[0]) {
+        if (enemy.armor > 0) {
+            enemy.armor--;
+            enemy.matchedIndex = 0;
+            this.emit('armorBroken', enemy);
+            return;
+        }
+
+        if (enemy.type === 'boss' && enemy.segment < enemy.segments.length - 1) {
+            enemy.segment++;
+            enemy.matchedIndex = 0;
+            // Versus: a segment on the other half of the keyboard is the other player's to type
+            if (!pilot.owns(enemy.word[0])) {
+                enemy.isLocked = false;
+                pilot.lockedTarget = null;
+            }
+            this.emit('bossDamaged', enemy);
+            return;
+        }
+
+        this.destroyEnemy(enemy, pilot);
+        this.dropDeadLocks();
+    }
+
+    nearestEnemy(from) {
+        let nearest = null;
+        let best = Infinity;
+        this.enemies.forEach(e => {
+            if (e === from || e.markedForDeletion || e.y <= 0 || e.shielded) return;
+            const dist = Math.hypot(e.x - from.x, e.y - from.y);
+            if (dist < best) {
+                best = dist;
+                nearest = e;
+            }
+        });
+        return nearest;
+    }
+
+    registerHit(pilot = this.pilots[0]) {
+        const stats = pilot.stats;
+        stats.keysHit++;
+        stats.currentStreak++;
+        if (stats.currentStreak > stats.maxStreak) stats.maxStreak = stats.currentStreak;
+        this.updateMultiplier(pilot);
+    }
+
+    registerMiss(key, pilot = this.pilots[0]) {
+        pilot.stats.currentStreak = 0;
+        if (pilot.lockedTarget) pilot.lockedTarget.errors++; // No longer a perfect word
+        this.updateMultiplier(pilot);
+        this.emit('keyMissed', { key });
+
+        if (this.strictness === 'strict') {
+            this.releaseTarget('error', pilot);
+            this.takeDamage(STRICT_PENALTY, pilot);
+        }
+    }
+
+    updateMultiplier(pilot = this.pilots[0]) {
+        const multiplier = multiplierFor(pilot.stats.currentStreak);
+        if (multiplier === pilot.multiplier) return;
+        pilot.multiplier = multiplier;
+        this.emit('multiplierChanged', multiplier);
+    }
+
+    // Drops the current lock; the enemy must be typed again from its first letter
+    releaseTarget(reason, pilot = this.pilots[0]) {
+        const target = pilot.lockedTarget;
+        if (!target) return;
+
+        target.isLocked = false;
+        target.matchedIndex = 0;
+        target.lettersTyped = 0;
+        target.lockTick = null;
+        pilot.lockedTarget = null;
+        this.emit('targetReleased', { enemy: target, reason });
+    }
+
+    shoot(target, pilot = this.pilots[0]) {
+        const projectile = this.projectilePool.acquire(pilot.ship.x, pilot.ship.y, target);
+        this.projectiles.push(projectile);
+        this.emit('shotFired', projectile);
+    }
+
+    destroyEnemy(enemy, pilot = this.pilots[0]) {
+        enemy.markedForDeletion = true;
+        const base = enemy.type === 'boss'
+            ? enemy.totalLetters * 20 + BOSS_REWARD
+            : enemy.word.length * ENEMY_TYPES[enemy.type].points;
+
+        // Typing bonuses only for the word just typed out (not EMP or multishot kills, nor a boss)
+        const typed = enemy === pilot.lockedTarget && enemy.type !== 'boss' ? {
+            errors: enemy.errors,
+            ticks: this.tick - enemy.lockTick,
+            letters: enemy.lettersTyped,
+            depth: enemy.y / enemy.floor
+        } : null;
+        const breakdown = scoreKill(base, typed, pilot.multiplier);
+
+        const scoring = pilot.stats.scoring;
+        ['base', 'perfect', 'speed', 'danger', 'multiplier'].forEach(key => scoring[key] += breakdown[key]);
+        if (breakdown.perfect > 0) scoring.perfectWords++;
+
+        // Versus: taking out what was headed for the opponent's ship
+        const steal = this.versus && this.targetOf(enemy) !== pilot ? Math.round(breakdown.total * STEAL_BONUS) : 0;
+        if (steal > 0) {
+            pilot.stats.steals++;
+            pilot.stats.stealPoints += steal;
+        }
+        const points = breakdown.total + steal;
+
+        pilot.score += points;
+        this.waveStats.kills++;
+        this.emit('enemyDestroyed', { enemy, points, breakdown, player: pilot.index, steal });
+
+        if (enemy.type === 'splitter') this.splitEnemy(enemy);
+        if (enemy.type === 'shield') this.updateShields();
+        if (enemy.type === 'boss') this.defeatBoss(enemy, points);
+        if (enemy.powerUp) this.collectPowerUp(enemy.powerUp, enemy, pilot);
+        if (enemy.attack) {
+            pilot.stats.attacksSent++;
+            this.emit('attackSent', { word: enemy.word });
+        }
+    }
+
+    // Races: the opponent's attack word drops in as a fast enemy of its own
+    receiveAttack(word) {
+        if (this.over) return;
+        const enemy = this.spawnEnemy(ATTACK_TYPE, word);
+        enemy.incoming = true;
+        this.pilots[0].stats.attacksReceived++;
+        this.emit('attackReceived', enemy);
+    }
+
+    collectPowerUp(type, enemy, pilot = this.pilots[0]) {
+        this.emit('powerUpCollected', { type, enemy });
+
+        if (type === 'emp') {
+            // Everything on screen now; carriers caught in the blast still pay out. A chained EMP
+            // joins the blast in progress, so what survives a hit (the boss) isn't hit twice
+            const outer = !this.blast;
+            if (outer) this.blast = new Set();
+            this.enemies.filter(e => e.y > 0 && !e.markedForDeletion).forEach(e => {
+                if (e.markedForDeletion || this.blast.has(e)) return; // Already caught by a chained EMP
+                this.blast.add(e);
+                if (e.type === 'boss') this.hitEnemy(e, pilot);
+                else this.destroyEnemy(e, pilot);
+            });
+            if (outer) this.blast = null;
+            this.dropDeadLocks();
+        } else if (type === 'slow') {
+            pilot.powerUps.slow = SLOW_TICKS;
+        } else {
+            pilot.powerUps[type]++;
+        }
+    }
+
+    defeatBoss(boss, points) {
+        this.boss = null;
+        this.bossesDefeated++;
+        this.pilots.forEach(p => p.health = 100);
+        // Missiles still in the air go down with it
+        this.enemies.forEach(e => {
+            if (e.type === 'missile') e.markedForDeletion = true;
+        });
+        this.dropDeadLocks();
+        this.emit('bossDefeated', { boss, points });
+    }
+
+    takeDamage(amount, pilot = this.pilots[0]) {
+        if (pilot.powerUps.shield > 0) {
+            pilot.powerUps.shield--;
+            this.emit('powerUpUsed', 'shield');
+            return;
+        }
+
+        pilot.health -= amount;
+        if (pilot.health < 0) pilot.health = 0;
+        const damage = { amount, health: pilot.health };
+        if (this.versus) damage.player = pilot.index; // Whose hull
+        this.emit('damageTaken', damage);
+
+        if (pilot.health <= 0 && !this.over) this.gameOver();
+    }
+
+    gameOver() {
+        this.over = true;
+        const lead = this.pilots[0];
+
+        this.result = {
+            score: this.score,
+            wave: this.wave,
+            difficulty: this.difficulty,
+            mode: this.mode,
+            strictness: this.strictness,
+            accuracy: lead.accuracy,
+            maxStreak: lead.stats.maxStreak,
+            scoring: { ...lead.stats.scoring },
+            analytics: analyzeKeys(lead.stats.keyLog),
+            ticks: this.tick,
+            scoreHistory: lead.stats.scoreHistory,
+            replay: null,
+            verified: null // Replays only: did playback reproduce the recorded result?
+        };
+
+        if (this.race) {
+            this.result.race = true;
+            this.result.attacks = { sent: lead.stats.attacksSent, received: lead.stats.attacksReceived };
+        }
+
+        // Versus: both players side by side; the higher score wins (null on a tie)
+        if (this.versus) {
+            this.result.players = this.pilots.map(p => ({
+                score: p.score,
+                health: p.health,
+                accuracy: p.accuracy,
+                maxStreak: p.stats.maxStreak,
+                steals: p.stats.steals,
+                stealPoints: p.stats.stealPoints,
+                scoring: { ...p.stats.scoring },
+                analytics: analyzeKeys(p.stats.keyLog),
+                scoreHistory: p.stats.scoreHistory
+            }));
+            const [a, b] = this.pilots;
+            this.result.winner = a.score === b.score ? null : (a.score > b.score ? 0 : 1);
+        }
+
+        if (this.recording) {
+            this.recording.ticks = this.tick;
+            this.recording.score = this.score;
+            this.result.replay = this.recording;
+        } else {
+            const replay = this.playback.replay;
+            this.result.replay = replay;
+            this.result.verified = replay.score === this.score && replay.ticks === this.tick;
+        }
+
+        this.emit('gameOver', this.result);
+    }
+
+    step() {
+        if (this.over) return;
+
+        // Each phase stops at a game over, so nothing happens after it (a strict-mode penalty
+        // ends it during the inputs, a breach part way through the enemies)
+        this.processInputs();
+        if (this.over) return;
+
+        // Wave Flow: spawn the wave's enemies, then its boss, then an intermission once the field is clear
+        if (this.intermission > 0) {
+            if (--this.intermission === 0) this.startWave(this.wave + 1);
+        } else if (this.boss) {
+            this.updateBoss();
+        } else if (this.waveSpawned < this.waveDef.count) {
+            if (++this.spawnTimer > this.waveDef.spawnRate) {
+                const rng = this.spawnRng;
+                const enemy = this.spawnEnemy(this.pickType(rng), this.pickWord(rng), rng);
+                if (rng() < POWERUP_CHANCE) enemy.powerUp = POWER_UPS[Math.floor(rng() * POWER_UPS.length)];
+                if (this.race && rng() < ATTACK_CHANCE) enemy.attack = true;
+                this.waveSpawned++;
+                this.spawnTimer = 0;
+            }
+        } else if (this.enemies.every(e => e.markedForDeletion)) {
+            if (this.bossPending) this.spawnBoss();
+            else this.endWave();
+        }
+
+        // Ships Update
+        this.pilots.forEach(p => {
+            const target = p.lockedTarget && !p.lockedTarget.markedForDeletion ? p.lockedTarget : null;
+            p.ship.update(target ? target.x : null, target ? target.y : null);
+        });
+
+        // Enemies Update (Slowed while anyone's SLOW runs)
+        let speed = this.waveDef.speed;
+        if (this.pilots.some(p => p.powerUps.slow > 0)) speed *= SLOW_FACTOR;
+        this.pilots.forEach(p => {
+            if (p.powerUps.slow > 0 && --p.powerUps.slow === 0) this.emit('powerUpExpired', 'slow');
+        });
+        this.enemies.forEach(e => {
+            if (this.over) return;
+            const result = e.update(speed);
+            if (result === 'damage') {
+                this.dropDeadLocks();
+                this.waveStats.breaches++;
+                this.takeDamage(ENEMY_TYPES[e.type].damage, this.targetOf(e));
+            }
+        });
+        if (this.over) return;
+
+        // Projectiles Update
+        this.projectiles.forEach(p => p.update());
+
+        // Cleanup
+        sweep(this.enemies, e => e.markedForDeletion);
+        sweep(this.projectiles, p => !p.active, p => this.projectilePool.release(p));
+        this.updateShields(); // Carriers and their neighbours have moved
+
+        this.tick++;
+    }
+}
@@ -0,0 +1,126 @@
+import { TICK_RATE } from './clock.js';
+import { MODES } from './words.js';
+import { STRICTNESS } from './game.js';
+import { DIFFICULTIES } from './wordpacks.js';
+import { TRAINING } from './training.js';
+
+// Run History
+// One record per finished live run, kept by the client (IndexedDB) and exported as JSON or CSV:
+// { date (ISO), difficulty, mode, strictness, score, wave, accuracy, wpm, maxStreak, duration (seconds) }
+
+export const HISTORY_FIELDS = [
+    'date', 'difficulty', 'mode', 'strictness', 'score', 'wave', 'accuracy', 'wpm', 'maxStreak', 'duration'
+];
+const NUMERIC = ['score', 'wave', 'accuracy', 'wpm', 'maxStreak', 'duration'];
+
+export function runRecord(result, date = new Date()) {
+    return {
+        date: date.toISOString(),
+        difficulty: result.difficulty,
+        mode: result.mode,
+        strictness: result.strictness,
+        score: result.score,
+        wave: result.wave,
+        accuracy: result.accuracy,
+        wpm: result.analytics.wpm,
+        maxStreak: result.maxStreak,
+        duration: Math.round(result.ticks / TICK_RATE)
+    };
+}
+
+export function isValidRun(run) {
+    return !!run
+        && typeof run.date === 'string' && !isNaN(Date.parse(run.date))
+        && (DIFFICULTIES.includes(run.difficulty) || run.difficulty === TRAINING)
+        && MODES.includes(run.mode)
+        && STRICTNESS.includes(run.strictness)
+        && NUMERIC.every(f => Number.isFinite(run[f]) && run[f] >= 0);
+}
+
+// Oldest first, which is the order the charts read
+export function sortRuns(runs) {
+    return [...runs].sort((a, b) => Date.parse(a.date) - Date.parse(b.date));
+}
+
+// Best score, wave, accuracy and WPM for each difficulty played: { easy: { runs, score, ... } }
+export function bestsByDifficulty(runs) {
+    const bests = {};
+    runs.forEach(run => {
+        const best = bests[run.difficulty]
+            || (bests[run.difficulty] = { runs: 0, score: 0, wave: 0, accuracy: 0, wpm: 0 });
+        best.runs++;
+        ['score', 'wave', 'accuracy', 'wpm'].forEach(f => best[f] = Math.max(best[f], run[f]));
+    });
+    return bests;
+}
+
+// Export
+export function historyToJSON(runs) {
+    return JSON.stringify(sortRuns(runs).map(run => pick(run)), null, 2);
+}
+
+export function historyToCSV(runs) {
+    const rows = sortRuns(runs).map(run => HISTORY_FIELDS.map(f => run[f]).join(','));
+    return [HISTORY_FIELDS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Import
+// Returns { runs, errors } like importWordPack: every bad row is skipped and reported.
+export function importHistory(text, fileName = 'history.json') {
+    let entries;
+    try {
+        entries = /\.json$/i.test(fileName) || text.trim().startsWith('[')
+            ? readJSON(text)
+            : readCSV(text);
+    } catch (err) {
+        return { runs: [], errors: [`Could not read ${fileName}: ${err.message}`] };
+    }
+
+    const runs = [];
+    const errors = [];
+    entries.forEach(({ label, value }) => {
+        const run = pick(value);
+        if (isValidRun(run)) runs.push(run);
+        else errors.push(`${label}: not a valid run`);
+    });
+    return { runs, errors };
+}
+
+// Adds imported runs to existing ones, skipping any already there (same date and score)
+export function mergeHistory(existing, incoming) {
+    const key = run => `${run.date}|${run.score}`;
+    const seen = new Set(existing.map(key));
+    return incoming.filter(run => {
+        if (seen.has(key(run))) return false;
+        seen.add(key(run));
+        return true;
+    });
+}
+
+// Only the known fields, so storage ids and stray columns never travel
+function pick(run) {
+    const out = {};
+    HISTORY_FIELDS.forEach(f => out[f] = run[f]);
+    return out;
+}
+
+function readJSON(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('expected an array of runs');
+    return data.map((value, i) => ({ label: `Entry ${i + 1}`, value: value || {} }));
+}
+
+function readCSV(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) throw new Error('empty file');
+    const header = lines[0].split(',').map(h => h.trim());
+    const missing = HISTORY_FIELDS.filter(f => !header.includes(f));
+    if (missing.length > 0) throw new Error(`missing columns ${missing.join(', ')}`);
+
+    return lines.slice(1).map((line, i) => {
+        const cells = line.split(',').map(c => c.trim());
+        const value = {};
+        header.forEach((h, j) => value[h] = NUMERIC.includes(h) && cells[j] !== '' ? Number(cells[j]) : cells[j]);
+        return { label: `Line ${i + 2}`, value };
+    });
+}
@@ -0,0 +1,43 @@
+// Public surface of the headless game core
+export { Emitter } from './emitter.js';
+export { createRNG, randomSeed } from './rng.js';
+export { Clock, TICK_RATE, TICK_MS, MAX_FRAME_MS } from './clock.js';
+export {
+    WORDS_EASY, WORDS_MEDIUM, WORDS_HARD, WORD_LISTS, VERSUS_LEFT, VERSUS_RIGHT, VOCABULARY, MODES
+} from './words.js';
+export { Player, Enemy, Boss, Projectile, ENEMY_TYPES, SCOUT_SWAY, BOMBER_BOOST, SHIELD_RADIUS } from './entities.js';
+export { Pilot } from './pilot.js';
+export { VERSUS_PLAYERS, KEYBOARD_HALVES, STEAL_BONUS, versusVocabulary } from './versus.js';
+export { RACE_FIELD, RACE_SALT, ATTACK_CHANCE, ATTACK_TYPE, ATTACK_INPUT, STATUS_TICKS } from './race.js';
+export { GameCore, REPLAY_VERSION, STANDARD_FIELD, STRICTNESS, STRICT_PENALTY, BOSS_REWARD } from './game.js';
+export {
+    PERFECT_BONUS, SPEED_FAST, SPEED_SLOW, DANGER_ZONE, STREAK_STEP, MULTIPLIER_STEP, MAX_MULTIPLIER,
+    multiplierFor, scoreKill
+} from './scoring.js';
+export { analyzeKeys, bigramTimes } from './analytics.js';
+export {
+    TRAINING, MODEL_DECAY, MODEL_PRIOR, TRAINING_FOCUS, createErrorModel, updateErrorModel, isValidErrorModel,
+    weaknesses, trainingFocus, trainingVocabulary, trainingWords
+} from './training.js';
+export { POWER_UPS, POWERUP_CHANCE, SLOW_TICKS, SLOW_FACTOR } from './powerups.js';
+export { WAVES, BOSS_EVERY, INTERMISSION_TICKS, WAVE_HEAL, waveDefinition } from './waves.js';
+export { isValidReplay, runReplay } from './replay.js';
+export {
+    HISTORY_FIELDS, runRecord, isValidRun, sortRuns, bestsByDifficulty, historyToJSON, historyToCSV, importHistory,
+    mergeHistory
+} from './history.js';
+export {
+    LEADERBOARD_SIZE, NAME_LENGTH, BOARD_DIFFICULTIES, createLeaderboard, cleanName, addProfile, removeProfile,
+    profileBoard, difficultyBoard, personalBest, qualifies, recordScore, isValidLeaderboard
+} from './leaderboard.js';
+export { DIFFICULTIES, TYPEABLE, importWordPack, wordsForDifficulty } from './wordpacks.js';
+export {
+    PARTICLE_LEVELS, SETTING_CHOICES, SETTING_RANGES, DEFAULT_SETTINGS, isBindableKey, cleanSettings, reducedMotion, volumes
+} from './settings.js';
+export {
+    Sequencer, musicMood, stepDuration, STEPS_PER_BAR, BARS_PER_PHRASE, TEMPO_RANGE, ROOT_NOTE, DANGER_HEALTH
+} from './music.js';
+export {
+    PAN_WIDTH, SHOT_SCALE, MAX_SOUND_PACK_BYTES, SOUND_NAMES, stereoPan, letterSemitones, pitchRate, parseSoundPack
+} from './sound.js';
+export { Pool, sweep } from './pool.js';
@@ -0,0 +1,96 @@
+import { DIFFICULTIES } from './wordpacks.js';
+import { TRAINING } from './training.js';
+
+// Local Leaderboard
+// Player profiles, each with a top-10 per difficulty. The all-pilots board for a difficulty is
+// merged from those, which is exact because no profile's entry outside its own top 10 could
+// make the shared top 10. The client keeps the whole thing in localStorage:
+// { profiles: [{ id, name }], scores: { [profileId]: { [difficulty]: [{ name, score, wave, accuracy, date }] } } }
+
+export const LEADERBOARD_SIZE = 10;
+export const NAME_LENGTH = 12;
+export const BOARD_DIFFICULTIES = [...DIFFICULTIES, TRAINING];
+
+export function createLeaderboard() {
+    return { profiles: [], scores: {} };
+}
+
+// Names are upper-case printable ASCII, like everything else on screen
+export function cleanName(name) {
+    return String(name).toUpperCase().replace(/[^\x20-\x7E]/g, '').trim().slice(0, NAME_LENGTH);
+}
+
+// Returns { board, profile }, or { board, error } when the name is empty or taken
+export function addProfile(board, name, id = 'pilot-' + Date.now().toString(36)) {
+    const clean = cleanName(name);
+    if (!clean) return { board, error: 'Name required' };
+    if (board.profiles.some(p => p.name === clean)) return { board, error: `${clean} already exists` };
+
+    const profile = { id, name: clean };
+    return {
+        board: { profiles: [...board.profiles, profile], scores: { ...board.scores, [id]: {} } },
+        profile
+    };
+}
+
+export function removeProfile(board, id) {
+    const scores = { ...board.scores };
+    delete scores[id];
+    return { profiles: board.profiles.filter(p => p.id !== id), scores };
+}
+
+export function profileBoard(board, profileId, difficulty) {
+    return (board.scores[profileId] || {})[difficulty] || [];
+}
+
+// Top 10 of every profile for one difficulty, each entry tagged with its profile's name
+export function difficultyBoard(board, difficulty) {
+    return board.profiles
+        .flatMap(p => profileBoard(board, p.id, difficulty).map(entry => ({ ...entry, profile: p.name })))
+        .sort(byScore)
+        .slice(0, LEADERBOARD_SIZE);
+}
+
+export function personalBest(board, profileId, difficulty) {
+    const entries = profileBoard(board, profileId, difficulty);
+    return entries.length > 0 ? entries[0].score : 0;
+}
+
+// A run earns a place when it scores and beats the profile's 10th best (or the list isn't full)
+export function qualifies(board, profileId, difficulty, score) {
+    const entries = profileBoard(board, profileId, difficulty);
+    return score > 0 && (entries.length < LEADERBOARD_SIZE || score > entries[entries.length - 1].score);
+}
+
+// Returns { board, rank, overallRank }; ranks are 1-based, null when the run didn't place
+export function recordScore(board, profileId, difficulty, entry) {
+    if (!board.profiles.some(p => p.id === profileId) || !qualifies(board, profileId, difficulty, entry.score)) {
+        return { board, rank: null, overallRank: null };
+    }
+
+    const placed = { ...entry, name: cleanName(entry.name) || profileName(board, profileId) };
+    const entries = [...profileBoard(board, profileId, difficulty), placed].sort(byScore).slice(0, LEADERBOARD_SIZE);
+    const next = {
+        profiles: board.profiles,
+        scores: { ...board.scores, [profileId]: { ...board.scores[profileId], [difficulty]: entries } }
+    };
+    const overall = difficultyBoard(next, difficulty).findIndex(e => e.date === placed.date && e.score === placed.score);
+    return { board: next, rank: entries.indexOf(placed) + 1, overallRank: overall >= 0 ? overall + 1 : null };
+}
+
+export function isValidLeaderboard(data) {
+    const validEntry = e => !!e && typeof e.name === 'string' && Number.isFinite(e.score) && typeof e.date === 'string';
+    return !!data && Array.isArray(data.profiles) && !!data.scores && typeof data.scores === 'object'
+        && data.profiles.every(p => p && typeof p.id === 'string' && typeof p.name === 'string')
+        && Object.values(data.scores).every(boards => !!boards && Object.values(boards)
+            .every(list => Array.isArray(list) && list.every(validEntry)));
+}
+
+function profileName(board, profileId) {
+    return board.profiles.find(p => p.id === profileId).name;
+}
+
+// Highest first; ties go to whoever got there first
+function byScore(a, b) {
+    return b.score - a.score || Date.parse(a.date) - Date.parse(b.date);
+}
@@ -0,0 +1,113 @@
+import { createRNG } from './rng.js';
+
+// Procedural Soundtrack
+// Composition only: which notes each voice plays on every sixteenth, given the mood of the
+// game (see musicMood). client/music.js turns them into sound. Variation draws from the
+// sequencer's own RNG, never the game's, so the music can't change a run.
+
+export const STEPS_PER_BAR = 16;
+export const BARS_PER_PHRASE = 4;
+export const TEMPO_RANGE = [92, 136]; // BPM, first wave at peace to a boss fight
+export const ROOT_NOTE = 45; // A2 (MIDI)
+export const DANGER_HEALTH = 30; // Hull at or below this: the arpeggio climbs an octave
+
+const MINOR = [0, 2, 3, 5, 7, 8, 10];
+const PHRYGIAN = [0, 1, 3, 5, 7, 8, 10]; // Flat second for bosses
+
+// Chord roots per bar as scale degrees: i - VI - III - VII, and a grinding i - II for bosses
+const PROGRESSIONS = { normal: [0, 5, 2, 6], boss: [0, 0, 1, 0] };
+
+// Arpeggio shapes as chord tone indexes (3 is the root an octave up); one per phrase
+const ARP_PATTERNS = [
+    [0, 1, 2, 1],
+    [0, 2, 1, 2],
+    [0, 1, 2, 3],
+    [3, 2, 1, 0],
+    [0, 2, 3, 2]
+];
+
+// Voices join as intensity rises
+const LAYERS = { snare: 0.3, arp: 0.25, hats: 0.45, drive: 0.6, sixteenths: 0.8 };
+
+// Summary of the game the music follows: busier with more enemies, later waves and bosses
+export function musicMood({ wave, health, enemies, boss }) {
+    const pressure = Math.min(1, enemies / 8);
+    const progress = Math.min(1, (wave - 1) / 9);
+    const [slow, fast] = TEMPO_RANGE;
+    const drive = Math.min(1, progress * 0.6 + pressure * 0.2 + (boss ? 0.4 : 0));
+    return {
+        tempo: Math.round(slow + (fast - slow) * drive),
+        intensity: Math.min(1, 0.15 + pressure * 0.45 + progress * 0.25 + (boss ? 0.3 : 0)),
+        danger: health <= DANGER_HEALTH,
+        boss: !!boss
+    };
+}
+
+function note(voice, pitch, steps, velocity) {
+    return { voice, note: pitch, steps, velocity };
+}
+
+function drum(voice, velocity) {
+    return { voice, velocity };
+}
+
+export class Sequencer {
+    constructor(seed) {
+        this.rng = createRNG(seed);
+        this.step = 0;
+        this.chord = [];
+        this.pattern = ARP_PATTERNS[0];
+    }
+
+    // The bar's chord (root, third, fifth, octave in MIDI notes); a new arpeggio each phrase
+    startBar(mood) {
+        const bar = Math.floor(this.step / STEPS_PER_BAR);
+        const scale = mood.boss ? PHRYGIAN : MINOR;
+        const degree = PROGRESSIONS[mood.boss ? 'boss' : 'normal'][bar % BARS_PER_PHRASE];
+        const pitch = d => ROOT_NOTE + scale[d % scale.length] + 12 * Math.floor(d / scale.length);
+
+        this.chord = [pitch(degree), pitch(degree + 2), pitch(degree + 4), pitch(degree) + 12];
+        if (bar % BARS_PER_PHRASE === 0) {
+            this.pattern = ARP_PATTERNS[Math.floor(this.rng() * ARP_PATTERNS.length)];
+        }
+    }
+
+    // Notes starting on the next sixteenth ({ voice, note, steps, velocity }; drums have no note)
+    next(mood) {
+        const pos = this.step % STEPS_PER_BAR;
+        if (pos === 0) this.startBar(mood);
+        const { intensity } = mood;
+        const chord = this.chord;
+        const notes = [];
+
+        // Drums: kick on the half bar, four on the floor once driving
+        if (pos % 8 === 0 || (pos % 4 === 0 && intensity >= LAYERS.drive)) notes.push(drum('kick', 1));
+        if (intensity >= LAYERS.snare && pos % 8 === 4) notes.push(drum('snare', 0.8));
+        if (intensity >= LAYERS.hats && pos % 2 === 1) notes.push(drum('hat', 0.5));
+        else if (intensity >= LAYERS.sixteenths && pos % 4 === 2) notes.push(drum('hat', 0.3));
+
+        // Pad holds the chord through the bar
+        if (pos === 0) chord.slice(0, 3).forEach(n => notes.push(note('pad', n + 12, STEPS_PER_BAR, 0.3)));
+
+        // Bass on the eighths, jumping the octave on the off-beats when driving
+        if (pos % 2 === 0) {
+            const octave = intensity >= LAYERS.drive && pos % 4 === 2 ? 12 : 0;
+            notes.push(note('bass', chord[0] + octave, 2, 0.7));
+        }
+
+        // Arpeggio in eighths, then sixteenths; a low hull pushes it up an octave
+        const arpStep = intensity >= LAYERS.sixteenths ? 1 : 2;
+        if (intensity >= LAYERS.arp && pos % arpStep === 0) {
+            const tone = this.pattern[(pos / arpStep) % this.pattern.length];
+            notes.push(note('arp', chord[tone] + 24 + (mood.danger ? 12 : 0), arpStep, 0.4 + intensity * 0.3));
+        }
+
+        this.step++;
+        return notes;
+    }
+}
+
+// Seconds per sixteenth at a tempo
+export function stepDuration(tempo) {
+    return 60 / tempo / 4;
+}
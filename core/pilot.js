@@ -0,0 +1,39 @@
+import { Player } from './entities.js';
+
+// Pilot: everything one player owns. A normal run has one; versus has one per keyboard half.
+export class Pilot {
+    // keys: the upper-case keys this pilot types with, or null for the whole keyboard
+    constructor(index, field, x = field.width / 2, keys = null) {
+        this.index = index;
+        this.keys = keys ? new Set(keys) : null;
+        this.ship = new Player(field, x);
+        this.score = 0;
+        this.multiplier = 1; // From the current streak
+        this.health = 100;
+        this.lockedTarget = null;
+        this.powerUps = { slow: 0, shield: 0, multishot: 0 }; // Ticks left / charges
+
+        this.stats = {
+            keysTyped: 0,
+            keysHit: 0,
+            currentStreak: 0,
+            maxStreak: 0,
+            scoreHistory: [0], // Score at each wave cleared
+            waves: [], // Summary of each wave cleared
+            scoring: { base: 0, perfect: 0, speed: 0, danger: 0, multiplier: 0, perfectWords: 0 }, // Points by source
+            keyLog: [], // Every keystroke, for analytics.js
+            steals: 0, // Versus: kills headed for the opponent's ship
+            stealPoints: 0,
+            attacksSent: 0, // Races: attack words destroyed / received
+            attacksReceived: 0
+        };
+    }
+
+    owns(key) {
+        return !this.keys || this.keys.has(key.toUpperCase());
+    }
+
+    get accuracy() {
+        return this.stats.keysTyped > 0 ? Math.floor((this.stats.keysHit / this.stats.keysTyped) * 100) : 0;
+    }
+}
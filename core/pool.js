@@ -0,0 +1,40 @@
+// Object Pools
+// Shots, particles and effects die by the dozen every second. Reusing them instead of leaving
+// them to the garbage collector avoids the collection pauses that show up as stutter on slow
+// machines. A pooled class has reset(...args), taking its constructor's arguments, that
+// reinitializes every field.
+
+export class Pool {
+    constructor(Type) {
+        this.Type = Type;
+        this.free = [];
+    }
+
+    acquire(...args) {
+        const item = this.free.pop();
+        if (!item) return new this.Type(...args);
+        item.reset(...args);
+        return item;
+    }
+
+    release(item) {
+        this.free.push(item);
+    }
+
+    get size() {
+        return this.free.length;
+    }
+}
+
+// Drops dead entries from a list in place, keeping the order, and hands each to release.
+// Unlike splicing inside forEach it never skips the entry after a removed one.
+export function sweep(list, isDead, release = null) {
+    let kept = 0;
+    for (let i = 0; i < list.length; i++) {
+        const item = list[i];
+        if (!isDead(item)) list[kept++] = item;
+        else if (release) release(item);
+    }
+    list.length = kept;
+    return list;
+}
@@ -0,0 +1,11 @@
+// Power-Ups
+// Some spawns carry one; completing the carrier's word grants it.
+//   emp:       destroys every enemy on screen (a boss only loses its current segment)
+//   slow:      enemies move at SLOW_FACTOR speed for SLOW_TICKS
+//   shield:    absorbs the next hit to the hull
+//   multishot: the next completed word also hits the nearest enemy
+
+export const POWER_UPS = ['emp', 'slow', 'shield', 'multishot'];
+export const POWERUP_CHANCE = 0.08; // Per regular spawn
+export const SLOW_TICKS = 300;
+export const SLOW_FACTOR = 0.4;
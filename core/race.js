@@ -0,0 +1,14 @@
+// Online Race (Two players, two machines, one seed)
+// Each client runs its own simulation from the seed the relay hands out (see
+// server/race-server.js). The wave stream is drawn from its own RNG, so both players face
+// the same enemies in the same order however differently they play; only the timing drifts.
+//   - some spawns are attack words: destroying one sends its word to the opponent
+//   - an incoming attack is an input like a key press, so a race replays on its own
+// Both runs end the usual way; the higher score wins.
+
+export const RACE_FIELD = { width: 1280, height: 720 }; // Same playfield whatever the window size
+export const RACE_SALT = 0x51A7E; // Wave stream seed = seed ^ RACE_SALT
+export const ATTACK_CHANCE = 0.12; // Per regular spawn
+export const ATTACK_TYPE = 'scout'; // What an attack word arrives as
+export const ATTACK_INPUT = 'Attack'; // Replay input: [tick, ATTACK_INPUT, word]
+export const STATUS_TICKS = 15; // How often a client reports its progress to the opponent
@@ -0,0 +1,36 @@
+import { GameCore, REPLAY_VERSION, STRICTNESS } from './game.js';
+import { WORD_LISTS, MODES } from './words.js';
+import { TRAINING } from './training.js';
+import { VERSUS_PLAYERS } from './versus.js';
+import { ATTACK_INPUT } from './race.js';
+
+// Replay Files
+// { version, seed, difficulty, mode, strictness, field: { width, height }, inputs: [[tick, key]], ticks, score,
+//   words?: [{ word, weight }] (only when a custom word pack was used), players?: 2 (versus),
+//   race?: true (online race; inputs include [tick, 'Attack', word]) }
+
+export function isValidReplay(data) {
+    return !!data
+        && data.version === REPLAY_VERSION
+        && Number.isInteger(data.seed)
+        && (Object.keys(WORD_LISTS).includes(data.difficulty) || data.difficulty === TRAINING)
+        && (data.mode === undefined || MODES.includes(data.mode))
+        && (data.strictness === undefined || STRICTNESS.includes(data.strictness))
+        && !!data.field && data.field.width > 0 && data.field.height > 0
+        && Array.isArray(data.inputs)
+        && data.inputs.every(i => Array.isArray(i) && Number.isInteger(i[0]) && typeof i[1] === 'string'
+            && (i.length === 2 || (i[1] === ATTACK_INPUT && typeof i[2] === 'string')))
+        && (data.race === undefined || typeof data.race === 'boolean')
+        && (data.players === undefined || data.players === 1 || data.players === VERSUS_PLAYERS)
+        && (data.words === undefined || (Array.isArray(data.words) && data.words.length > 0
+            && data.words.every(w => w && typeof w.word === 'string' && w.word.length > 0 && w.weight > 0)));
+}
+
+// Re-simulates a replay headlessly (no rendering, no clock) and returns the game result
+export function runReplay(replay, maxTicks = Infinity) {
+    const game = new GameCore({ replay });
+    while (!game.over && game.tick < maxTicks) {
+        game.step();
+    }
+    return game.result;
+}
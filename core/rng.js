@@ -0,0 +1,17 @@
+// Seeded RNG (mulberry32)
+// Gameplay decisions draw from the game's rng, so a run can be reproduced
+// from its seed and input log alone.
+export function createRNG(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
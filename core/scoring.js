@@ -0,0 +1,40 @@
+// Scoring Model
+// Every kill is worth its base (letters x archetype points). Words typed out also earn:
+//   perfect: PERFECT_BONUS x base when no wrong key was pressed while on it
+//   speed:   up to 1 x base, full at SPEED_FAST ticks per letter or quicker (lock to kill),
+//            nothing at SPEED_SLOW or slower
+//   danger:  up to 1 x base for kills in the bottom DANGER_ZONE of the field
+// The sum is then multiplied by the streak multiplier.
+
+export const PERFECT_BONUS = 0.5;
+export const SPEED_FAST = 6; // ~120 WPM
+export const SPEED_SLOW = 30; // ~24 WPM
+export const DANGER_ZONE = 0.25;
+export const STREAK_STEP = 10; // Keys in a row per multiplier step
+export const MULTIPLIER_STEP = 0.5;
+export const MAX_MULTIPLIER = 4;
+
+export function multiplierFor(streak) {
+    return Math.min(MAX_MULTIPLIER, 1 + Math.floor(streak / STREAK_STEP) * MULTIPLIER_STEP);
+}
+
+// typed: { errors, ticks, letters, depth } for a word typed out (depth: y / floor), null otherwise
+export function scoreKill(base, typed, multiplier) {
+    const breakdown = { base, perfect: 0, speed: 0, danger: 0, multiplier: 0, total: 0 };
+
+    if (typed) {
+        if (typed.errors === 0) breakdown.perfect = Math.round(base * PERFECT_BONUS);
+
+        const perLetter = typed.ticks / Math.max(1, typed.letters);
+        const quickness = (SPEED_SLOW - perLetter) / (SPEED_SLOW - SPEED_FAST);
+        breakdown.speed = Math.round(base * Math.min(1, Math.max(0, quickness)));
+
+        const danger = (typed.depth - (1 - DANGER_ZONE)) / DANGER_ZONE;
+        breakdown.danger = Math.round(base * Math.min(1, Math.max(0, danger)));
+    }
+
+    const subtotal = breakdown.base + breakdown.perfect + breakdown.speed + breakdown.danger;
+    breakdown.total = Math.round(subtotal * multiplier);
+    breakdown.multiplier = breakdown.total - subtotal;
+    return breakdown;
+}
@@ -0,0 +1,82 @@
+// Player Settings
+// Presentation only (nothing here reaches the simulation, so replays are unaffected). The
+// client keeps them in localStorage; anything stored that is missing or out of range falls
+// back to its default, so older saves keep loading as options are added.
+
+export const PARTICLE_LEVELS = { off: 0, low: 0.4, full: 1 }; // Share of each explosion's particles
+
+// Settings picked from a fixed list. Motion 'auto' follows the browser's prefers-reduced-motion;
+// the contrast palette swaps the red/teal lock colours for ones that don't rely on hue. The
+// renderer is only read at startup: a canvas keeps the first kind of context it is given
+export const SETTING_CHOICES = {
+    particles: Object.keys(PARTICLE_LEVELS),
+    motion: ['auto', 'reduced', 'full'],
+    palette: ['standard', 'contrast'],
+    renderer: ['2d', 'webgl']
+};
+
+// [min, max] for the numeric settings (percentages)
+export const SETTING_RANGES = {
+    master: [0, 100],
+    sfx: [0, 100],
+    music: [0, 100],
+    shake: [0, 200],
+    labelSize: [75, 150]
+};
+
+export const DEFAULT_SETTINGS = {
+    master: 80,
+    sfx: 100,
+    music: 60,
+    shake: 100,
+    scanlines: true,
+    vignette: true,
+    particles: 'full',
+    labelSize: 100,
+    pauseKey: 'Escape',
+    motion: 'auto',
+    palette: 'standard',
+    announce: true, // Screen reader live region
+    profiler: false, // FPS and entity counts overlay
+    renderer: '2d' // 'webgl': sprites with bloom, falling back to 2d where unavailable
+};
+
+// Only named keys can pause: any single character is someone's next letter and Backspace
+// releases the lock
+export function isBindableKey(key) {
+    return typeof key === 'string' && key.length > 1 && key !== 'Backspace' && key !== 'Unidentified'
+        && key !== 'Dead' && key !== 'Process';
+}
+
+export function cleanSettings(data) {
+    const source = data && typeof data === 'object' ? data : {};
+    const settings = { ...DEFAULT_SETTINGS };
+
+    Object.entries(SETTING_RANGES).forEach(([key, [min, max]]) => {
+        const value = source[key];
+        if (Number.isFinite(value)) settings[key] = Math.min(max, Math.max(min, Math.round(value)));
+    });
+    ['scanlines', 'vignette', 'announce', 'profiler'].forEach(key => {
+        if (typeof source[key] === 'boolean') settings[key] = source[key];
+    });
+    Object.entries(SETTING_CHOICES).forEach(([key, choices]) => {
+        if (choices.includes(source[key])) settings[key] = source[key];
+    });
+    if (isBindableKey(source.pauseKey)) settings.pauseKey = source.pauseKey;
+
+    return settings;
+}
+
+// Motion setting resolved against the browser preference
+export function reducedMotion(settings, prefersReduced) {
+    return settings.motion === 'reduced' || (settings.motion === 'auto' && !!prefersReduced);
+}
+
+// Effective gains (0 to 1) for the audio buses
+export function volumes(settings) {
+    return {
+        master: settings.master / 100,
+        sfx: settings.sfx / 100,
+        music: settings.music / 100
+    };
+}
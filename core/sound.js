@@ -0,0 +1,73 @@
+// Sound Effects (Placement, pitch and sound packs for client/audio.js)
+// A sound pack is an audio sprite: one audio file holding every sample, plus a JSON map of
+// where each named sound sits in it. Sounds the map leaves out keep their synthesized tone.
+
+export const PAN_WIDTH = 0.8; // Pan at the field's edges (1 would be hard left or right)
+export const SHOT_SCALE = [0, 3, 5, 7, 10]; // Minor pentatonic: any run of letters is a tune
+export const MAX_SOUND_PACK_BYTES = 2 * 1024 * 1024; // Audio file, kept in IndexedDB
+
+export const SOUND_NAMES = [
+    'shoot', 'lock', 'error', 'release', 'explosion', 'armor', 'powerup', 'shield',
+    'boss', 'bossFire', 'bossHit', 'damage', 'reward'
+];
+
+// -PAN_WIDTH (left edge) to PAN_WIDTH (right edge)
+export function stereoPan(x, width) {
+    const pan = (x / width) * 2 - 1;
+    return Math.max(-1, Math.min(1, pan)) * PAN_WIDTH;
+}
+
+// Each letter is a step up the scale over two octaves (A is the root); other characters
+// (digits, punctuation in code mode) by character code
+export function letterSemitones(letter) {
+    if (!letter) return 0;
+    const code = letter.toUpperCase().charCodeAt(0);
+    const index = code >= 65 && code <= 90 ? code - 65 : code;
+    return SHOT_SCALE[index % SHOT_SCALE.length] + 12 * (Math.floor(index / SHOT_SCALE.length) % 2);
+}
+
+export function pitchRate(semitones) {
+    return Math.pow(2, semitones / 12);
+}
+
+function clip(start, duration) {
+    return Number.isFinite(start) && Number.isFinite(duration) && start >= 0 && duration > 0
+        ? { start, duration }
+        : null;
+}
+
+// Accepts the two common sprite maps:
+//   { "spritemap": { "shoot": { "start": 0, "end": 0.12 } } }   (audiosprite; seconds)
+//   { "sprite": { "shoot": [0, 120] } }                          (howler; milliseconds)
+// Returns { sounds: { name: { start, duration } } or null, errors: [...] }
+export function parseSoundPack(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        return { sounds: null, errors: ['Sprite map is not valid JSON'] };
+    }
+
+    const errors = [];
+    const sounds = {};
+    const entries = data && typeof data === 'object'
+        ? Object.entries(data.spritemap || data.sprite || {})
+        : [];
+    entries.forEach(([name, entry]) => {
+        if (!SOUND_NAMES.includes(name)) {
+            errors.push(`Unknown sound "${name}"`);
+            return;
+        }
+        const found = data.spritemap
+            ? clip(entry && entry.start, entry && entry.end - entry.start)
+            : clip(Array.isArray(entry) ? entry[0] / 1000 : NaN, Array.isArray(entry) ? entry[1] / 1000 : NaN);
+        if (found) sounds[name] = found;
+        else errors.push(`Bad timing for "${name}"`);
+    });
+
+    if (Object.keys(sounds).length === 0) {
+        errors.push(`No known sounds (expected some of ${SOUND_NAMES.join(', ')})`);
+        return { sounds: null, errors };
+    }
+    return { sounds, errors };
+}
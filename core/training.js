@@ -0,0 +1,101 @@
+import { analyzeKeys, bigramTimes } from './analytics.js';
+
+// Training Difficulty
+// Draws from every word of the mode, weighted towards the keys the player misses and the
+// bigrams they type slowest. The error model behind it outlives a run (the client keeps it
+// in localStorage): { runs, keys: { K: { presses, errors } }, bigrams: { AB: { count, totalMs } } }
+
+export const TRAINING = 'training';
+export const MODEL_DECAY = 0.8; // Weight of older runs each time a new one is added
+export const MODEL_PRIOR = 5; // Presses before a key's error rate is fully trusted
+export const TRAINING_FOCUS = 8; // How hard word choice leans towards weaknesses
+
+export function createErrorModel() {
+    return { runs: 0, keys: {}, bigrams: {} };
+}
+
+// Folds a run's key log into the model; older runs fade so practice follows current weaknesses
+export function updateErrorModel(model, keyLog) {
+    const fade = (table, fields) => {
+        const faded = {};
+        Object.entries(table).forEach(([id, entry]) => {
+            faded[id] = {};
+            fields.forEach(f => faded[id][f] = entry[f] * MODEL_DECAY);
+        });
+        return faded;
+    };
+    const next = {
+        runs: model.runs + 1,
+        keys: fade(model.keys, ['presses', 'errors']),
+        bigrams: fade(model.bigrams, ['count', 'totalMs'])
+    };
+
+    Object.entries(analyzeKeys(keyLog).keys).forEach(([key, { presses, errors }]) => {
+        const entry = next.keys[key] || (next.keys[key] = { presses: 0, errors: 0 });
+        entry.presses += presses;
+        entry.errors += errors;
+    });
+    Object.entries(bigramTimes(keyLog)).forEach(([id, { count, totalMs }]) => {
+        const entry = next.bigrams[id] || (next.bigrams[id] = { count: 0, totalMs: 0 });
+        entry.count += count;
+        entry.totalMs += totalMs;
+    });
+    return next;
+}
+
+export function isValidErrorModel(data) {
+    const valid = (table, fields) => !!table && typeof table === 'object'
+        && Object.values(table).every(e => e && fields.every(f => Number.isFinite(e[f]) && e[f] >= 0));
+    return !!data && Number.isInteger(data.runs)
+        && valid(data.keys, ['presses', 'errors']) && valid(data.bigrams, ['count', 'totalMs']);
+}
+
+// How weak each key and bigram is, 0 = fine. Keys by error rate, bigrams by how much slower
+// than the player's average they are; both shrink towards 0 until there is enough data.
+export function weaknesses(model) {
+    const keys = {};
+    Object.entries(model.keys).forEach(([key, { presses, errors }]) => {
+        keys[key] = errors / (presses + MODEL_PRIOR);
+    });
+
+    const bigrams = {};
+    const all = Object.values(model.bigrams);
+    const count = all.reduce((sum, b) => sum + b.count, 0);
+    const average = count > 0 ? all.reduce((sum, b) => sum + b.totalMs, 0) / count : 0;
+    if (average > 0) {
+        Object.entries(model.bigrams).forEach(([id, b]) => {
+            const slowdown = Math.max(0, b.totalMs / b.count / average - 1);
+            bigrams[id] = slowdown * b.count / (b.count + MODEL_PRIOR);
+        });
+    }
+    return { keys, bigrams };
+}
+
+// The weakest keys and bigrams, worst first, for showing what a session will focus on
+export function trainingFocus(model, limit = 5) {
+    const { keys, bigrams } = weaknesses(model);
+    return Object.entries({ ...keys, ...bigrams })
+        .filter(([, weakness]) => weakness > 0)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([id]) => id);
+}
+
+// Every word a mode knows, once each: the pool training draws from
+export function trainingVocabulary(lists) {
+    return [...new Set(Object.values(lists).flat())].map(word => ({ word, weight: 1 }));
+}
+
+// Re-weights a vocabulary [{ word, weight }] towards the model's weak keys and bigrams
+export function trainingWords(words, model) {
+    const { keys, bigrams } = weaknesses(model);
+    return words.map(({ word, weight }) => {
+        const upper = word.toUpperCase();
+        let weakness = 0;
+        for (let i = 0; i < upper.length; i++) {
+            weakness += keys[upper[i]] || 0;
+            if (i > 0) weakness += bigrams[upper[i - 1] + upper[i]] || 0;
+        }
+        return { word, weight: weight * (1 + TRAINING_FOCUS * weakness) };
+    });
+}
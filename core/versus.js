@@ -0,0 +1,22 @@
+import { VERSUS_LEFT, VERSUS_RIGHT } from './words.js';
+
+// Versus (Two players, one keyboard)
+// The keyboard is split down the middle: each player types with their half and every word
+// falls to exactly one of them, wherever it drifts on the shared field. Every enemy is headed
+// for one ship: a boss missile for the one it was fired at, anything else for the player
+// whose word it carries.
+//   - an enemy breaching the bottom damages the ship it was headed for
+//   - destroying an enemy headed for the opponent's ship is a steal, worth STEAL_BONUS extra:
+//     intercepting a missile fired at them with your word, or their words caught in your EMP
+// The match ends as soon as either hull is gone; the higher score wins.
+
+export const VERSUS_PLAYERS = 2;
+export const KEYBOARD_HALVES = ['QWERTASDFGZXCVB', 'YUIOPHJKLNM'];
+export const STEAL_BONUS = 0.5; // Of the kill's points
+
+// Both hands' words, weighted so each player gets about half of the spawns
+export function versusVocabulary() {
+    const rightWeight = VERSUS_LEFT.length / VERSUS_RIGHT.length;
+    return VERSUS_LEFT.map(word => ({ word, weight: 1 }))
+        .concat(VERSUS_RIGHT.map(word => ({ word, weight: rightWeight })));
+}
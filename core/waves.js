@@ -0,0 +1,52 @@
+import { ENEMY_TYPES } from './entities.js';
+
+// Wave Definitions
+//   count:      enemies spawned before the wave can end (splitter fragments and missiles are extra)
+//   spawnRate:  ticks between spawns
+//   speed:      fall speed multiplier
+//   types:      spawn weights per archetype (see ENEMY_TYPES)
+//   wordLength: [from, to] slice of the vocabulary ranked by length, 0 = shortest, 1 = longest.
+//               Relative so it works for every mode, difficulty and word pack.
+//   boss:       a boss appears once the wave's enemies are cleared; the wave ends with it
+// A wave ends when everything it spawned is gone. Past the scripted list, waves keep growing.
+
+export const BOSS_EVERY = 5;
+export const INTERMISSION_TICKS = 180; // Breather between waves
+export const WAVE_HEAL = 20; // Hull repaired for every wave cleared
+
+export const WAVES = [
+    { count: 6, spawnRate: 115, speed: 1.1, types: { drone: 1 }, wordLength: [0, 0.6] },
+    { count: 8, spawnRate: 110, speed: 1.2, types: { drone: 4, scout: 1 }, wordLength: [0, 0.7] },
+    { count: 10, spawnRate: 105, speed: 1.3, types: { drone: 4, scout: 2, armored: 1 }, wordLength: [0, 0.8] },
+    { count: 12, spawnRate: 100, speed: 1.4, types: { drone: 4, scout: 2, armored: 1, splitter: 1 }, wordLength: [0.1, 0.9] },
+    { count: 12, spawnRate: 95, speed: 1.5, types: { drone: 4, scout: 2, armored: 2, splitter: 1, bomber: 1 }, wordLength: [0.2, 1], boss: true },
+    { count: 14, spawnRate: 90, speed: 1.6, types: { drone: 3, scout: 2, armored: 2, splitter: 2, bomber: 1, shield: 1 }, wordLength: [0.2, 1] },
+    { count: 16, spawnRate: 85, speed: 1.7, types: { drone: 3, scout: 3, armored: 2, splitter: 2, bomber: 2, shield: 1 }, wordLength: [0.3, 1] },
+    { count: 18, spawnRate: 80, speed: 1.8, types: { drone: 2, scout: 3, armored: 3, splitter: 2, bomber: 2, shield: 1 }, wordLength: [0.3, 1] },
+    { count: 20, spawnRate: 75, speed: 1.9, types: { drone: 2, scout: 3, armored: 3, splitter: 3, bomber: 3, shield: 2 }, wordLength: [0.4, 1] },
+    { count: 20, spawnRate: 70, speed: 2, types: { drone: 2, scout: 3, armored: 3, splitter: 3, bomber: 3, shield: 2 }, wordLength: [0.4, 1], boss: true }
+];
+
+// Archetype weights from ENEMY_TYPES for waves past the script
+function typesForWave(wave) {
+    const types = {};
+    Object.entries(ENEMY_TYPES).forEach(([name, type]) => {
+        if (type.weight > 0 && wave >= type.minWave) types[name] = type.weight + type.growth * (wave - type.minWave);
+    });
+    return types;
+}
+
+export function waveDefinition(wave) {
+    if (wave <= WAVES.length) return WAVES[wave - 1];
+
+    const last = WAVES[WAVES.length - 1];
+    const extra = wave - WAVES.length;
+    return {
+        count: last.count + extra * 2,
+        spawnRate: Math.max(45, last.spawnRate - extra * 5),
+        speed: last.speed + extra * 0.1,
+        types: typesForWave(wave),
+        wordLength: [0.4, 1],
+        boss: wave % BOSS_EVERY === 0
+    };
+}
@@ -0,0 +1,86 @@
+// Word Packs
+// Custom vocabularies imported from plain text (one word per line, # comments)
+// or JSON: ["WORD", ...] or { name, words: ["WORD" | { word, difficulty, weight }] }.
+// Input is upper-cased before it reaches the game, so words are too.
+
+export const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Printable ASCII without whitespace: what a keydown reliably produces on any layout
+export const TYPEABLE = /^[\x21-\x7E]+$/;
+
+function readEntries(text, fileName) {
+    const trimmed = text.trim();
+    const isJSON = /\.json$/i.test(fileName) || trimmed.startsWith('[') || trimmed.startsWith('{');
+
+    if (isJSON) {
+        const data = JSON.parse(trimmed);
+        const list = Array.isArray(data) ? data : data.words;
+        if (!Array.isArray(list)) throw new Error('JSON word pack needs a "words" array');
+        return {
+            name: !Array.isArray(data) && typeof data.name === 'string' ? data.name : null,
+            entries: list.map((item, i) => ({
+                label: `Entry ${i + 1}`,
+                value: typeof item === 'object' && item !== null ? item : { word: item }
+            }))
+        };
+    }
+
+    return {
+        name: null,
+        entries: text.split(/\r?\n/)
+            .map((line, i) => ({ label: `Line ${i + 1}`, value: { word: line } }))
+            .filter(e => !e.value.word.trim().startsWith('#'))
+    };
+}
+
+// Returns { pack, errors }. pack is null when nothing usable was found; errors lists
+// every skipped entry so the player can fix the file.
+export function importWordPack(text, fileName = 'pack.txt') {
+    const errors = [];
+    let parsed;
+    try {
+        parsed = readEntries(text, fileName);
+    } catch (err) {
+        return { pack: null, errors: [`Could not read ${fileName}: ${err.message}`] };
+    }
+
+    const seen = new Set();
+    const words = [];
+    parsed.entries.forEach(({ label, value }) => {
+        const word = typeof value.word === 'string' ? value.word.trim().toUpperCase() : '';
+        const weight = value.weight === undefined ? 1 : value.weight;
+        const difficulty = value.difficulty === undefined ? null : value.difficulty;
+
+        if (!word) {
+            if (typeof value.word === 'string' && label.startsWith('Line')) return; // Blank lines are fine in text files
+            errors.push(`${label}: empty entry`);
+        } else if (!TYPEABLE.test(word)) {
+            errors.push(`${label}: "${word}" contains characters that can't be typed`);
+        } else if (seen.has(word)) {
+            errors.push(`${label}: duplicate "${word}"`);
+        } else if (typeof weight !== 'number' || !(weight > 0)) {
+            errors.push(`${label}: weight must be a positive number`);
+        } else if (difficulty !== null && !DIFFICULTIES.includes(difficulty)) {
+            errors.push(`${label}: unknown difficulty "${difficulty}"`);
+        } else {
+            seen.add(word);
+            words.push({ word, weight, difficulty });
+        }
+    });
+
+    if (words.length === 0) {
+        errors.push('No usable words found');
+        return { pack: null, errors };
+    }
+
+    const name = (parsed.name || fileName.replace(/\.[^.]+$/, '')).trim().toUpperCase() || 'CUSTOM';
+    return { pack: { name, words }, errors };
+}
+
+// Words for one difficulty: those tagged with it plus untagged ones.
+// A pack with nothing for that difficulty falls back to all of its words.
+export function wordsForDifficulty(pack, difficulty) {
+    const matching = pack.words.filter(w => w.difficulty === null || w.difficulty === difficulty);
+    const list = matching.length > 0 ? matching : pack.words;
+    return list.map(({ word, weight }) => ({ word, weight }));
+}
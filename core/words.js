@@ -0,0 +1,110 @@
+// Word Dictionary
+export const WORDS_EASY = [
+    "VOID", "CORE", "NEON", "GLOW", "FLUX", "GRID", "DATA", "CODE",
+    "HACK", "BIOS", "LINK", "NODE", "SYNC", "WAVE", "BEAM", "NULL",
+    "ZERO", "BYTE", "MEGA", "GIGA", "TERA", "WARP", "STAR", "MOON",
+    "GATE", "LOCK", "KEY", "PATH", "ROOT", "BOOT", "LOAD", "SAVE"
+];
+
+export const WORDS_MEDIUM = [
+    "SYSTEM", "MATRIX", "VECTOR", "PIXEL", "SPRITE", "RENDER", "SHADER",
+    "BUFFER", "MEMORY", "KERNEL", "SERVER", "CLIENT", "SOCKET", "PACKET",
+    "ROUTER", "SWITCH", "ACCESS", "DENIED", "UPLINK", "TROJAN", "BINARY",
+    "DRIVER", "LATENCY", "BANDWIDTH", "PROTOCOL", "NETWORK", "VIRTUAL",
+    "DIGITAL", "ANALOG", "CIRCUIT", "SILICON", "OPTICAL", "QUANTUM"
+];
+
+export const WORDS_HARD = [
+    "ALGORITHM", "ENCRYPTION", "FIREWALL", "PROCESSOR", "INTERFACE",
+    "COMPILER", "DEBUGGER", "DATABASE", "MAINFRAME", "CYBERPUNK",
+    "ASSEMBLY", "INTERRUPT", "REGISTRY", "ETHERNET", "KERNELPANIC",
+    "OVERCLOCK", "BLUEPRINT", "CRYPTOGRAPHY", "HEURISTIC", "ITERATION",
+    "RECURSION", "TELEMETRY", "SUBROUTINE", "THROUGHPUT", "BLOCKCHAIN"
+];
+
+export const WORD_LISTS = {
+    easy: WORDS_EASY,
+    medium: WORDS_MEDIUM,
+    hard: WORDS_HARD
+};
+
+// Phrase Mode (Case-sensitive, spaces and punctuation)
+export const PHRASES_EASY = [
+    "go dark", "hack the grid", "neon lights", "data stream", "root access",
+    "lock on", "signal lost", "zero day", "cold boot", "night city",
+    "power up", "stay frosty", "system online", "ghost in the wire", "jack in"
+];
+
+export const PHRASES_MEDIUM = [
+    "Access denied, try again.", "Reroute power to shields!", "The firewall is holding.",
+    "Upload complete: 100%", "Who hacked the mainframe?", "Signal strength at 42%.",
+    "Run, the ICE is awake!", "Backup saved to sector 7.", "Drones inbound, 3 o'clock.",
+    "Patch the kernel, now.", "Trace route: 12 hops.", "Keep the uplink alive!"
+];
+
+export const PHRASES_HARD = [
+    "The quick brown fox jumps over the lazy dog.",
+    "Never trust a packet you didn't send yourself.",
+    "Keys rotate every 24 hours; stay sharp, runner.",
+    "If the kernel panics, reboot into safe mode (F8).",
+    "Error 404: the future you requested was not found.",
+    "Pack my box with five dozen liquor jugs!",
+    "All systems nominal - for now, at least.",
+    "She said \"trust the code\", then deleted it."
+];
+
+// Code Mode (Snippets typed exactly)
+export const CODE_EASY = [
+    "x = 1;", "i++", "if (ok)", "return 0;", "let a = b;", "null", "x => x",
+    "[0, 1]", "fn()", "a && b", "!done", "n % 2", "{}", "ls -la", "cd .."
+];
+
+export const CODE_MEDIUM = [
+    "const grid = [];", "if (hp <= 0) die();", "while (true) {}", "import os",
+    "print('hello')", "git push --force", "npm run build", "arr.map(x => x * 2)",
+    "SELECT * FROM users;", "return a ?? b;", "let [x, y] = pos;", "sudo rm -rf /tmp"
+];
+
+export const CODE_HARD = [
+    "for (let i = 0; i < 10; i++) {", "const { x, y } = player.pos;",
+    "document.getElementById('app')", "ssh root@10.0.0.1 -p 2222",
+    "if (err) throw new Error(err);", "SELECT id FROM logs WHERE lvl > 3;",
+    "fetch(url).then(r => r.json())", "chmod 755 ./deploy.sh && ./deploy.sh",
+    "def hack(target): return target[::-1]", "export default { name: 'neon' };"
+];
+
+// Versus (Split keyboard): words typed with one hand's keys only, so every word belongs to one player
+export const VERSUS_LEFT = [
+    "WEB", "BAT", "CAT", "TAX", "FAX", "GAS", "RAW", "WAR", "BET", "DEW", "TAG", "RAT",
+    "ACE", "ARC", "BAR", "CAR", "ERA", "ART", "VET", "DATA", "BASE", "CASE", "CARD", "DRAG",
+    "EDGE", "FACT", "GATE", "GEAR", "GRAB", "RATE", "READ", "REST", "SAFE", "SCAR", "SEED",
+    "STAR", "TEST", "TREE", "WAVE", "CRAB", "DART", "FADE", "FAST", "FEAR", "BEAT", "WEST",
+    "WARD", "SWAT", "CRATE", "GRADE", "GREAT", "FEAST", "WASTE", "WATER", "BADGE", "BEAST",
+    "BRACE", "CADET", "CRAFT", "DRAFT", "EXACT", "EXTRA", "FACET", "GRASS", "SCARE", "STAGE",
+    "STEER", "SWEAT", "TRACE", "TRADE", "TREAT", "WAGER", "ZEBRA", "ASSET", "CREST", "ACCESS",
+    "CAREER", "CASTER", "DEFEAT", "DEFECT", "DESERT", "DETECT", "EFFECT", "EXCESS", "REVERT",
+    "SECRET", "STARVE", "STREET", "TARGET", "VERTEX", "DECADE", "FREEZE", "BAZAAR", "REDACT",
+    "ADDRESS", "SWEATER", "TERRACE", "EXTRACT", "REFRACT", "CASCADE", "REGRETS", "DATABASE",
+    "ABSTRACT", "CASSETTE", "REDACTED", "STARGATE", "CATARACT", "TESSERACT", "EXTRACTED",
+    "STEWARDESS", "TRADECRAFT"
+];
+
+export const VERSUS_RIGHT = [
+    "HIM", "HOP", "HUM", "INK", "ION", "JOY", "KIN", "LIP", "MOP", "NIL", "OIL", "PIN",
+    "PLY", "YIN", "HIP", "HOOK", "HULK", "JOIN", "JUMP", "KILN", "KILO", "LIMP", "LINK",
+    "LOOK", "LOOP", "LUMP", "MILK", "MINK", "MOON", "NOUN", "OINK", "PILL", "PINK", "PLUM",
+    "POLL", "POOL", "PULL", "PUNK", "HYMN", "JUNK", "HOLY", "MONK", "LION", "YOLK", "HILL",
+    "HULL", "ONION", "UNION", "PHONY", "NYLON", "JUMPY", "OPIUM", "PINKY", "MILKY", "JOLLY",
+    "HOLLY", "KNOLL", "LOOPY", "POLYP", "MINION", "HOMINY", "KIMONO", "UNHOOK", "UNHOLY",
+    "PHYLUM", "UPHILL", "PUMPKIN", "OPINION", "MILLION", "KILLJOY", "MINIMUM", "MONOPOLY",
+    "LOLLIPOP", "NONUNION"
+];
+
+// mode -> difficulty -> list
+export const VOCABULARY = {
+    words: WORD_LISTS,
+    phrases: { easy: PHRASES_EASY, medium: PHRASES_MEDIUM, hard: PHRASES_HARD },
+    code: { easy: CODE_EASY, medium: CODE_MEDIUM, hard: CODE_HARD }
+};
+
+export const MODES = Object.keys(VOCABULARY);
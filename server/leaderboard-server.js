@@ -0,0 +1,252 @@
+import http from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { isValidReplay, cleanName, TICK_RATE, VERSUS_PLAYERS, STANDARD_FIELD } from '../core/index.js';
+
+// Reference Online Leaderboard Server
+// Stores scores in a JSON file and re-simulates every submitted replay, on a worker thread, with the
+// same headless core the game runs, so a score only counts if its input log reproduces it.
+//
+//   POST /scores              { name, replay }  -> 201 { id, rank, score }
+//   GET  /scores?difficulty=&mode=&limit=      -> 200 { scores: [{ rank, id, name, score, ... }] }
+//   GET  /scores/:id/replay                    -> 200 replay
+//
+//   node server/leaderboard-server.js [--port 8787] [--host 127.0.0.1] [--file scores.json]
+
+export const MAX_BODY = 2 * 1024 * 1024; // Bytes; a long run's input log is well under this
+export const MAX_TICKS = TICK_RATE * 60 * 60; // Replays longer than an hour aren't simulated
+export const MAX_LIMIT = 100;
+
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Replays run on one worker thread, queued, so a long one never stalls the other requests; the
+// worker only keeps the process alive while it has replays to run
+class ReplayQueue {
+    constructor() {
+        this.worker = null;
+        this.pending = []; // { resolve, reject } in the order the replays were posted
+    }
+
+    run(replay, maxTicks) {
+        if (!this.worker) this.start();
+        return new Promise((resolve, reject) => {
+            this.pending.push({ resolve, reject });
+            this.worker.ref();
+            this.worker.postMessage({ replay, maxTicks });
+        });
+    }
+
+    start() {
+        const worker = new Worker(new URL('./replay-worker.js', import.meta.url));
+        worker.on('message', result => {
+            this.pending.shift().resolve(result);
+            if (!this.pending.length) worker.unref();
+        });
+        worker.on('error', err => this.fail(worker, err));
+        worker.on('exit', () => this.fail(worker, new Error('Replay worker stopped')));
+        this.worker = worker;
+    }
+
+    // Everything still queued fails; the next replay starts a new worker
+    fail(worker, err) {
+        if (worker !== this.worker) return; // Already replaced
+        this.worker = null;
+        this.pending.splice(0).forEach(job => job.reject(err));
+    }
+}
+
+const replays = new ReplayQueue();
+
+// Re-simulates a submission; resolves with the entry to store or rejects with an HttpError
+export function verifySubmission(body) {
+    return Promise.resolve(body).then(checkSubmission).then(({ name, replay }) => replays.run(replay, replay.ticks + 1)
+        .then(result => {
+            if (!result || !result.verified) throw new HttpError(422, 'Replay does not reproduce the submitted score');
+            return {
+                name,
+                score: result.score,
+                wave: result.wave,
+                difficulty: result.difficulty,
+                mode: result.mode,
+                strictness: result.strictness,
+                accuracy: result.accuracy,
+                ticks: result.ticks,
+                date: new Date().toISOString(),
+                replay
+            };
+        }));
+}
+
+// What can be turned down without simulating anything; throws an HttpError
+function checkSubmission(body) {
+    const name = body && typeof body.name === 'string' ? cleanName(body.name) : '';
+    if (!name) throw new HttpError(400, 'Name required');
+    const replay = body.replay;
+    if (!isValidReplay(replay) || !Number.isInteger(replay.score) || !Number.isInteger(replay.ticks)) {
+        throw new HttpError(400, 'Invalid replay');
+    }
+    if (replay.ticks > MAX_TICKS) throw new HttpError(400, 'Replay too long');
+    if (replay.players === VERSUS_PLAYERS) throw new HttpError(400, 'Versus matches are not ranked');
+    if (replay.race) throw new HttpError(400, 'Race runs are not ranked'); // The opponent's attacks are in the inputs
+    if (replay.words) throw new HttpError(400, 'Word pack runs are not ranked'); // The boards are for the built-in words
+    if (replay.field.width !== STANDARD_FIELD.width || replay.field.height !== STANDARD_FIELD.height) {
+        throw new HttpError(400, 'Runs on a non-standard field are not ranked');
+    }
+    return { name, replay };
+}
+
+// Scores kept in memory and written through to a JSON file; writes are queued so they never overlap
+export class ScoreStore {
+    constructor(file) {
+        this.file = file;
+        this.entries = [];
+        this.writing = Promise.resolve();
+    }
+
+    load() {
+        return readFile(this.file, 'utf8')
+            .then(text => {
+                const data = JSON.parse(text);
+                this.entries = Array.isArray(data) ? data : [];
+            })
+            .catch(err => {
+                if (err.code !== 'ENOENT') throw err; // First run: no file yet
+            })
+            .then(() => this);
+    }
+
+    add(entry) {
+        // The same run submitted twice only counts once
+        const duplicate = this.entries.find(e => e.replay.seed === entry.replay.seed
+            && e.ticks === entry.ticks && e.score === entry.score);
+        if (duplicate) throw new HttpError(409, 'Run already submitted');
+
+        const stored = { id: this.entries.length + 1, ...entry };
+        this.entries.push(stored);
+        const temp = this.file + '.tmp';
+        this.writing = this.writing
+            .catch(() => {}) // A failed write doesn't block later ones
+            .then(() => writeFile(temp, JSON.stringify(this.entries)))
+            .then(() => rename(temp, this.file));
+        return this.writing.then(() => stored);
+    }
+
+    get(id) {
+        return this.entries.find(e => e.id === id) || null;
+    }
+
+    // Highest first, earliest submission wins ties; replays stay out of listings
+    top({ difficulty = null, mode = null, limit = 10 } = {}) {
+        return this.entries
+            .filter(e => (!difficulty || e.difficulty === difficulty) && (!mode || e.mode === mode))
+            .sort((a, b) => b.score - a.score || a.id - b.id)
+            .slice(0, limit)
+            .map(({ replay, ...entry }, i) => ({ rank: i + 1, ...entry }));
+    }
+
+    rankOf(entry) {
+        return this.top({ difficulty: entry.difficulty, mode: entry.mode, limit: Infinity })
+            .find(e => e.id === entry.id).rank;
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let size = 0;
+        const chunks = [];
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new HttpError(413, 'Submission too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (err) {
+                reject(new HttpError(400, 'Body must be JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+function send(res, status, data) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        // The game is served from elsewhere (or file://), so allow any origin
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(data === null ? '' : JSON.stringify(data));
+}
+
+function route(store, req) {
+    const url = new URL(req.url, 'http://localhost');
+    const replayMatch = url.pathname.match(/^\/scores\/(\d+)\/replay$/);
+
+    if (url.pathname === '/scores' && req.method === 'POST') {
+        return readBody(req)
+            .then(verifySubmission)
+            .then(entry => store.add(entry))
+            .then(entry => [201, { id: entry.id, rank: store.rankOf(entry), score: entry.score }]);
+    }
+    if (url.pathname === '/scores' && req.method === 'GET') {
+        const limit = Math.min(MAX_LIMIT, parseInt(url.searchParams.get('limit'), 10) || 10);
+        return Promise.resolve([200, {
+            scores: store.top({
+                difficulty: url.searchParams.get('difficulty'),
+                mode: url.searchParams.get('mode'),
+                limit
+            })
+        }]);
+    }
+    if (replayMatch && req.method === 'GET') {
+        const entry = store.get(Number(replayMatch[1]));
+        if (!entry) return Promise.reject(new HttpError(404, 'No such score'));
+        return Promise.resolve([200, entry.replay]);
+    }
+    return Promise.reject(new HttpError(404, 'Not found'));
+}
+
+// Resolves with an http.Server that is not yet listening
+export function createLeaderboardServer({ file = 'scores.json' } = {}) {
+    return new ScoreStore(file).load().then(store => http.createServer((req, res) => {
+        if (req.method === 'OPTIONS') {
+            send(res, 204, null);
+            return;
+        }
+        route(store, req)
+            .then(([status, data]) => send(res, status, data))
+            .catch(err => {
+                const status = err instanceof HttpError ? err.status : 500;
+                send(res, status, { error: status === 500 ? 'Server error' : err.message });
+            });
+    }));
+}
+
+// Command line
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const option = (flag, fallback) => {
+        const i = args.indexOf(flag);
+        return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+    };
+    const port = Number(option('--port', 8787));
+    const host = option('--host', '127.0.0.1');
+    const file = option('--file', 'scores.json');
+
+    createLeaderboardServer({ file }).then(server => server.listen(port, host, () => {
+        console.log(`Leaderboard listening on http://${host}:${port} (scores in ${file})`);
+    }));
+}
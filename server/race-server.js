@@ -0,0 +1,226 @@
+import http from 'node:http';
+import { fileURLToPath } from 'node:url';
+import { randomSeed, DIFFICULTIES, MODES, STRICTNESS, cleanName } from '../core/index.js';
+import { acceptUpgrade } from './websocket.js';
+
+// Reference Race Relay
+// Pairs players over WebSocket, hands both the same seed and passes messages between them.
+// It never runs the game: each client simulates its own run (see core/race.js).
+//
+//   client -> relay                         relay -> client
+//   { type: 'host', name, rules }           { type: 'lobby', rooms: [{ id, host, rules }] }
+//   { type: 'join', name, room }            { type: 'hosted', room }
+//   { type: 'status', score, health,        { type: 'start', seed, rules, opponent }
+//     wave, word, typed }                   { type: 'opponent', score, health, wave, word, typed }
+//   { type: 'attack', word }                { type: 'attack', word }
+//   { type: 'over', score, wave }           { type: 'opponentOver', score, wave }
+//   { type: 'leave' }                       { type: 'result', score, opponentScore, outcome }
+//                                           { type: 'opponentLeft' }, { type: 'error', message }
+//
+//   node server/race-server.js [--port 8788] [--host 127.0.0.1]
+
+export const MAX_WORD = 60; // Longest word relayed (phrases and code lines included)
+export const DEFAULT_RULES = { difficulty: 'easy', mode: 'words', strictness: 'forgiving' };
+
+// Unknown rule values fall back to the defaults; training words are per pilot, so it can't race
+export function cleanRules(rules) {
+    const pick = (value, allowed, fallback) => allowed.includes(value) ? value : fallback;
+    const r = rules || {};
+    return {
+        difficulty: pick(r.difficulty, DIFFICULTIES, DEFAULT_RULES.difficulty),
+        mode: pick(r.mode, MODES, DEFAULT_RULES.mode),
+        strictness: pick(r.strictness, STRICTNESS, DEFAULT_RULES.strictness)
+    };
+}
+
+function number(value) {
+    return Number.isFinite(value) ? Math.max(0, Math.floor(value)) : 0;
+}
+
+function text(value) {
+    return typeof value === 'string' ? value.slice(0, MAX_WORD) : '';
+}
+
+// Lobby and matches; one player per connection
+export class RaceRelay {
+    constructor() {
+        this.rooms = []; // Open: { id, host: player, rules }
+        this.nextRoom = 1;
+        this.players = new Set();
+    }
+
+    connect(connection) {
+        const player = { connection, name: '', room: null, opponent: null, over: null };
+        this.players.add(player);
+        connection.on('message', data => {
+            let message;
+            try {
+                message = JSON.parse(data);
+            } catch (err) {
+                this.send(player, { type: 'error', message: 'Messages must be JSON' });
+                return;
+            }
+            this.handle(player, message || {});
+        });
+        connection.on('close', () => this.disconnect(player));
+        this.send(player, this.lobby());
+        return player;
+    }
+
+    send(player, message) {
+        player.connection.send(JSON.stringify(message));
+    }
+
+    lobby() {
+        return {
+            type: 'lobby',
+            rooms: this.rooms.map(room => ({ id: room.id, host: room.host.name, rules: room.rules }))
+        };
+    }
+
+    // Everyone not racing sees the open rooms
+    broadcastLobby() {
+        const lobby = this.lobby();
+        this.players.forEach(p => {
+            if (!p.opponent) this.send(p, lobby);
+        });
+    }
+
+    handle(player, message) {
+        const name = cleanName(typeof message.name === 'string' ? message.name : '') || 'PILOT';
+        switch (message.type) {
+            case 'host':
+                if (player.opponent) return;
+                this.closeRoom(player);
+                player.name = name;
+                player.room = { id: this.nextRoom++, host: player, rules: cleanRules(message.rules) };
+                this.rooms.push(player.room);
+                this.send(player, { type: 'hosted', room: player.room.id });
+                this.broadcastLobby();
+                break;
+            case 'join': {
+                const room = this.rooms.find(r => r.id === message.room);
+                if (!room || room.host === player || player.opponent) {
+                    this.send(player, { type: 'error', message: 'Room is gone' });
+                    return;
+                }
+                this.closeRoom(player);
+                player.name = name;
+                this.start(room, player);
+                break;
+            }
+            case 'status':
+                if (!player.opponent) return;
+                this.send(player.opponent, {
+                    type: 'opponent',
+                    score: number(message.score),
+                    health: Math.min(100, number(message.health)),
+                    wave: number(message.wave),
+                    word: text(message.word),
+                    typed: number(message.typed)
+                });
+                break;
+            case 'attack':
+                if (player.opponent && !player.over && text(message.word)) {
+                    this.send(player.opponent, { type: 'attack', word: text(message.word) });
+                }
+                break;
+            case 'over':
+                if (!player.opponent || player.over) return;
+                player.over = { score: number(message.score), wave: number(message.wave) };
+                this.send(player.opponent, { type: 'opponentOver', ...player.over });
+                if (player.opponent.over) this.finish(player);
+                break;
+            case 'leave':
+                this.leave(player);
+                break;
+            default:
+                this.send(player, { type: 'error', message: 'Unknown message' });
+        }
+    }
+
+    start(room, guest) {
+        const host = room.host;
+        this.rooms = this.rooms.filter(r => r !== room);
+        host.room = null;
+        host.opponent = guest;
+        guest.opponent = host;
+        host.over = guest.over = null;
+
+        const seed = randomSeed();
+        this.send(host, { type: 'start', seed, rules: room.rules, opponent: guest.name });
+        this.send(guest, { type: 'start', seed, rules: room.rules, opponent: host.name });
+        this.broadcastLobby();
+    }
+
+    // Both runs are over: higher score wins; the pair goes back to the lobby
+    finish(player) {
+        const pair = [player, player.opponent];
+        pair.forEach((a, i) => {
+            const b = pair[1 - i];
+            const outcome = a.over.score === b.over.score ? 'draw' : (a.over.score > b.over.score ? 'win' : 'lose');
+            this.send(a, { type: 'result', score: a.over.score, opponentScore: b.over.score, outcome });
+        });
+        pair.forEach(p => {
+            p.opponent = null;
+            p.over = null;
+        });
+        this.broadcastLobby();
+    }
+
+    leave(player) {
+        this.closeRoom(player);
+        const opponent = player.opponent;
+        if (opponent) {
+            opponent.opponent = null;
+            opponent.over = null;
+            this.send(opponent, { type: 'opponentLeft' });
+        }
+        player.opponent = null;
+        player.over = null;
+        this.broadcastLobby();
+    }
+
+    closeRoom(player) {
+        if (!player.room) return;
+        this.rooms = this.rooms.filter(r => r !== player.room);
+        player.room = null;
+    }
+
+    disconnect(player) {
+        this.players.delete(player);
+        this.leave(player);
+    }
+}
+
+// An http.Server that is not yet listening; WebSocket upgrades on any path join the relay
+export function createRaceServer() {
+    const relay = new RaceRelay();
+    const server = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('WebSocket only');
+    });
+    server.on('upgrade', (req, socket, head) => {
+        const connection = acceptUpgrade(req, socket);
+        if (!connection) return;
+        relay.connect(connection);
+        if (head.length > 0) connection.receive(head); // Frames sent right behind the handshake
+    });
+    server.relay = relay;
+    return server;
+}
+
+// Command line
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const option = (flag, fallback) => {
+        const i = args.indexOf(flag);
+        return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+    };
+    const port = Number(option('--port', 8788));
+    const host = option('--host', '127.0.0.1');
+
+    createRaceServer().listen(port, host, () => {
+        console.log(`Race relay listening on ws://${host}:${port}`);
+    });
+}
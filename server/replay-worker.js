@@ -0,0 +1,9 @@
+import { parentPort } from 'node:worker_threads';
+import { runReplay } from '../core/index.js';
+
+// Replay Worker (Re-simulates submissions for leaderboard-server.js off its request path)
+// One message in, one result out, in the order they arrive.
+
+parentPort.on('message', ({ replay, maxTicks }) => {
+    parentPort.postMessage(runReplay(replay, maxTicks));
+});
@@ -0,0 +1,224 @@
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { Emitter } from '../core/index.js';
+
+// Minimal WebSocket (RFC 6455)
+// Just what the race relay needs to stay dependency-free: unfragmented or fragmented text
+// frames, ping/pong and close; no extensions. Browsers connect with the built-in WebSocket;
+// WebSocketClient gives Node (tests, bots) the same onopen/onmessage/send/close surface.
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+export const MAX_MESSAGE = 64 * 1024; // Race messages are a few hundred bytes
+
+export const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xA };
+
+export function acceptKey(key) {
+    return createHash('sha1').update(key + GUID).digest('base64');
+}
+
+// Clients must mask what they send; servers must not
+export function encodeFrame(opcode, payload = Buffer.alloc(0), mask = false) {
+    const length = payload.length;
+    let header;
+    if (length < 126) {
+        header = Buffer.from([0x80 | opcode, length]);
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+    if (!mask) return Buffer.concat([header, payload]);
+
+    header[1] |= 0x80;
+    const key = randomBytes(4);
+    const masked = Buffer.alloc(length);
+    for (let i = 0; i < length; i++) masked[i] = payload[i] ^ key[i % 4];
+    return Buffer.concat([header, key, masked]);
+}
+
+// Cuts a byte stream into frames; chunks may hold part of a frame or several
+export class FrameReader {
+    constructor(maxPayload = MAX_MESSAGE) {
+        this.buffer = Buffer.alloc(0);
+        this.maxPayload = maxPayload;
+    }
+
+    // Returns the complete frames [{ fin, opcode, payload }]; throws on an oversized frame
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const frames = [];
+        for (;;) {
+            const frame = this.next();
+            if (!frame) return frames;
+            frames.push(frame);
+        }
+    }
+
+    next() {
+        const buf = this.buffer;
+        if (buf.length < 2) return null;
+
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7F;
+        let offset = 2;
+        if (length === 126) {
+            if (buf.length < 4) return null;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return null;
+            length = Number(buf.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > this.maxPayload) throw new Error('Frame too large');
+
+        const maskOffset = offset;
+        if (masked) offset += 4;
+        if (buf.length < offset + length) return null;
+
+        const payload = Buffer.from(buf.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < length; i++) payload[i] ^= buf[maskOffset + (i % 4)];
+        }
+        this.buffer = buf.subarray(offset + length);
+        return { fin: (buf[0] & 0x80) !== 0, opcode: buf[0] & 0x0F, payload };
+    }
+}
+
+// One open connection over a raw socket. Events: message (text), close
+export class Connection extends Emitter {
+    constructor(socket, { mask = false } = {}) {
+        super();
+        this.socket = socket;
+        this.mask = mask;
+        this.reader = new FrameReader();
+        this.fragments = null; // Text message still arriving in pieces
+        this.open = true;
+
+        socket.on('data', chunk => this.receive(chunk));
+        socket.on('close', () => this.closed());
+        socket.on('error', () => socket.destroy());
+    }
+
+    receive(chunk) {
+        let frames;
+        try {
+            frames = this.reader.push(chunk);
+        } catch (err) {
+            this.close(1009);
+            return;
+        }
+        frames.forEach(frame => this.frame(frame));
+    }
+
+    frame({ fin, opcode, payload }) {
+        if (opcode === OPCODES.ping) {
+            this.write(OPCODES.pong, payload);
+        } else if (opcode === OPCODES.close) {
+            this.close();
+        } else if (opcode === OPCODES.text || opcode === OPCODES.continuation) {
+            this.fragments = opcode === OPCODES.text ? [payload] : (this.fragments || []).concat([payload]);
+            if (this.fragments.reduce((sum, f) => sum + f.length, 0) > MAX_MESSAGE) {
+                this.close(1009);
+                return;
+            }
+            if (!fin) return;
+            const text = Buffer.concat(this.fragments).toString('utf8');
+            this.fragments = null;
+            this.emit('message', text);
+        }
+        // Binary frames and pongs are ignored
+    }
+
+    write(opcode, payload) {
+        if (!this.open) return;
+        this.socket.write(encodeFrame(opcode, payload, this.mask));
+    }
+
+    send(text) {
+        this.write(OPCODES.text, Buffer.from(text, 'utf8'));
+    }
+
+    close(code = 1000) {
+        if (!this.open) return;
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        this.write(OPCODES.close, payload);
+        this.socket.end();
+        this.closed();
+    }
+
+    closed() {
+        if (!this.open) return;
+        this.open = false;
+        this.emit('close');
+    }
+}
+
+// Server side of the handshake; returns the Connection, or null after refusing the request
+export function acceptUpgrade(req, socket) {
+    const key = req.headers['sec-websocket-key'];
+    if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+        '', ''
+    ].join('\r\n'));
+    return new Connection(socket);
+}
+
+// Node stand-in for the browser WebSocket (ws:// only)
+export class WebSocketClient {
+    constructor(url) {
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        this.connection = null;
+
+        const key = randomBytes(16).toString('base64');
+        const req = http.request(url.replace(/^ws/, 'http'), {
+            headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' }
+        });
+        req.on('upgrade', (res, socket, head) => {
+            if (res.headers['sec-websocket-accept'] !== acceptKey(key)) {
+                socket.destroy();
+                this.fail();
+                return;
+            }
+            const connection = new Connection(socket, { mask: true });
+            this.connection = connection;
+            connection.on('message', data => this.onmessage && this.onmessage({ data }));
+            connection.on('close', () => this.onclose && this.onclose({}));
+            if (this.onopen) this.onopen({});
+            if (head.length > 0) connection.receive(head);
+        });
+        req.on('response', () => this.fail()); // Answered without upgrading
+        req.on('error', () => this.fail());
+        req.end();
+    }
+
+    fail() {
+        if (this.onerror) this.onerror({});
+        if (this.onclose) this.onclose({});
+    }
+
+    send(text) {
+        if (this.connection) this.connection.send(text);
+    }
+
+    close() {
+        if (this.connection) this.connection.close();
+    }
+}
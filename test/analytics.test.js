@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeKeys, TICK_RATE } from '../core/index.js';
+import { createGame, addEnemy, typeWord } from './helpers.js';
+
+// One keystroke every `gap` ticks; words start a fresh lock
+function log(pairs, gap = 10) {
+    return pairs.map(([typed, intended], i) => ({
+        typed,
+        intended,
+        start: i === 0,
+        tick: i * gap,
+        latency: i === 0 ? null : gap
+    }));
+}
+
+test('the game logs every keystroke with what it expected', () => {
+    const game = createGame();
+    addEnemy(game, 'CODE');
+
+    game.handleInput('C');
+    game.step();
+    game.step();
+    game.handleInput('X');
+    game.handleInput('O');
+    game.handleInput('Q');
+
+    assert.deepEqual(game.stats.keyLog.map(k => [k.typed, k.intended, k.start]), [
+        ['C', 'C', true], ['X', 'O', false], ['O', 'O', false], ['Q', 'D', false]
+    ]);
+    assert.deepEqual(game.stats.keyLog.map(k => k.latency), [null, 2, 0, 0]);
+});
+
+test('a stray key with no target has no intended character', () => {
+    const game = createGame();
+
+    game.handleInput('Z');
+
+    assert.equal(game.stats.keyLog[0].intended, null);
+    assert.equal(analyzeKeys(game.stats.keyLog).stray, 1);
+});
+
+test('raw WPM counts every key, net WPM takes errors off', () => {
+    // 60 keys, one per tick: one second of typing with a miss in every ten
+    const keys = Array.from({ length: 60 }, (_, i) => i % 10 === 0 ? ['X', 'A'] : ['A', 'A']);
+    const report = analyzeKeys(log(keys, 1));
+    const minutes = 60 / TICK_RATE / 60;
+
+    assert.equal(report.keystrokes, 60);
+    assert.equal(report.errors, 6);
+    assert.equal(report.rawWpm, Math.round(60 / 5 / minutes));
+    assert.equal(report.wpm, Math.round(54 / 5 / minutes));
+    assert.equal(report.netWpm, Math.round(report.rawWpm - 6 / minutes));
+});
+
+test('the heatmap rates each intended key by how often it was missed', () => {
+    const report = analyzeKeys(log([['A', 'A'], ['S', 'A'], ['a', 'a'], ['E', 'E']]));
+
+    assert.deepEqual(report.keys.A, { presses: 3, errors: 1, errorRate: 1 / 3 });
+    assert.deepEqual(report.keys.E, { presses: 1, errors: 0, errorRate: 0 });
+    assert.equal(report.keys.S, undefined);
+});
+
+test('confused pairs are ranked by count', () => {
+    const report = analyzeKeys(log([['R', 'E'], ['R', 'E'], ['M', 'N'], ['E', 'E']]));
+
+    assert.deepEqual(report.confusions, [
+        { intended: 'E', typed: 'R', count: 2 },
+        { intended: 'N', typed: 'M', count: 1 }
+    ]);
+});
+
+test('slow bigrams ignore word starts and one-off pairs', () => {
+    const keys = [
+        { typed: 'T', intended: 'T', start: true, tick: 0, latency: null },
+        { typed: 'H', intended: 'H', start: false, tick: 30, latency: 30 },
+        { typed: 'T', intended: 'T', start: true, tick: 200, latency: 170 },
+        { typed: 'H', intended: 'H', start: false, tick: 210, latency: 10 },
+        { typed: 'E', intended: 'E', start: false, tick: 215, latency: 5 }
+    ];
+
+    const report = analyzeKeys(keys);
+
+    assert.deepEqual(report.slowBigrams, [{ bigram: 'TH', count: 2, avgMs: Math.round(20 * 1000 / TICK_RATE) }]);
+});
+
+test('the game result carries the analysis', () => {
+    const game = createGame();
+    addEnemy(game, 'CODE');
+    typeWord(game, 'CODE');
+
+    game.takeDamage(100);
+
+    assert.equal(game.result.analytics.keystrokes, 4);
+    assert.equal(game.result.analytics.errors, 0);
+    assert.equal(game.result.analytics.keys.C.presses, 1);
+});
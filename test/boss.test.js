@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BOSS_EVERY, BOSS_REWARD, ENEMY_TYPES, INTERMISSION_TICKS } from '../core/index.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+// A game whose first boss wave has just run out of regular enemies
+function bossGame() {
+    const game = createGame();
+    game.startWave(BOSS_EVERY);
+    game.waveSpawned = game.waveDef.count;
+    game.step();
+    return game;
+}
+
+// Lets the boss descend to its firing position
+function arrive(game) {
+    while (game.boss.y < game.boss.homeY) game.step();
+}
+
+test('a boss wave ends with a boss once its enemies are cleared', () => {
+    const game = createGame();
+    const spawned = record(game, 'bossSpawned');
+    game.startWave(BOSS_EVERY);
+    game.waveSpawned = game.waveDef.count;
+    addEnemy(game, 'CODE', 300);
+
+    game.step();
+    assert.equal(spawned.length, 0);
+
+    typeWord(game, 'CODE');
+    game.step();
+
+    assert.equal(spawned.length, 1);
+    assert.equal(game.boss, spawned[0]);
+    assert.equal(game.wave, BOSS_EVERY);
+    assert.ok(game.enemies.includes(game.boss));
+
+    // No regular spawns while it lives
+    for (let i = 0; i < 300; i++) game.step();
+    assert.ok(game.enemies.every(e => e.type === 'boss' || e.type === 'missile'));
+});
+
+test('boss segments are typed in order and keep the lock', () => {
+    const game = bossGame();
+    const boss = game.boss;
+    boss.y = 100;
+    const damaged = record(game, 'bossDamaged');
+
+    typeWord(game, boss.segments[0]);
+
+    assert.deepEqual(damaged, [boss]);
+    assert.equal(boss.segment, 1);
+    assert.equal(boss.word, boss.segments[1]);
+    assert.equal(game.lockedTarget, boss);
+    assert.ok(boss.health < 1 && boss.health > 0);
+});
+
+test('the boss fires missiles at the player', () => {
+    const game = bossGame();
+    const fired = record(game, 'bossFired');
+    arrive(game);
+
+    for (let i = 0; i < 250 && fired.length === 0; i++) game.step();
+
+    assert.equal(fired.length, 1);
+    const missile = fired[0];
+    assert.equal(missile.type, 'missile');
+    assert.ok(game.shortWords.includes(missile.word));
+
+    while (!missile.markedForDeletion) game.step();
+    assert.ok(Math.abs(missile.x - game.player.x) < 5);
+    assert.equal(game.health, 100 - ENEMY_TYPES.missile.damage);
+});
+
+test('a counter-word intercepts a missile without losing boss progress', () => {
+    const game = bossGame();
+    const boss = game.boss;
+    boss.y = 100;
+    boss.segments = ['SERVER', 'KERNEL', 'MATRIX'];
+    const missile = addEnemy(game, 'BYTE', 300, 'missile');
+
+    typeWord(game, 'SER');
+    game.handleInput('B');
+    assert.equal(game.lockedTarget, missile);
+    assert.equal(boss.isLocked, false);
+    assert.equal(boss.matchedIndex, 3);
+
+    typeWord(game, 'YTE');
+    assert.equal(missile.markedForDeletion, true);
+    assert.equal(game.lockedTarget, null);
+
+    game.handleInput('V'); // Picks the boss back up where it left off
+    assert.equal(game.lockedTarget, boss);
+    assert.equal(boss.matchedIndex, 4);
+    assert.equal(game.stats.keysHit, game.stats.keysTyped);
+});
+
+test('defeating the boss pays out, restores the hull and ends the wave', () => {
+    const game = bossGame();
+    const boss = game.boss;
+    boss.y = 100;
+    const missile = addEnemy(game, 'BYTE', 300, 'missile');
+    const defeated = record(game, 'bossDefeated');
+    game.health = 40;
+    const before = game.score;
+
+    boss.segments.forEach(word => typeWord(game, word));
+
+    assert.equal(defeated.length, 1);
+    assert.equal(defeated[0].points, Math.round((boss.totalLetters * 20 + BOSS_REWARD) * game.multiplier));
+    assert.equal(game.score, before + defeated[0].points);
+    assert.equal(game.health, 100);
+    assert.equal(game.boss, null);
+    assert.equal(missile.markedForDeletion, true);
+
+    const cleared = record(game, 'waveCleared');
+    game.step();
+    assert.equal(cleared.length, 1);
+    assert.equal(cleared[0].wave, BOSS_EVERY);
+
+    for (let i = 0; i < INTERMISSION_TICKS; i++) game.step();
+    assert.equal(game.wave, BOSS_EVERY + 1);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Camera } from '../client/camera.js';
+
+const FIELD = { width: 640, height: 360 };
+
+test('at rest the view scales the playfield to the canvas', () => {
+    const camera = new Camera();
+    assert.deepEqual(camera.view(1280, 720, FIELD), [2, 2, 0, 0]);
+});
+
+test('a canvas of another shape letterboxes the field instead of stretching it', () => {
+    const camera = new Camera();
+    assert.deepEqual(camera.view(1280, 800, FIELD), [2, 2, 0, 40]); // 16:10
+    assert.deepEqual(camera.view(720, 1280, FIELD), [1.125, 1.125, 0, 437.5]); // Portrait
+    assert.deepEqual(camera.view(1440, 360, FIELD), [1, 1, 400, 0]);
+
+    camera.kick(1, 2);
+    camera.update(); // Zoom 1.25
+    const [scale, , offsetX, offsetY] = camera.view(1280, 800, FIELD);
+    assert.equal(320 * scale + offsetX, 640);
+    assert.equal(180 * scale + offsetY, 400);
+});
+
+test('shake offsets the view until its ticks run out', () => {
+    const camera = new Camera();
+    camera.shake(2, 10);
+
+    assert.deepEqual(camera.view(1280, 720, FIELD, 1, () => 1), [2, 2, 5, 5]);
+    assert.deepEqual(camera.offset, [5, 5]); // For the background, which shakes but doesn't zoom
+    camera.update();
+    camera.update();
+    assert.deepEqual(camera.view(1280, 720, FIELD, 1, () => 0), [2, 2, -5, -5]);
+    camera.update();
+    assert.deepEqual(camera.view(1280, 720, FIELD, 1, () => 1), [2, 2, 0, 0]);
+    assert.deepEqual(camera.offset, [0, 0]);
+});
+
+test('a zoom kick eases back to 1 about the canvas centre', () => {
+    const camera = new Camera();
+    camera.kick(0.5, 4);
+    const zooms = [];
+    for (let i = 0; i < 5; i++) {
+        camera.update();
+        zooms.push(camera.zoom);
+    }
+    assert.deepEqual(zooms, [1 + 0.5 * 0.5625, 1 + 0.5 * 0.25, 1 + 0.5 * 0.0625, 1, 1]);
+
+    camera.kick(1, 2);
+    camera.update(); // Zoom 1.25
+    const [scaleX, , offsetX, offsetY] = camera.view(1280, 720, FIELD);
+    assert.equal(scaleX, 2.5);
+    // The centre of the field stays at the centre of the canvas
+    assert.equal(320 * scaleX + offsetX, 640);
+    assert.equal(180 * scaleX + offsetY, 360);
+
+    // Interpolated between ticks
+    assert.equal(camera.view(1280, 720, FIELD, 0)[0], 2);
+    camera.reset();
+    assert.equal(camera.zoom, 1);
+});
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Clock, TICK_MS, MAX_FRAME_MS, createRNG } from '../core/index.js';
+
+test('the clock runs the same number of ticks at any refresh rate', () => {
+    const ticksFor = hz => {
+        const clock = new Clock();
+        let ticks = clock.advance(0);
+        for (let frame = 1; frame <= hz; frame++) ticks += clock.advance(frame * 1000 / hz + TICK_MS / 2);
+        return ticks;
+    };
+
+    assert.equal(ticksFor(60), 60);
+    assert.equal(ticksFor(144), 60);
+    assert.equal(ticksFor(30), 60);
+});
+
+test('the clock exposes the leftover fraction for interpolation', () => {
+    const clock = new Clock();
+    clock.advance(0);
+
+    assert.equal(clock.advance(TICK_MS * 2.5), 2);
+    assert.ok(Math.abs(clock.alpha - 0.5) < 1e-9);
+});
+
+test('long stalls are clamped instead of fast-forwarded', () => {
+    const clock = new Clock();
+    clock.advance(0);
+
+    assert.equal(clock.advance(10000), Math.round(MAX_FRAME_MS / TICK_MS));
+});
+
+test('the rng is deterministic per seed and within [0, 1)', () => {
+    const a = createRNG(123);
+    const b = createRNG(123);
+    const values = Array.from({ length: 1000 }, () => a());
+
+    assert.deepEqual(values, Array.from({ length: 1000 }, () => b()));
+    assert.ok(values.every(v => v >= 0 && v < 1));
+    assert.notEqual(createRNG(124)(), values[0]);
+});
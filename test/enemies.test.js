@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ENEMY_TYPES, SCOUT_SWAY, SHIELD_RADIUS } from '../core/index.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+function spawnTypes(game, count) {
+    const seen = new Set();
+    for (let i = 0; i < count; i++) seen.add(game.spawnEnemy().type);
+    return seen;
+}
+
+test('only drones spawn in the first wave', () => {
+    const game = createGame();
+
+    assert.deepEqual([...spawnTypes(game, 200)], ['drone']);
+});
+
+test('archetypes unlock as waves advance', () => {
+    const game = createGame();
+    game.startWave(3);
+    assert.deepEqual([...spawnTypes(game, 300)].sort(), ['armored', 'drone', 'scout']);
+
+    game.startWave(8);
+    const late = spawnTypes(game, 500);
+    Object.entries(ENEMY_TYPES).forEach(([name, type]) => {
+        assert.equal(late.has(name), type.weight > 0, name); // Fragments and missiles are never spawned directly
+    });
+});
+
+test('scouts zig-zag around their lane', () => {
+    const game = createGame();
+    const scout = addEnemy(game, 'NODE', 100, 'scout');
+    const xs = [];
+    for (let i = 0; i < 200; i++) {
+        scout.update(1);
+        xs.push(scout.x);
+    }
+
+    assert.ok(Math.max(...xs) - Math.min(...xs) > SCOUT_SWAY);
+    xs.forEach(x => assert.ok(Math.abs(x - scout.laneX) <= SCOUT_SWAY));
+});
+
+test('armored enemies need their word typed twice and keep the lock', () => {
+    const game = createGame();
+    const enemy = addEnemy(game, 'CODE', 100, 'armored');
+    const broken = record(game, 'armorBroken');
+
+    typeWord(game, 'CODE');
+    assert.deepEqual(broken, [enemy]);
+    assert.equal(enemy.markedForDeletion, false);
+    assert.equal(enemy.matchedIndex, 0);
+    assert.equal(game.lockedTarget, enemy);
+
+    typeWord(game, 'CODE');
+    assert.equal(enemy.markedForDeletion, true);
+    assert.equal(game.stats.scoring.base, 4 * ENEMY_TYPES.armored.points);
+});
+
+test('splitters break into two short-word fragments', () => {
+    const game = createGame();
+    const splitter = addEnemy(game, 'SYNC', 300, 'splitter');
+    const splits = record(game, 'enemySplit');
+
+    typeWord(game, 'SYNC');
+
+    assert.equal(splits.length, 1);
+    const { fragments } = splits[0];
+    assert.equal(fragments.length, 2);
+    fragments.forEach(f => {
+        assert.equal(f.type, 'fragment');
+        assert.ok(f.word.length <= 5);
+        assert.equal(f.y, splitter.y);
+        assert.ok(game.enemies.includes(f));
+    });
+    assert.ok(fragments[0].x < splitter.x && fragments[1].x > splitter.x);
+});
+
+test('bombers dive once half of the word is typed', () => {
+    const game = createGame();
+    const bomber = addEnemy(game, 'SERVER', 100, 'bomber');
+    const calm = addEnemy(game, 'SERVER', 100, 'bomber');
+    calm.speed = bomber.speed;
+
+    typeWord(game, 'SER');
+    bomber.update(1);
+    calm.update(1);
+
+    assert.equal(bomber.primed, true);
+    assert.equal(calm.primed, false);
+    assert.ok(bomber.y - 100 > (calm.y - 100) * 2);
+});
+
+test('shield carriers protect their neighbours until destroyed', () => {
+    const game = createGame();
+    const carrier = addEnemy(game, 'GATE', 100, 'shield');
+    carrier.x = 400;
+    const covered = addEnemy(game, 'NODE', 400, 'drone');
+    covered.x = 400;
+    covered.y = 100 + SHIELD_RADIUS / 2;
+    game.updateShields();
+
+    assert.equal(covered.shielded, true);
+    assert.equal(carrier.shielded, false);
+
+    game.handleInput('N');
+    assert.equal(game.lockedTarget, null);
+
+    typeWord(game, 'GATE');
+    assert.equal(covered.shielded, false);
+
+    game.handleInput('N');
+    assert.equal(game.lockedTarget, covered);
+});
+
+test('breaches cost the archetype damage', () => {
+    const game = createGame();
+    const bomber = addEnemy(game, 'CODE', game.field.height + 1, 'bomber');
+
+    game.step();
+
+    assert.equal(bomber.markedForDeletion, true);
+    assert.equal(game.health, 100 - ENEMY_TYPES.bomber.damage);
+});
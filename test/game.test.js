@@ -0,0 +1,270 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+import { STRICT_PENALTY, waveDefinition } from '../core/index.js';
+
+test('first key locks the lowest on-screen enemy starting with it', () => {
+    const game = createGame();
+    const high = addEnemy(game, 'NODE', 100);
+    const low = addEnemy(game, 'NULL', 400);
+    addEnemy(game, 'NEON', -50); // Not on screen yet
+    const locked = record(game, 'enemyLocked');
+
+    game.handleInput('N');
+
+    assert.equal(game.lockedTarget, low);
+    assert.equal(low.matchedIndex, 1);
+    assert.equal(high.matchedIndex, 0);
+    assert.deepEqual(locked, [low]);
+});
+
+test('a key matching no enemy is a miss and resets the streak', () => {
+    const game = createGame();
+    addEnemy(game, 'CODE');
+    const missed = record(game, 'keyMissed');
+
+    game.handleInput('C');
+    game.handleInput('X');
+
+    assert.equal(game.stats.keysTyped, 2);
+    assert.equal(game.stats.keysHit, 1);
+    assert.equal(game.stats.currentStreak, 0);
+    assert.equal(game.stats.maxStreak, 1);
+    assert.deepEqual(missed, [{ key: 'X' }]);
+    assert.equal(game.lockedTarget.matchedIndex, 1);
+});
+
+test('completing a word destroys the enemy for a base of ten per letter', () => {
+    const game = createGame();
+    const enemy = addEnemy(game, 'CODE');
+    const destroyed = record(game, 'enemyDestroyed');
+    const shots = record(game, 'shotFired');
+
+    typeWord(game, 'CODE');
+
+    assert.equal(game.lockedTarget, null);
+    assert.equal(enemy.markedForDeletion, true);
+    assert.equal(shots.length, 4);
+    assert.equal(destroyed.length, 1);
+    assert.equal(destroyed[0].enemy, enemy);
+    assert.equal(destroyed[0].breakdown.base, 40);
+    assert.equal(destroyed[0].points, game.score);
+
+    game.step();
+    assert.equal(game.enemies.includes(enemy), false);
+});
+
+test('an enemy passing the bottom costs 20 hull and releases the lock', () => {
+    const game = createGame();
+    const enemy = addEnemy(game, 'GRID', game.field.height - 0.1);
+    const damage = record(game, 'damageTaken');
+    game.handleInput('G');
+
+    game.step();
+
+    assert.equal(game.health, 80);
+    assert.equal(game.lockedTarget, null);
+    assert.equal(enemy.markedForDeletion, true);
+    assert.deepEqual(damage, [{ amount: 20, health: 80 }]);
+});
+
+test('hull reaching zero ends the game once with a result', () => {
+    const game = createGame();
+    const over = record(game, 'gameOver');
+    game.health = 20;
+    addEnemy(game, 'VOID', game.field.height - 0.1);
+    addEnemy(game, 'NULL', game.field.height - 0.1);
+
+    game.step();
+
+    assert.equal(game.over, true);
+    assert.equal(game.health, 0);
+    assert.equal(over.length, 1);
+    assert.equal(over[0].score, 0);
+    assert.equal(over[0].replay, game.recording);
+
+    const tick = game.tick;
+    game.step();
+    assert.equal(game.tick, tick, 'a finished game no longer advances');
+});
+
+// Every event type the game emits, in order
+function allEvents(game) {
+    const events = [];
+    const emit = game.emit.bind(game);
+    game.emit = (type, payload) => {
+        events.push(type);
+        return emit(type, payload);
+    };
+    return events;
+}
+
+test('nothing else happens in the tick that ends the game', () => {
+    const game = createGame();
+    const events = allEvents(game);
+    game.health = 20;
+    addEnemy(game, 'VOID', game.field.height - 0.1);
+    addEnemy(game, 'NULL', game.field.height - 0.1);
+    game.spawnTimer = game.waveDef.spawnRate; // Would spawn this tick
+
+    game.step();
+
+    assert.equal(events.filter(type => type === 'damageTaken').length, 1);
+    assert.equal(events[events.length - 1], 'gameOver');
+});
+
+test('a strict-mode penalty that ends the game stops the tick before the enemies move', () => {
+    const game = createGame({ strictness: 'strict' });
+    const events = allEvents(game);
+    game.health = STRICT_PENALTY;
+    const enemy = addEnemy(game, 'CODE', game.field.height - 0.1);
+
+    game.queueInput('X');
+    game.step();
+
+    assert.equal(game.over, true);
+    assert.equal(events[events.length - 1], 'gameOver');
+    assert.equal(enemy.markedForDeletion, false);
+});
+
+test('enemies spawn on the wave cadence from the difficulty list', () => {
+    const game = createGame({ difficulty: 'hard' });
+    const spawned = record(game, 'enemySpawned');
+
+    for (let i = 0; i < waveDefinition(1).spawnRate; i++) game.step();
+    assert.equal(spawned.length, 0);
+    game.step();
+    assert.equal(spawned.length, 1);
+    assert.ok(spawned[0].word.length >= 8);
+});
+
+test('the same seed produces the same enemy stream', () => {
+    const words = seed => {
+        const game = createGame({ seed });
+        for (let i = 0; i < 2000; i++) game.step();
+        return game.stats.scoreHistory.concat(game.enemies.map(e => `${e.word}@${e.x.toFixed(3)}`));
+    };
+
+    assert.deepEqual(words(42), words(42));
+    assert.notDeepEqual(words(42), words(43));
+});
+
+test('words mode upper-cases keys so lowercase typing still hits', () => {
+    const game = createGame();
+    addEnemy(game, 'CODE');
+
+    typeWord(game, 'code');
+
+    assert.equal(game.stats.scoring.base, 40);
+});
+
+test('phrase mode is case-sensitive and types spaces and punctuation', () => {
+    const game = createGame({ mode: 'phrases' });
+    const enemy = addEnemy(game, 'Go dark!');
+
+    game.handleInput('g');
+    assert.equal(game.lockedTarget, null, 'wrong case does not lock');
+
+    typeWord(game, 'Go');
+    game.handleInput('D');
+    assert.equal(enemy.matchedIndex, 2, 'wrong case is a miss mid-word');
+
+    typeWord(game, ' dark!');
+    assert.equal(enemy.markedForDeletion, true);
+    assert.equal(game.stats.scoring.base, 80);
+    assert.equal(game.stats.keysTyped, 10);
+});
+
+test('a space with no target locked is ignored rather than a miss', () => {
+    const game = createGame({ mode: 'phrases' });
+    addEnemy(game, 'jack in');
+    const missed = record(game, 'keyMissed');
+
+    game.handleInput(' ');
+
+    assert.deepEqual(missed, []);
+    assert.equal(game.stats.keysTyped, 0);
+    assert.equal(game.lockedTarget, null);
+});
+
+test('each mode spawns from its own vocabulary and long labels fall slower', () => {
+    const game = createGame({ mode: 'code', difficulty: 'hard' });
+    const enemy = game.spawnEnemy();
+
+    assert.ok(enemy.word.includes(' '));
+    assert.ok(enemy.speed < 1.3 * (12 / enemy.word.length));
+    assert.equal(game.recording.mode, 'code');
+});
+
+test('forgiving rules keep the lock and ignore Backspace', () => {
+    const game = createGame();
+    const enemy = addEnemy(game, 'CODE');
+
+    game.handleInput('C');
+    game.handleInput('X');
+    game.handleInput('Backspace');
+
+    assert.equal(game.lockedTarget, enemy);
+    assert.equal(enemy.matchedIndex, 1);
+    assert.equal(game.health, 100);
+    assert.equal(game.stats.keysTyped, 2);
+});
+
+test('strict rules charge hull and drop the lock on a wrong key', () => {
+    const game = createGame({ strictness: 'strict' });
+    const enemy = addEnemy(game, 'CODE');
+    const released = record(game, 'targetReleased');
+
+    typeWord(game, 'CO');
+    game.handleInput('X');
+
+    assert.equal(game.lockedTarget, null);
+    assert.equal(enemy.isLocked, false);
+    assert.equal(enemy.matchedIndex, 0);
+    assert.equal(game.health, 100 - STRICT_PENALTY);
+    assert.deepEqual(released, [{ enemy, reason: 'error' }]);
+
+    // The word starts over from its first letter
+    typeWord(game, 'CODE');
+    assert.equal(enemy.markedForDeletion, true);
+});
+
+test('strict rules charge hull for a key that locks nothing', () => {
+    const game = createGame({ strictness: 'strict' });
+    addEnemy(game, 'CODE');
+
+    game.handleInput('X');
+
+    assert.equal(game.health, 100 - STRICT_PENALTY);
+});
+
+test('retarget rules release the lock on Backspace', () => {
+    const game = createGame({ strictness: 'retarget' });
+    const first = addEnemy(game, 'CODE', 400);
+    const second = addEnemy(game, 'CORE', 100);
+    const released = record(game, 'targetReleased');
+
+    typeWord(game, 'CO');
+    game.handleInput('Backspace');
+
+    assert.equal(game.lockedTarget, null);
+    assert.equal(first.matchedIndex, 0);
+    assert.deepEqual(released, [{ enemy: first, reason: 'manual' }]);
+    assert.equal(game.stats.keysTyped, 2); // Backspace is not a keystroke for accuracy
+
+    game.handleInput('X');
+    assert.equal(game.health, 100); // Misses stay free
+    assert.equal(game.lockedTarget, null);
+
+    first.y = 50; // Make the other enemy the lowest
+    game.handleInput('C');
+    assert.equal(game.lockedTarget, second);
+});
+
+test('typing rules are part of the result and the replay', () => {
+    const game = createGame({ strictness: 'retarget' });
+    game.takeDamage(100);
+
+    assert.equal(game.result.strictness, 'retarget');
+    assert.equal(game.result.replay.strictness, 'retarget');
+});
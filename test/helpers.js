@@ -0,0 +1,28 @@
+import { GameCore, Enemy } from '../core/index.js';
+
+export const FIELD = { width: 1280, height: 720 };
+
+export function createGame(options = {}) {
+    return new GameCore({ seed: 1234, field: FIELD, ...options });
+}
+
+// Places an enemy with a known word at a known height
+export function addEnemy(game, word, y = 100, type = 'drone') {
+    const enemy = new Enemy(word, game.rng, game.field, type);
+    enemy.y = y;
+    enemy.prevY = y;
+    game.enemies.push(enemy);
+    game.updateShields();
+    return enemy;
+}
+
+export function typeWord(game, word) {
+    word.split('').forEach(char => game.handleInput(char));
+}
+
+// Collects every payload emitted for an event type
+export function record(game, type) {
+    const events = [];
+    game.on(type, payload => events.push(payload));
+    return events;
+}
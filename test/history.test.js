@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    runRecord, isValidRun, sortRuns, bestsByDifficulty, historyToJSON, historyToCSV, importHistory, mergeHistory,
+    TICK_RATE
+} from '../core/index.js';
+import { createGame, addEnemy, typeWord } from './helpers.js';
+
+function run(overrides = {}) {
+    return {
+        date: '2026-03-01T12:00:00.000Z', difficulty: 'easy', mode: 'words', strictness: 'forgiving',
+        score: 1000, wave: 3, accuracy: 95, wpm: 48, maxStreak: 30, duration: 120, ...overrides
+    };
+}
+
+test('a finished game becomes a history record', () => {
+    const game = createGame({ difficulty: 'medium' });
+    addEnemy(game, 'CODE');
+    typeWord(game, 'CODE');
+    for (let i = 0; i < TICK_RATE * 2; i++) game.step();
+    game.takeDamage(100);
+
+    const record = runRecord(game.result, new Date('2026-03-01T12:00:00Z'));
+
+    assert.equal(record.date, '2026-03-01T12:00:00.000Z');
+    assert.equal(record.difficulty, 'medium');
+    assert.equal(record.score, game.result.score);
+    assert.equal(record.wpm, game.result.analytics.wpm);
+    assert.equal(record.duration, 2);
+    assert.equal(isValidRun(record), true);
+});
+
+test('invalid runs are rejected', () => {
+    assert.equal(isValidRun(run()), true);
+    assert.equal(isValidRun(run({ date: 'yesterday' })), false);
+    assert.equal(isValidRun(run({ difficulty: 'insane' })), false);
+    assert.equal(isValidRun(run({ score: -5 })), false);
+    assert.equal(isValidRun(run({ wpm: '48' })), false);
+    assert.equal(isValidRun(run({ difficulty: 'training' })), true);
+});
+
+test('bests are kept per difficulty', () => {
+    const bests = bestsByDifficulty([
+        run({ score: 500, wpm: 60 }),
+        run({ score: 900, wpm: 40 }),
+        run({ difficulty: 'hard', score: 300, wave: 7 })
+    ]);
+
+    assert.deepEqual(bests.easy, { runs: 2, score: 900, wave: 3, accuracy: 95, wpm: 60 });
+    assert.equal(bests.hard.wave, 7);
+    assert.equal(bests.medium, undefined);
+});
+
+test('history round-trips through JSON and CSV, oldest first', () => {
+    const runs = [run({ date: '2026-03-02T00:00:00.000Z', score: 2 }), { id: 7, ...run({ score: 1 }) }];
+
+    [['history.json', historyToJSON(runs)], ['history.csv', historyToCSV(runs)]].forEach(([name, text]) => {
+        const { runs: imported, errors } = importHistory(text, name);
+        assert.deepEqual(errors, []);
+        assert.deepEqual(imported, sortRuns(runs).map(({ id, ...r }) => r));
+    });
+    assert.equal(historyToCSV([]).split('\n')[0], 'date,difficulty,mode,strictness,score,wave,accuracy,wpm,maxStreak,duration');
+});
+
+test('bad import rows are skipped and reported', () => {
+    const csv = historyToCSV([run()]) + '2026-03-03T00:00:00.000Z,insane,words,forgiving,1,1,1,1,1,1\n';
+    const { runs, errors } = importHistory(csv, 'history.csv');
+
+    assert.equal(runs.length, 1);
+    assert.deepEqual(errors, ['Line 3: not a valid run']);
+    assert.match(importHistory('{', 'history.json').errors[0], /Could not read history.json/);
+    assert.match(importHistory('date,score\n', 'history.csv').errors[0], /missing columns/);
+});
+
+test('merging skips runs already in the history', () => {
+    const existing = [run()];
+    const incoming = [run(), run({ score: 5 }), run({ score: 5 })];
+
+    assert.deepEqual(mergeHistory(existing, incoming), [run({ score: 5 })]);
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LEADERBOARD_SIZE, NAME_LENGTH, createLeaderboard, addProfile, removeProfile, profileBoard, difficultyBoard,
+    personalBest, qualifies, recordScore, isValidLeaderboard
+} from '../core/index.js';
+
+function withPilots(...names) {
+    let board = createLeaderboard();
+    names.forEach((name, i) => board = addProfile(board, name, 'p' + i).board);
+    return board;
+}
+
+// Records scores in order, one second apart
+function play(board, profileId, difficulty, scores) {
+    scores.forEach((score, i) => {
+        const date = new Date(Date.UTC(2026, 0, 1, 0, 0, i)).toISOString();
+        board = recordScore(board, profileId, difficulty, { name: '', score, wave: 1, accuracy: 90, date }).board;
+    });
+    return board;
+}
+
+test('profiles need a unique, clean name', () => {
+    let board = createLeaderboard();
+    const added = addProfile(board, '  alice  ', 'a');
+    board = added.board;
+
+    assert.deepEqual(added.profile, { id: 'a', name: 'ALICE' });
+    assert.match(addProfile(board, 'Alice').error, /already exists/);
+    assert.equal(addProfile(board, '   ').error, 'Name required');
+    assert.equal(addProfile(board, 'x'.repeat(40)).profile.name.length, NAME_LENGTH);
+
+    board = removeProfile(board, 'a');
+    assert.deepEqual(board, createLeaderboard());
+});
+
+test('each profile keeps its own top ten per difficulty', () => {
+    let board = withPilots('ALICE', 'BOB');
+    board = play(board, 'p0', 'hard', [100, 500, 300, 200, 900, 800, 700, 600, 400, 1000, 50]);
+    board = play(board, 'p1', 'hard', [5000]);
+
+    const alice = profileBoard(board, 'p0', 'hard');
+    assert.equal(alice.length, LEADERBOARD_SIZE);
+    assert.deepEqual(alice.map(e => e.score), [1000, 900, 800, 700, 600, 500, 400, 300, 200, 100]);
+    assert.equal(alice[0].name, 'ALICE'); // Blank names fall back to the profile
+    assert.deepEqual(profileBoard(board, 'p0', 'easy'), []);
+    assert.equal(personalBest(board, 'p1', 'hard'), 5000);
+    assert.equal(personalBest(board, 'p1', 'easy'), 0);
+});
+
+test('a run qualifies only if it beats the tenth place', () => {
+    let board = withPilots('ALICE');
+    assert.equal(qualifies(board, 'p0', 'easy', 0), false);
+    assert.equal(qualifies(board, 'p0', 'easy', 10), true);
+
+    board = play(board, 'p0', 'easy', Array.from({ length: LEADERBOARD_SIZE }, (_, i) => (i + 1) * 100));
+    assert.equal(qualifies(board, 'p0', 'easy', 100), false);
+    assert.equal(qualifies(board, 'p0', 'easy', 101), true);
+
+    const missed = recordScore(board, 'p0', 'easy', { name: 'X', score: 50, wave: 1, accuracy: 1, date: new Date().toISOString() });
+    assert.equal(missed.board, board);
+    assert.equal(missed.rank, null);
+});
+
+test('the all-pilots board merges profiles and reports both ranks', () => {
+    let board = withPilots('ALICE', 'BOB');
+    board = play(board, 'p0', 'medium', [300, 100]);
+    board = play(board, 'p1', 'medium', [200]);
+
+    const { board: next, rank, overallRank } = recordScore(board, 'p1', 'medium', {
+        name: 'bobby', score: 250, wave: 4, accuracy: 88, date: '2026-02-01T00:00:00.000Z'
+    });
+
+    assert.equal(rank, 1);
+    assert.equal(overallRank, 2);
+    assert.deepEqual(difficultyBoard(next, 'medium').map(e => [e.profile, e.name, e.score]), [
+        ['ALICE', 'ALICE', 300], ['BOB', 'BOBBY', 250], ['BOB', 'BOB', 200], ['ALICE', 'ALICE', 100]
+    ]);
+    assert.equal(isValidLeaderboard(JSON.parse(JSON.stringify(next))), true);
+});
+
+test('malformed leaderboards are rejected', () => {
+    assert.equal(isValidLeaderboard(null), false);
+    assert.equal(isValidLeaderboard({ profiles: [{ id: 1, name: 'A' }], scores: {} }), false);
+    assert.equal(isValidLeaderboard({ profiles: [], scores: { a: { easy: [{ name: 'A', score: 'lots', date: '' }] } } }), false);
+});
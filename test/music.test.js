@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Sequencer, musicMood, stepDuration, STEPS_PER_BAR, TEMPO_RANGE } from '../core/index.js';
+
+const CALM = musicMood({ wave: 1, health: 100, enemies: 0, boss: null });
+const FRANTIC = musicMood({ wave: 10, health: 20, enemies: 12, boss: {} });
+
+// Every note of a few bars at one mood
+function bars(mood, count = 4, seed = 1) {
+    const sequencer = new Sequencer(seed);
+    const notes = [];
+    for (let i = 0; i < count * STEPS_PER_BAR; i++) notes.push(...sequencer.next(mood));
+    return notes;
+}
+
+const voices = notes => new Set(notes.map(n => n.voice));
+
+test('mood follows wave, enemies, hull and bosses', () => {
+    assert.equal(CALM.tempo, TEMPO_RANGE[0]);
+    assert.equal(CALM.danger, false);
+    assert.equal(FRANTIC.tempo, TEMPO_RANGE[1]);
+    assert.equal(FRANTIC.intensity, 1);
+    assert.equal(FRANTIC.danger, true);
+    assert.ok(musicMood({ wave: 1, health: 100, enemies: 6, boss: null }).intensity > CALM.intensity);
+});
+
+test('layers join as intensity rises', () => {
+    assert.deepEqual([...voices(bars(CALM))].sort(), ['bass', 'kick', 'pad']);
+    assert.deepEqual([...voices(bars(FRANTIC))].sort(), ['arp', 'bass', 'hat', 'kick', 'pad', 'snare']);
+    assert.ok(bars(FRANTIC).length > bars(CALM).length * 2);
+});
+
+test('a low hull lifts the arpeggio an octave', () => {
+    const arp = mood => bars(mood).filter(n => n.voice === 'arp').map(n => n.note);
+    const safe = arp({ ...FRANTIC, danger: false });
+    assert.deepEqual(arp(FRANTIC), safe.map(n => n + 12));
+});
+
+test('the same seed writes the same music', () => {
+    assert.deepEqual(bars(FRANTIC, 16, 7), bars(FRANTIC, 16, 7));
+    assert.equal(stepDuration(120), 0.125);
+});
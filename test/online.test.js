@@ -0,0 +1,96 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLeaderboardServer, verifySubmission } from '../server/leaderboard-server.js';
+import { LeaderboardClient } from '../client/leaderboard-client.js';
+import { createGame } from './helpers.js';
+
+// A short live run: types the lowest enemy's word every 90 ticks
+function playRun(seed, difficulty = 'easy') {
+    const game = createGame({ seed, difficulty });
+    while (!game.over) {
+        if (game.tick % 90 === 0) {
+            const target = game.enemies.filter(e => e.y > 0).sort((a, b) => b.y - a.y)[0];
+            if (target) target.word.split('').forEach(c => game.queueInput(c));
+        }
+        game.step();
+    }
+    return JSON.parse(JSON.stringify(game.result));
+}
+
+let dir, file, server, client;
+
+before(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'neontype-'));
+    file = join(dir, 'scores.json');
+    server = await createLeaderboardServer({ file });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    client = new LeaderboardClient(`http://127.0.0.1:${server.address().port}/`);
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+});
+
+test('a genuine run is verified, stored and ranked', async () => {
+    const low = playRun(3);
+    const high = playRun(4);
+    const [first, second] = low.score < high.score ? [low, high] : [high, low];
+
+    const a = await client.submit('alice', first);
+    assert.equal(a.rank, 1);
+    assert.equal(a.score, first.score);
+
+    const b = await client.submit('bob', second);
+    assert.equal(b.rank, 1);
+
+    const scores = await client.rankings({ difficulty: 'easy' });
+    assert.deepEqual(scores.map(s => [s.rank, s.name, s.score]), [[1, 'BOB', second.score], [2, 'ALICE', first.score]]);
+    assert.equal(scores[0].replay, undefined);
+    assert.deepEqual(await client.rankings({ difficulty: 'hard' }), []);
+
+    const saved = JSON.parse(await readFile(file, 'utf8'));
+    assert.equal(saved.length, 2);
+    assert.deepEqual(await client.replay(a.id), first.replay);
+});
+
+test('a reloaded server keeps its scores', async () => {
+    const reloaded = await createLeaderboardServer({ file });
+    await new Promise(resolve => reloaded.listen(0, '127.0.0.1', resolve));
+    const other = new LeaderboardClient(`http://127.0.0.1:${reloaded.address().port}`);
+
+    const scores = await other.rankings();
+    await new Promise(resolve => reloaded.close(resolve));
+    assert.equal(scores.length, 2);
+});
+
+test('forged scores and bad submissions are rejected', async () => {
+    const run = playRun(8);
+    const forged = { ...run, replay: { ...run.replay, score: run.replay.score + 5000 } };
+
+    await assert.rejects(client.submit('mallory', forged), /does not reproduce/);
+    await assert.rejects(client.submit('', run), /Name required/);
+    await assert.rejects(client.submit('mallory', { replay: { version: 0 } }), /Invalid replay/);
+
+    await client.submit('carol', run);
+    await assert.rejects(client.submit('carol', run), /already submitted/);
+});
+
+test('a replay cut short of its claimed length fails verification', async () => {
+    const run = playRun(9);
+    const replay = { ...run.replay, inputs: run.replay.inputs.slice(0, 2) };
+
+    await assert.rejects(verifySubmission({ name: 'x', replay }), err => err.status === 422);
+});
+
+test('word pack runs and non-standard fields are not ranked', async () => {
+    const run = playRun(10);
+    const words = { ...run.replay, words: [{ word: 'A'.repeat(40), weight: 1 }] };
+    const field = { ...run.replay, field: { width: 12800, height: 720 } };
+
+    await assert.rejects(verifySubmission({ name: 'x', replay: words }), /Word pack runs are not ranked/);
+    await assert.rejects(verifySubmission({ name: 'x', replay: field }), /non-standard field/);
+});
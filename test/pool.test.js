@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Pool, sweep, Projectile, isValidReplay, runReplay } from '../core/index.js';
+import { FrameMeter } from '../client/profiler.js';
+import { createGame } from './helpers.js';
+
+class Dot {
+    constructor(x) {
+        this.reset(x);
+    }
+
+    reset(x) {
+        this.x = x;
+    }
+}
+
+test('a pool hands released objects back out, reset', () => {
+    const pool = new Pool(Dot);
+    const a = pool.acquire(1);
+    pool.release(a);
+    assert.equal(pool.size, 1);
+
+    const b = pool.acquire(2);
+    assert.equal(b, a);
+    assert.equal(b.x, 2);
+    assert.equal(pool.size, 0);
+    assert.notEqual(pool.acquire(3), a); // Empty: a new one
+});
+
+test('sweep removes every dead entry, even neighbours, in order', () => {
+    const released = [];
+    const list = [1, 2, 3, 4, 5, 6];
+    const same = sweep(list, n => n === 2 || n === 3 || n === 6, n => released.push(n));
+
+    assert.equal(same, list);
+    assert.deepEqual(list, [1, 4, 5]);
+    assert.deepEqual(released, [2, 3, 6]);
+});
+
+test('spent projectiles are reused and a run still replays exactly', () => {
+    const game = createGame({ seed: 99 });
+    while (!game.over) {
+        if (game.tick % 70 === 0) {
+            const target = game.enemies.filter(e => e.y > 0).sort((a, b) => b.y - a.y)[0];
+            if (target) target.word.split('').forEach(c => game.queueInput(c));
+        }
+        game.step();
+    }
+
+    assert.ok(game.projectilePool.size > 0);
+    assert.ok(game.projectiles.every(p => p instanceof Projectile && p.active));
+    const replay = JSON.parse(JSON.stringify(game.result.replay));
+    assert.equal(isValidReplay(replay), true);
+    assert.equal(runReplay(replay).verified, true);
+});
+
+test('a recycled projectile starts with an empty trail', () => {
+    const target = { x: 500, y: 0, markedForDeletion: false };
+    const shot = new Projectile(500, 700, target);
+    for (let i = 0; i < 12; i++) shot.update();
+    assert.equal(shot.trail.length, 8);
+
+    shot.reset(100, 700, target);
+    assert.deepEqual(shot.trail, []);
+    assert.equal(shot.active, true);
+});
+
+test('the frame meter averages frame rate and cost', () => {
+    const meter = new FrameMeter(4);
+    [0, 20, 40, 60, 80].forEach(t => meter.record(t, 5));
+    assert.equal(meter.fps, 50);
+    assert.equal(meter.frameMs, 5);
+
+    meter.reset();
+    meter.record(5000, 5); // Back from a pause: no 4.9 s frame
+    assert.equal(meter.fps, 50);
+});
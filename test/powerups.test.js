@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { POWER_UPS, SLOW_TICKS, SLOW_FACTOR } from '../core/index.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+function carrier(game, powerUp, word = 'ZAP', y = 300) {
+    const enemy = addEnemy(game, word, y);
+    enemy.powerUp = powerUp;
+    return enemy;
+}
+
+test('some regular spawns carry power-ups', () => {
+    const game = createGame();
+    game.waveDef = { ...game.waveDef, count: 400, spawnRate: 0 };
+    const spawned = record(game, 'enemySpawned');
+    for (let i = 0; i < 400; i++) game.step();
+
+    const carried = spawned.filter(e => e.powerUp);
+    assert.ok(carried.length > 10 && carried.length < 60, `${carried.length} carriers`);
+    POWER_UPS.forEach(type => assert.ok(carried.some(e => e.powerUp === type), type));
+});
+
+test('completing a carrier grants its power-up', () => {
+    const game = createGame();
+    carrier(game, 'shield');
+    const collected = record(game, 'powerUpCollected');
+
+    typeWord(game, 'ZAP');
+
+    assert.equal(collected.length, 1);
+    assert.equal(collected[0].type, 'shield');
+    assert.equal(game.powerUps.shield, 1);
+});
+
+test('EMP destroys everything on screen and knocks a segment off a boss', () => {
+    const game = createGame();
+    const a = addEnemy(game, 'CODE', 100);
+    const b = addEnemy(game, 'NODE', 500);
+    const incoming = addEnemy(game, 'DATA', -50);
+    game.spawnBoss();
+    game.boss.y = 120;
+    const destroyed = record(game, 'enemyDestroyed');
+
+    carrier(game, 'emp', 'ZAP', 50);
+    typeWord(game, 'ZAP');
+
+    assert.equal(a.markedForDeletion, true);
+    assert.equal(b.markedForDeletion, true);
+    assert.equal(incoming.markedForDeletion, false);
+    assert.equal(game.boss.segment, 1);
+    assert.equal(destroyed.length, 3);
+    assert.equal(game.stats.scoring.base, 3 * 10 + 4 * 10 + 4 * 10);
+});
+
+test('a chained EMP knocks only one segment off a boss', () => {
+    const game = createGame();
+    game.spawnBoss();
+    game.boss.y = 120;
+    const second = carrier(game, 'emp', 'BOOM', 200);
+    const damaged = record(game, 'bossDamaged');
+
+    carrier(game, 'emp', 'ZAP', 50);
+    typeWord(game, 'ZAP');
+
+    assert.equal(second.markedForDeletion, true);
+    assert.equal(game.boss.segment, 1);
+    assert.equal(damaged.length, 1);
+});
+
+test('SLOW dilates enemy movement for its duration', () => {
+    const game = createGame();
+    carrier(game, 'slow');
+    typeWord(game, 'ZAP');
+    const enemy = addEnemy(game, 'CODE', 100);
+    const expired = record(game, 'powerUpExpired');
+
+    game.step();
+    const slowed = enemy.y - 100;
+    assert.ok(Math.abs(slowed - enemy.speed * game.waveDef.speed * SLOW_FACTOR) < 1e-9);
+
+    for (let i = 1; i < SLOW_TICKS; i++) game.step();
+    assert.deepEqual(expired, ['slow']);
+
+    const before = enemy.y;
+    game.step();
+    assert.ok(Math.abs(enemy.y - before - enemy.speed * game.waveDef.speed) < 1e-9);
+});
+
+test('SHIELD absorbs exactly one hit', () => {
+    const game = createGame();
+    carrier(game, 'shield');
+    typeWord(game, 'ZAP');
+    const used = record(game, 'powerUpUsed');
+
+    game.takeDamage(20);
+    assert.equal(game.health, 100);
+    assert.deepEqual(used, ['shield']);
+
+    game.takeDamage(20);
+    assert.equal(game.health, 80);
+});
+
+test('MULTISHOT makes the next word also hit the nearest enemy', () => {
+    const game = createGame();
+    carrier(game, 'multishot');
+    typeWord(game, 'ZAP');
+    assert.equal(game.powerUps.multishot, 1);
+
+    const target = addEnemy(game, 'CODE', 300);
+    target.x = 400;
+    const near = addEnemy(game, 'NODE', 300);
+    near.x = 500;
+    const far = addEnemy(game, 'DATA', 300);
+    far.x = 1100;
+
+    typeWord(game, 'CODE');
+
+    assert.equal(near.markedForDeletion, true);
+    assert.equal(far.markedForDeletion, false);
+    assert.equal(game.powerUps.multishot, 0);
+
+    typeWord(game, 'DATA');
+    assert.equal(game.stats.scoring.base, 3 * 10 + 4 * 10 * 3);
+});
+
+test('MULTISHOT keeps its charge when nothing else is around', () => {
+    const game = createGame();
+    game.powerUps.multishot = 1;
+    addEnemy(game, 'CODE', 300);
+
+    typeWord(game, 'CODE');
+
+    assert.equal(game.powerUps.multishot, 1);
+});
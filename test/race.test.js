@@ -0,0 +1,236 @@
+import { test, before, after } from 'node:test';
+import net from 'node:net';
+import assert from 'node:assert/strict';
+import { ATTACK_INPUT, ATTACK_TYPE, isValidReplay, runReplay } from '../core/index.js';
+import { createRaceServer, cleanRules } from '../server/race-server.js';
+import { WebSocketClient, FrameReader, encodeFrame, OPCODES } from '../server/websocket.js';
+import { RaceClient } from '../client/race-client.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+// Wave spawns only (no splitter fragments or boss missiles), in order; typist: types the
+// lowest enemy's word every 60 ticks
+function spawnedWords(game, typist) {
+    const words = [];
+    game.on('enemySpawned', e => {
+        if (e.type !== 'fragment' && e.type !== 'missile') words.push(e.word);
+    });
+    while (!game.over && game.tick < 20000) {
+        if (typist && game.tick % 60 === 0) {
+            const target = game.enemies.filter(e => e.y > 0).sort((a, b) => b.y - a.y)[0];
+            if (target) target.word.split('').forEach(c => game.queueInput(c));
+        }
+        game.step();
+    }
+    return words;
+}
+
+test('both sides of a race face the same wave stream however they play', () => {
+    const idle = spawnedWords(createGame({ seed: 77, race: true }), false);
+    const busy = spawnedWords(createGame({ seed: 77, race: true }), true);
+
+    assert.ok(busy.length > idle.length); // Got further
+    assert.deepEqual(busy.slice(0, idle.length), idle);
+});
+
+test('a normal run draws from one RNG as before', () => {
+    const game = createGame();
+    assert.equal(game.spawnRng, game.rng);
+    assert.equal(game.race, false);
+});
+
+test('destroying an attack word sends it to the opponent', () => {
+    const game = createGame({ race: true });
+    const sent = record(game, 'attackSent');
+    addEnemy(game, 'BYTE').attack = true;
+
+    typeWord(game, 'BYTE');
+
+    assert.deepEqual(sent, [{ word: 'BYTE' }]);
+    assert.equal(game.stats.attacksSent, 1);
+});
+
+test('an incoming attack spawns an enemy and is recorded as an input', () => {
+    const game = createGame({ race: true });
+    const received = record(game, 'attackReceived');
+    const word = game.words[0].word;
+
+    assert.equal(game.queueAttack(word), true);
+    assert.equal(game.queueAttack('NOT A WORD IN THIS LIST'), false);
+    game.step();
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].word, word);
+    assert.equal(received[0].type, ATTACK_TYPE);
+    assert.equal(received[0].incoming, true);
+    assert.deepEqual(game.recording.inputs, [[0, ATTACK_INPUT, word]]);
+    assert.equal(createGame().queueAttack(word), false); // Not a race
+});
+
+test('a race with attacks replays exactly', () => {
+    const game = createGame({ seed: 31, race: true });
+    const words = game.words.map(w => w.word);
+    while (!game.over) {
+        if (game.tick % 200 === 100) game.queueAttack(words[game.tick % words.length]);
+        if (game.tick % 90 === 0) {
+            const target = game.enemies.filter(e => e.y > 0).sort((a, b) => b.y - a.y)[0];
+            if (target) target.word.split('').forEach(c => game.queueInput(c));
+        }
+        game.step();
+    }
+    const replay = JSON.parse(JSON.stringify(game.result.replay));
+
+    assert.equal(replay.race, true);
+    assert.ok(replay.inputs.some(i => i[1] === ATTACK_INPUT));
+    assert.equal(isValidReplay(replay), true);
+    assert.equal(isValidReplay({ ...replay, inputs: [[0, 'A', 'extra']] }), false);
+    assert.equal(runReplay(replay).verified, true);
+    assert.ok(game.result.attacks.received > 0);
+});
+
+test('frames survive masking and arbitrary chunking', () => {
+    const text = JSON.stringify({ type: 'status', word: 'x'.repeat(300) });
+    const bytes = Buffer.concat([
+        encodeFrame(OPCODES.text, Buffer.from(text), true),
+        encodeFrame(OPCODES.ping, Buffer.from('hi'))
+    ]);
+    const reader = new FrameReader();
+    const frames = [];
+    for (let i = 0; i < bytes.length; i += 7) frames.push(...reader.push(bytes.subarray(i, i + 7)));
+
+    assert.equal(frames.length, 2);
+    assert.equal(frames[0].payload.toString(), text);
+    assert.equal(frames[1].opcode, OPCODES.ping);
+});
+
+test('unknown race rules fall back to the defaults', () => {
+    assert.deepEqual(cleanRules({ difficulty: 'training', mode: 'code', strictness: 'nope' }),
+        { difficulty: 'easy', mode: 'code', strictness: 'forgiving' });
+});
+
+// Relay
+
+let server, url;
+const clients = [];
+
+before(async () => {
+    server = createRaceServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    clients.forEach(c => c.close());
+    await new Promise(resolve => server.close(resolve));
+});
+
+function connect() {
+    const client = new RaceClient(url, WebSocketClient);
+    clients.push(client);
+    return client.connect();
+}
+
+// Resolves with the next message of a type that passes the filter
+function next(client, type, filter = () => true) {
+    return new Promise(resolve => {
+        const off = client.on(type, message => {
+            if (!filter(message)) return;
+            off();
+            resolve(message);
+        });
+    });
+}
+
+test('the relay pairs a host and a guest on one seed and relays their race', async () => {
+    const alice = await connect();
+    const bob = await connect();
+
+    const lobby = next(bob, 'lobby', m => m.rooms.length > 0); // Not the empty one sent on connect
+    alice.host('alice', { difficulty: 'hard', mode: 'words', strictness: 'strict' });
+    const { rooms } = await lobby;
+    assert.deepEqual(rooms.map(r => [r.host, r.rules.difficulty]), [['ALICE', 'hard']]);
+
+    const starts = Promise.all([next(alice, 'start'), next(bob, 'start')]);
+    bob.join('bob', rooms[0].id);
+    const [a, b] = await starts;
+    assert.equal(a.seed, b.seed);
+    assert.deepEqual(a.rules, { difficulty: 'hard', mode: 'words', strictness: 'strict' });
+    assert.equal(a.opponent, 'BOB');
+    assert.equal(b.opponent, 'ALICE');
+
+    const status = next(bob, 'opponent');
+    alice.status({ score: 120, health: 80, wave: 2, word: 'BYTE', typed: 2 });
+    assert.deepEqual(await status, { type: 'opponent', score: 120, health: 80, wave: 2, word: 'BYTE', typed: 2 });
+
+    const attack = next(alice, 'attack');
+    bob.attack('NODE');
+    assert.equal((await attack).word, 'NODE');
+
+    const down = next(bob, 'opponentOver');
+    alice.over({ score: 500, wave: 3 });
+    assert.equal((await down).score, 500);
+
+    const results = Promise.all([next(alice, 'result'), next(bob, 'result')]);
+    bob.over({ score: 700, wave: 4 });
+    const [ra, rb] = await results;
+    assert.deepEqual([ra.outcome, ra.score, ra.opponentScore], ['lose', 500, 700]);
+    assert.equal(rb.outcome, 'win');
+});
+
+test('a player leaving mid-race is reported to the opponent', async () => {
+    const host = await connect();
+    const guest = await connect();
+
+    const hosted = next(host, 'hosted');
+    host.host('host', {});
+    const { room } = await hosted;
+
+    const started = next(host, 'start');
+    guest.join('guest', room);
+    await started;
+
+    const left = next(host, 'opponentLeft');
+    guest.close();
+    await left;
+});
+
+test('a client closed and connected again is back in the lobby', async () => {
+    const client = await connect();
+    let closed = 0;
+    client.on('close', () => closed++);
+
+    client.close();
+    client.close(); // Already closed: nothing more
+    assert.equal(closed, 1);
+    assert.equal(client.connected, false);
+
+    const lobby = next(client, 'lobby');
+    await client.connect();
+    assert.equal(client.connected, true);
+    assert.deepEqual(Object.keys(await lobby), ['type', 'rooms']);
+});
+
+test('a message sent right behind the handshake is not lost', { timeout: 5000 }, async () => {
+    const socket = net.connect(server.address().port, '127.0.0.1');
+    const message = Buffer.from(JSON.stringify({ type: 'host', name: 'eager', rules: {} }));
+    socket.write(Buffer.concat([
+        Buffer.from('GET / HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n'
+            + 'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n'),
+        encodeFrame(OPCODES.text, message, true)
+    ]));
+
+    const reader = new FrameReader();
+    let handshake = true;
+    const types = await new Promise(resolve => {
+        const seen = [];
+        socket.on('data', chunk => {
+            if (handshake) {
+                chunk = chunk.subarray(chunk.indexOf('\r\n\r\n') + 4);
+                handshake = false;
+            }
+            reader.push(chunk).forEach(frame => seen.push(JSON.parse(frame.payload.toString()).type));
+            if (seen.includes('hosted')) resolve(seen);
+        });
+    });
+    socket.destroy();
+    assert.deepEqual(types.slice(0, 2), ['lobby', 'hosted']);
+});
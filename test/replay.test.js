@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isValidReplay, runReplay, REPLAY_VERSION } from '../core/index.js';
+import { createGame } from './helpers.js';
+
+// Plays a live run with a crude typist: every 90 ticks it types the word of the lowest enemy
+function playRun(seed, options = {}) {
+    const game = createGame({ seed, ...options });
+    while (!game.over) {
+        if (game.tick % 90 === 0) {
+            const target = game.enemies.filter(e => e.y > 0).sort((a, b) => b.y - a.y)[0];
+            game.queueInput('Backspace'); // Releases a half-typed lock under retarget rules
+            if (target) target.word.split('').forEach(c => game.queueInput(c));
+            game.queueInput('#'); // A miss now and then
+        }
+        game.step();
+    }
+    return game.result;
+}
+
+test('a recorded run is a valid replay', () => {
+    const { replay } = playRun(7);
+
+    assert.equal(isValidReplay(replay), true);
+    assert.ok(replay.inputs.length > 0);
+    assert.equal(isValidReplay(JSON.parse(JSON.stringify(replay))), true);
+});
+
+test('replaying a run reproduces its score and length exactly', () => {
+    const live = playRun(99);
+    const replayed = runReplay(JSON.parse(JSON.stringify(live.replay)));
+
+    assert.equal(replayed.verified, true);
+    assert.equal(replayed.score, live.score);
+    assert.equal(replayed.ticks, live.ticks);
+    assert.equal(replayed.wave, live.wave);
+});
+
+test('a tampered replay fails verification', () => {
+    const live = playRun(5);
+    const forged = { ...live.replay, score: live.score + 1000 };
+
+    assert.equal(runReplay(forged).verified, false);
+});
+
+test('strict and retarget runs replay exactly, Backspace included', () => {
+    ['strict', 'retarget'].forEach(strictness => {
+        const live = playRun(21, { strictness });
+        const replayed = runReplay(JSON.parse(JSON.stringify(live.replay)));
+
+        assert.equal(replayed.strictness, strictness);
+        assert.equal(replayed.verified, true);
+        assert.equal(replayed.score, live.score);
+    });
+});
+
+test('replay playback ignores live keyboard input', () => {
+    const { replay } = playRun(11);
+    const game = createGame({ replay });
+
+    game.queueInput('A');
+
+    assert.deepEqual(game.inputQueue, []);
+});
+
+test('malformed replays are rejected', () => {
+    assert.equal(isValidReplay(null), false);
+    assert.equal(isValidReplay({ version: 1, seed: 1, difficulty: 'easy', field: { width: 1, height: 1 }, inputs: [] }), false);
+    assert.equal(isValidReplay({ version: REPLAY_VERSION, seed: 1, difficulty: 'insane', field: { width: 1, height: 1 }, inputs: [] }), false);
+    assert.equal(isValidReplay({ version: REPLAY_VERSION, seed: 1.5, difficulty: 'easy', field: { width: 1, height: 1 }, inputs: [] }), false);
+    assert.equal(isValidReplay({ version: REPLAY_VERSION, seed: 1, difficulty: 'easy', field: { width: 1, height: 1 }, inputs: [['0', 'A']] }), false);
+    assert.equal(isValidReplay({ version: REPLAY_VERSION, seed: 1, difficulty: 'easy', strictness: 'lenient', field: { width: 1, height: 1 }, inputs: [] }), false);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    multiplierFor, scoreKill, STREAK_STEP, MULTIPLIER_STEP, MAX_MULTIPLIER, SPEED_FAST, SPEED_SLOW, PERFECT_BONUS
+} from '../core/index.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+const sum = s => s.base + s.perfect + s.speed + s.danger + s.multiplier;
+
+test('the multiplier steps up with the streak and caps', () => {
+    assert.equal(multiplierFor(0), 1);
+    assert.equal(multiplierFor(STREAK_STEP - 1), 1);
+    assert.equal(multiplierFor(STREAK_STEP), 1 + MULTIPLIER_STEP);
+    assert.equal(multiplierFor(STREAK_STEP * 100), MAX_MULTIPLIER);
+});
+
+test('kill scores combine base, bonuses and multiplier', () => {
+    const slow = { errors: 1, ticks: SPEED_SLOW * 4, letters: 4, depth: 0.2 };
+    assert.deepEqual(scoreKill(40, slow, 1), { base: 40, perfect: 0, speed: 0, danger: 0, multiplier: 0, total: 40 });
+
+    const best = { errors: 0, ticks: SPEED_FAST * 4, letters: 4, depth: 1 };
+    const kill = scoreKill(40, best, 2);
+    assert.equal(kill.perfect, 40 * PERFECT_BONUS);
+    assert.equal(kill.speed, 40);
+    assert.equal(kill.danger, 40);
+    assert.equal(kill.total, (40 + 20 + 40 + 40) * 2);
+    assert.equal(sum(kill), kill.total);
+
+    const halfway = scoreKill(40, { errors: 1, ticks: (SPEED_FAST + SPEED_SLOW) / 2 * 4, letters: 4, depth: 0.5 }, 1);
+    assert.equal(halfway.speed, 20);
+    assert.equal(halfway.danger, 0);
+
+    assert.deepEqual(scoreKill(40, null, 1.5), { base: 40, perfect: 0, speed: 0, danger: 0, multiplier: 20, total: 60 });
+});
+
+test('the streak drives the multiplier and a miss resets it', () => {
+    const game = createGame();
+    const changes = record(game, 'multiplierChanged');
+    const word = 'A'.repeat(STREAK_STEP);
+    addEnemy(game, word, 100);
+
+    typeWord(game, word);
+    assert.equal(game.multiplier, 1 + MULTIPLIER_STEP);
+
+    game.handleInput('#');
+    assert.equal(game.multiplier, 1);
+    assert.deepEqual(changes, [1 + MULTIPLIER_STEP, 1]);
+});
+
+test('a wrong key on a word forfeits its perfect bonus', () => {
+    const game = createGame();
+    addEnemy(game, 'CODE', 100);
+    const destroyed = record(game, 'enemyDestroyed');
+
+    typeWord(game, 'CO');
+    game.handleInput('X');
+    typeWord(game, 'DE');
+
+    assert.equal(destroyed[0].breakdown.perfect, 0);
+    assert.equal(game.stats.scoring.perfectWords, 0);
+});
+
+test('slow words earn no speed bonus and low kills earn a danger bonus', () => {
+    const game = createGame();
+    const enemy = addEnemy(game, 'CODE', 100);
+    enemy.speed = 0;
+    const destroyed = record(game, 'enemyDestroyed');
+
+    game.handleInput('C');
+    for (let i = 0; i < SPEED_SLOW * 4; i++) game.step();
+    enemy.y = game.field.height - 1;
+    typeWord(game, 'ODE');
+
+    const { breakdown } = destroyed[0];
+    assert.equal(breakdown.speed, 0);
+    assert.ok(breakdown.danger >= 39);
+    assert.equal(breakdown.perfect, 20);
+});
+
+test('the mission report breakdown adds up to the final score', () => {
+    const game = createGame();
+    ['CODE', 'NODE', 'DATA'].forEach((word, i) => {
+        addEnemy(game, word, 100 + i * 200);
+        typeWord(game, word);
+        game.step();
+    });
+    game.handleInput('#');
+    addEnemy(game, 'GRID', 600);
+    typeWord(game, 'GRID');
+    game.takeDamage(100);
+
+    const { scoring, score } = game.result;
+    assert.equal(sum(scoring), score);
+    assert.equal(scoring.base, 160);
+    assert.equal(scoring.perfectWords, 4);
+});
@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SETTINGS, cleanSettings, isBindableKey, reducedMotion, volumes } from '../core/index.js';
+
+test('missing or corrupt settings fall back to the defaults', () => {
+    assert.deepEqual(cleanSettings(null), DEFAULT_SETTINGS);
+    assert.deepEqual(cleanSettings('nope'), DEFAULT_SETTINGS);
+    assert.deepEqual(cleanSettings({ scanlines: 'yes', particles: 'extreme', shake: 'big' }), DEFAULT_SETTINGS);
+});
+
+test('stored values are kept, clamped and rounded', () => {
+    const settings = cleanSettings({ master: 140, sfx: -5, shake: 152.6, labelSize: 20, vignette: false, particles: 'low' });
+
+    assert.equal(settings.master, 100);
+    assert.equal(settings.sfx, 0);
+    assert.equal(settings.shake, 153);
+    assert.equal(settings.labelSize, 75);
+    assert.equal(settings.vignette, false);
+    assert.equal(settings.particles, 'low');
+    assert.equal(settings.music, DEFAULT_SETTINGS.music); // Untouched
+});
+
+test('only named keys other than Backspace can pause', () => {
+    assert.equal(isBindableKey('Escape'), true);
+    assert.equal(isBindableKey('F1'), true);
+    assert.equal(isBindableKey('p'), false);
+    assert.equal(isBindableKey(' '), false);
+    assert.equal(isBindableKey('Backspace'), false);
+    assert.equal(cleanSettings({ pauseKey: 'q' }).pauseKey, 'Escape');
+    assert.equal(cleanSettings({ pauseKey: 'Tab' }).pauseKey, 'Tab');
+});
+
+test('list settings only take their listed values', () => {
+    const settings = cleanSettings({ motion: 'reduced', palette: 'neon', particles: 'off', announce: false });
+
+    assert.equal(settings.motion, 'reduced');
+    assert.equal(settings.palette, 'standard');
+    assert.equal(settings.particles, 'off');
+    assert.equal(settings.announce, false);
+    assert.equal(cleanSettings({ renderer: 'webgl' }).renderer, 'webgl');
+    assert.equal(cleanSettings({ renderer: 'webgpu' }).renderer, '2d');
+});
+
+test('reduced motion follows the browser preference only on auto', () => {
+    assert.equal(reducedMotion({ motion: 'auto' }, true), true);
+    assert.equal(reducedMotion({ motion: 'auto' }, false), false);
+    assert.equal(reducedMotion({ motion: 'full' }, true), false);
+    assert.equal(reducedMotion({ motion: 'reduced' }, false), true);
+});
+
+test('volumes are bus gains', () => {
+    assert.deepEqual(volumes({ master: 80, sfx: 50, music: 0 }), { master: 0.8, sfx: 0.5, music: 0 });
+});
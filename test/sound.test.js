@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PAN_WIDTH, stereoPan, letterSemitones, pitchRate, parseSoundPack } from '../core/index.js';
+
+test('sounds pan with their x on the field', () => {
+    assert.equal(stereoPan(0, 1280), -PAN_WIDTH);
+    assert.equal(stereoPan(640, 1280), 0);
+    assert.equal(stereoPan(1280, 1280), PAN_WIDTH);
+    assert.equal(stereoPan(5000, 1280), PAN_WIDTH); // Off the field
+});
+
+test('letters climb a pentatonic scale over two octaves', () => {
+    assert.deepEqual('ABCDEFGHIJK'.split('').map(letterSemitones), [0, 3, 5, 7, 10, 12, 15, 17, 19, 22, 0]);
+    assert.equal(letterSemitones('a'), letterSemitones('A'));
+    assert.equal(letterSemitones(undefined), 0);
+    assert.ok(letterSemitones('{') < 24);
+    assert.equal(pitchRate(12), 2);
+});
+
+test('both sprite map formats load', () => {
+    const audiosprite = parseSoundPack(JSON.stringify({ spritemap: { shoot: { start: 0.5, end: 0.75 } } }));
+    const howler = parseSoundPack(JSON.stringify({ sprite: { shoot: [500, 250], lock: [1000, 100] } }));
+
+    assert.deepEqual(audiosprite.sounds, { shoot: { start: 0.5, duration: 0.25 } });
+    assert.deepEqual(howler.sounds, { shoot: { start: 0.5, duration: 0.25 }, lock: { start: 1, duration: 0.1 } });
+    assert.deepEqual(howler.errors, []);
+});
+
+test('unknown sounds and bad timings are skipped with a reason', () => {
+    const { sounds, errors } = parseSoundPack(JSON.stringify({ sprite: { shoot: [0, 100], laser: [0, 100], lock: [0, -5] } }));
+
+    assert.deepEqual(Object.keys(sounds), ['shoot']);
+    assert.deepEqual(errors, ['Unknown sound "laser"', 'Bad timing for "lock"']);
+    assert.equal(parseSoundPack('not json').sounds, null);
+    assert.equal(parseSoundPack('{}').sounds, null);
+});
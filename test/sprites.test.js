@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SPRITE_FLOATS, SpriteBatch, SpriteAtlas, parseColor, blurWeights } from '../client/sprites.js';
+
+const CELL = { u0: 0.1, v0: 0.2, u1: 0.3, v1: 0.4 };
+
+test('a sprite batch packs instances and grows past its capacity', () => {
+    const batch = new SpriteBatch(2);
+    for (let i = 0; i < 5; i++) batch.push(i, 10, 20, 30, 0.5, CELL, [1, 0.5, 0, 1], 1);
+
+    assert.equal(batch.count, 5);
+    assert.equal(batch.view.length, 5 * SPRITE_FLOATS);
+    assert.deepEqual(Array.from(batch.view.subarray(4 * SPRITE_FLOATS)), [
+        4, 10, 20, 30, 0.5, 0.1, 0.2, 0.3, 0.4, 1, 0.5, 0, 1, 1
+    ].map(Math.fround));
+
+    batch.clear();
+    assert.equal(batch.view.length, 0);
+    assert.equal(batch.data.length, 8 * SPRITE_FLOATS); // Kept for the next frame
+});
+
+test('the atlas bakes each key once and reclaims every cell when full', () => {
+    const atlas = new SpriteAtlas(512, 256);
+    const baked = [];
+    const bake = cell => baked.push(cell);
+
+    const a = atlas.lookup('a', bake);
+    assert.equal(atlas.lookup('a', bake), a);
+    ['b', 'c', 'd'].forEach(key => atlas.lookup(key, bake));
+    assert.equal(baked.length, 4);
+    assert.deepEqual([baked[3].x, baked[3].y], [256, 256]);
+    assert.ok(a.u0 > 0 && a.u1 < 0.5); // Inset from the neighbours
+
+    const e = atlas.lookup('e', bake); // Full: starts over
+    assert.deepEqual([e.x, e.y], [0, 0]);
+    atlas.lookup('a', bake);
+    assert.equal(baked.length, 6);
+});
+
+test('css colours parse to 0-1 channels', () => {
+    assert.deepEqual(parseColor('#fff'), [1, 1, 1, 1]);
+    assert.deepEqual(parseColor('#ff0044'), [1, 0, 0x44 / 255, 1]);
+    assert.deepEqual(parseColor('rgba(50, 50, 50, 0.5)'), [50 / 255, 50 / 255, 50 / 255, 0.5]);
+    assert.deepEqual(parseColor('rgb(0, 240, 255)'), [0, 240 / 255, 1, 1]);
+
+    const near = (actual, expected) => actual.forEach((c, i) => assert.ok(Math.abs(c - expected[i]) < 1e-6));
+    near(parseColor('hsl(0, 100%, 50%)'), [1, 0, 0, 1]);
+    near(parseColor('hsl(180, 100%, 25%)'), [0, 0.5, 0.5, 1]);
+    near(parseColor('hsla(15, 100%, 60%, 0.5)'), [1, 0.4, 0.2, 0.5]);
+});
+
+test('blur weights fall off and sum to one over the whole kernel', () => {
+    const weights = blurWeights(5, 2);
+    const total = weights.reduce((sum, w, i) => sum + (i === 0 ? w : 2 * w), 0);
+
+    assert.equal(weights.length, 5);
+    assert.ok(Math.abs(total - 1) < 1e-9);
+    weights.slice(1).forEach((w, i) => assert.ok(w < weights[i]));
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TRAINING, MODEL_DECAY, VOCABULARY, createErrorModel, updateErrorModel, isValidErrorModel, weaknesses,
+    trainingFocus, trainingVocabulary, trainingWords, isValidReplay, runReplay
+} from '../core/index.js';
+import { createGame, addEnemy, typeWord } from './helpers.js';
+
+// Key log of a run where the player types CODE cleanly, then hits R for D and for E
+function sloppyRun() {
+    const game = createGame();
+    addEnemy(game, 'CODE');
+    addEnemy(game, 'EDGE', 50);
+    typeWord(game, 'CODE');
+    typeWord(game, 'ERDGRE');
+    return game.stats.keyLog;
+}
+
+test('a run folds into the error model and older runs fade', () => {
+    const once = updateErrorModel(createErrorModel(), sloppyRun());
+    assert.equal(once.runs, 1);
+    assert.deepEqual(once.keys.E, { presses: 4, errors: 1 });
+    assert.deepEqual(once.keys.D, { presses: 3, errors: 1 });
+    assert.deepEqual(once.keys.C, { presses: 1, errors: 0 });
+
+    const twice = updateErrorModel(once, sloppyRun());
+    assert.equal(twice.runs, 2);
+    assert.equal(twice.keys.E.errors, MODEL_DECAY + 1);
+    assert.equal(isValidErrorModel(JSON.parse(JSON.stringify(twice))), true);
+});
+
+test('malformed error models are rejected', () => {
+    assert.equal(isValidErrorModel(null), false);
+    assert.equal(isValidErrorModel({ runs: 1, keys: { A: { presses: 'x', errors: 0 } }, bigrams: {} }), false);
+    assert.equal(isValidErrorModel({ runs: 1, keys: {}, bigrams: { AB: { count: -1, totalMs: 0 } } }), false);
+});
+
+test('missed keys and slow bigrams count as weaknesses', () => {
+    const model = {
+        runs: 1,
+        keys: { E: { presses: 10, errors: 8 }, C: { presses: 10, errors: 0 } },
+        bigrams: { TH: { count: 5, totalMs: 2500 }, AN: { count: 5, totalMs: 500 } }
+    };
+    const { keys, bigrams } = weaknesses(model);
+
+    assert.ok(keys.E > 0);
+    assert.equal(keys.C, 0);
+    assert.ok(bigrams.TH > 0);
+    assert.equal(bigrams.AN, 0);
+    assert.deepEqual(trainingFocus(model), ['E', 'TH']);
+});
+
+test('training weights words towards weak keys', () => {
+    const model = { runs: 1, keys: { Q: { presses: 10, errors: 8 } }, bigrams: {} };
+    const words = trainingWords([{ word: 'QUIT', weight: 1 }, { word: 'DATA', weight: 1 }, { word: 'quiz', weight: 2 }], model);
+
+    assert.equal(words[1].weight, 1);
+    assert.ok(words[0].weight > 2);
+    assert.equal(words[2].weight, 2 * words[0].weight); // Case does not matter; pack weights carry over
+});
+
+test('with no history every word is equally likely', () => {
+    const words = trainingWords(trainingVocabulary(VOCABULARY.words), createErrorModel());
+
+    assert.ok(words.every(w => w.weight === 1));
+    assert.equal(new Set(words.map(w => w.word)).size, words.length);
+});
+
+test('a training run draws from every list and replays with its weights', () => {
+    const model = { runs: 1, keys: { Z: { presses: 10, errors: 9 } }, bigrams: {} };
+    const game = createGame({ difficulty: TRAINING, words: trainingWords(trainingVocabulary(VOCABULARY.words), model) });
+    assert.equal(game.words.length, trainingVocabulary(VOCABULARY.words).length);
+
+    while (!game.over) game.step();
+    const replay = JSON.parse(JSON.stringify(game.result.replay));
+
+    assert.equal(isValidReplay(replay), true);
+    assert.equal(replay.difficulty, TRAINING);
+    assert.equal(runReplay(replay).verified, true);
+    assert.equal(createGame({ difficulty: TRAINING }).words.length, game.words.length);
+});
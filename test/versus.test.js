@@ -0,0 +1,209 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    KEYBOARD_HALVES, STEAL_BONUS, VERSUS_LEFT, VERSUS_RIGHT, versusVocabulary, isValidReplay, runReplay
+} from '../core/index.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+const LEFT = 300; // x over P1's half of the 1280 wide field
+const RIGHT = 980;
+
+function versusGame(options = {}) {
+    return createGame({ players: 2, ...options });
+}
+
+function place(enemy, x) {
+    enemy.x = enemy.prevX = x;
+    return enemy;
+}
+
+test('every versus word is typed with one half of the keyboard', () => {
+    const [left, right] = KEYBOARD_HALVES;
+    VERSUS_LEFT.forEach(word => assert.ok(word.split('').every(c => left.includes(c)), word));
+    VERSUS_RIGHT.forEach(word => assert.ok(word.split('').every(c => right.includes(c)), word));
+
+    const game = versusGame();
+    assert.equal(game.mode, 'words');
+    assert.deepEqual(game.words, versusVocabulary());
+});
+
+test('each player locks and scores with their own keys', () => {
+    const game = versusGame();
+    const cab = place(addEnemy(game, 'CAB'), LEFT);
+    const joy = place(addEnemy(game, 'JOY'), RIGHT);
+
+    game.handleInput('c');
+    game.handleInput('j');
+    assert.equal(game.pilots[0].lockedTarget, cab);
+    assert.equal(game.pilots[1].lockedTarget, joy);
+    assert.equal(joy.lockedBy, 1);
+
+    typeWord(game, 'AB');
+    assert.equal(cab.markedForDeletion, true);
+    assert.ok(game.pilots[0].score > 0);
+    assert.equal(game.pilots[1].score, 0);
+    assert.equal(game.pilots[1].lockedTarget, joy);
+    assert.equal(game.score, game.pilots[0].score);
+});
+
+test("a player's keys never touch the other player's words or streak", () => {
+    const game = versusGame();
+    place(addEnemy(game, 'JOY'), RIGHT);
+
+    game.handleInput('Q'); // P1 has nothing starting with Q
+    game.handleInput('Backspace'); // Belongs to nobody
+    game.handleInput('J');
+
+    assert.equal(game.pilots[0].stats.keysTyped, 1);
+    assert.equal(game.pilots[0].stats.keysHit, 0);
+    assert.equal(game.pilots[1].stats.currentStreak, 1);
+});
+
+test('a breach damages the player whose word it is, whichever half it crossed', () => {
+    const game = versusGame();
+    place(addEnemy(game, 'HOP', game.field.height - 0.1), LEFT);
+    const damage = record(game, 'damageTaken');
+
+    game.step();
+
+    assert.equal(game.pilots[0].health, 100);
+    assert.equal(game.pilots[1].health, 80);
+    assert.deepEqual(damage, [{ amount: 20, health: 80, player: 1 }]);
+});
+
+test('a missile damages the ship it was fired at, whoever owns its word', () => {
+    const game = versusGame();
+    const ship = game.pilots[1].ship;
+    const missile = addEnemy(game, 'CAB', 100, 'missile');
+    missile.target = 1;
+    missile.aimAt(ship.x, ship.y);
+    missile.y = missile.prevY = ship.y - 0.1;
+    const damage = record(game, 'damageTaken');
+
+    game.step();
+
+    assert.equal(game.pilots[0].health, 100);
+    assert.equal(damage[0].player, 1);
+});
+
+test("intercepting a missile fired at the opponent is a steal worth a bonus", () => {
+    const game = versusGame();
+    const ship = game.pilots[1].ship;
+    const missile = place(addEnemy(game, 'CAB', 100, 'missile'), RIGHT);
+    missile.target = 1;
+    missile.aimAt(ship.x, ship.y);
+    const destroyed = record(game, 'enemyDestroyed');
+
+    typeWord(game, 'CAB');
+
+    const [kill] = destroyed;
+    assert.equal(kill.player, 0);
+    assert.equal(kill.steal, Math.round(kill.breakdown.total * STEAL_BONUS));
+    assert.equal(kill.points, kill.breakdown.total + kill.steal);
+    assert.equal(game.pilots[0].stats.steals, 1);
+    assert.equal(game.pilots[0].stats.stealPoints, kill.steal);
+});
+
+test('boss missiles are fired at either ship and remember which', () => {
+    const game = versusGame();
+    game.spawnBoss();
+    game.boss.y = game.boss.homeY;
+    const fired = record(game, 'bossFired');
+    while (fired.length < 12) game.updateBoss();
+
+    const targets = new Set(fired.map(m => m.target));
+    assert.deepEqual([...targets].sort(), [0, 1]);
+});
+
+test("a player's own word is never a steal, over either half", () => {
+    const game = versusGame();
+    place(addEnemy(game, 'CAB'), RIGHT);
+    const destroyed = record(game, 'enemyDestroyed');
+
+    typeWord(game, 'CAB');
+
+    assert.equal(destroyed[0].player, 0);
+    assert.equal(destroyed[0].steal, 0);
+    assert.equal(game.pilots[0].stats.steals, 0);
+});
+
+test("the opponent's words taken out by an EMP are steals", () => {
+    const game = versusGame();
+    place(addEnemy(game, 'JOY'), LEFT);
+    const emp = place(addEnemy(game, 'WAX'), RIGHT);
+    emp.powerUp = 'emp';
+    const destroyed = record(game, 'enemyDestroyed');
+
+    typeWord(game, 'WAX');
+
+    const [wax, joy] = destroyed;
+    assert.equal(wax.steal, 0);
+    assert.equal(joy.player, 0);
+    assert.equal(joy.steal, Math.round(joy.breakdown.total * STEAL_BONUS));
+    assert.equal(joy.points, joy.breakdown.total + joy.steal);
+    assert.equal(game.pilots[0].stats.steals, 1);
+    assert.equal(game.pilots[0].stats.stealPoints, joy.steal);
+});
+
+test('the match ends when either hull is gone and the higher score wins', () => {
+    const game = versusGame();
+    const over = record(game, 'gameOver');
+    place(addEnemy(game, 'CAB'), LEFT);
+    typeWord(game, 'CAB');
+
+    game.pilots[0].health = 20;
+    place(addEnemy(game, 'WAX', game.field.height - 0.1), LEFT);
+    game.step();
+
+    assert.equal(game.over, true);
+    assert.equal(over.length, 1);
+    const result = over[0];
+    assert.equal(result.players.length, 2);
+    assert.equal(result.players[0].health, 0);
+    assert.equal(result.players[1].health, 100);
+    assert.equal(result.winner, 0);
+    assert.equal(result.score, result.players[0].score + result.players[1].score);
+});
+
+test('a boss segment for the other hand passes the lock to the other player', () => {
+    const game = versusGame();
+    game.spawnBoss();
+    const boss = game.boss;
+    boss.segments = ['CAB', 'JOY', 'WAX'];
+    boss.y = 120;
+
+    typeWord(game, 'CAB');
+    assert.equal(boss.segment, 1);
+    assert.equal(game.pilots[0].lockedTarget, null);
+
+    typeWord(game, 'JOY');
+    assert.equal(game.pilots[1].lockedTarget, null);
+    typeWord(game, 'WAX');
+    assert.equal(boss.markedForDeletion, true);
+});
+
+test('a versus match replays exactly', () => {
+    const game = versusGame({ seed: 42 });
+    while (!game.over) {
+        if (game.tick % 120 === 0) {
+            // Each player types the lowest word on their half of the keyboard
+            game.pilots.forEach(pilot => {
+                const target = game.enemies.filter(e => e.y > 0 && pilot.owns(e.word[0]))
+                    .sort((a, b) => b.y - a.y)[0];
+                if (target) target.word.split('').forEach(c => game.queueInput(c));
+            });
+        }
+        game.step();
+    }
+    const replay = JSON.parse(JSON.stringify(game.result.replay));
+
+    assert.equal(replay.players, 2);
+    assert.equal(replay.words, undefined);
+    assert.equal(isValidReplay(replay), true);
+    assert.equal(isValidReplay({ ...replay, players: 3 }), false);
+
+    const replayed = runReplay(replay);
+    assert.equal(replayed.verified, true);
+    assert.deepEqual(replayed.players.map(p => p.score), game.result.players.map(p => p.score));
+    assert.equal(replayed.winner, game.result.winner);
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WAVES, BOSS_EVERY, INTERMISSION_TICKS, WAVE_HEAL, ENEMY_TYPES, waveDefinition } from '../core/index.js';
+import { createGame, addEnemy, typeWord, record } from './helpers.js';
+
+// Plays the current wave to its end, killing each enemy as soon as it is on screen
+function clearWave(game) {
+    const wave = game.wave;
+    while (game.stats.waves.length < wave) {
+        game.step();
+        game.enemies.filter(e => e.y > 0 && !e.markedForDeletion).forEach(e => typeWord(game, e.word));
+    }
+}
+
+test('scripted waves are well formed and bosses land on every BOSS_EVERY-th wave', () => {
+    WAVES.forEach((def, i) => {
+        const wave = i + 1;
+        assert.ok(def.count > 0 && def.spawnRate > 0 && def.speed > 0, `wave ${wave}`);
+        assert.ok(def.wordLength[0] < def.wordLength[1]);
+        Object.keys(def.types).forEach(type => assert.ok(ENEMY_TYPES[type], type));
+        assert.equal(!!def.boss, wave % BOSS_EVERY === 0);
+    });
+});
+
+test('waves past the script keep getting harder', () => {
+    const last = WAVES[WAVES.length - 1];
+    const next = waveDefinition(WAVES.length + 1);
+    const later = waveDefinition(WAVES.length + 10);
+
+    assert.ok(next.count > last.count);
+    assert.ok(next.speed > last.speed);
+    assert.ok(later.spawnRate <= next.spawnRate);
+    assert.equal(waveDefinition(BOSS_EVERY * 4).boss, true);
+    assert.equal(waveDefinition(BOSS_EVERY * 4 + 1).boss, false);
+});
+
+test('a wave spawns exactly its count on its own cadence', () => {
+    const game = createGame();
+    const spawned = record(game, 'enemySpawned');
+    const { count, spawnRate } = game.waveDef;
+
+    for (let i = 0; i < (spawnRate + 1) * count + 200; i++) game.step();
+
+    assert.equal(spawned.length, count);
+});
+
+test('a wave only ends once its enemies are gone, then heals and pauses', () => {
+    const game = createGame();
+    const cleared = record(game, 'waveCleared');
+    const waves = record(game, 'waveChanged');
+    game.waveSpawned = game.waveDef.count;
+    game.health = 50;
+    addEnemy(game, 'CODE', 100);
+
+    for (let i = 0; i < 50; i++) game.step();
+    assert.equal(cleared.length, 0, 'an enemy is still on the field');
+
+    typeWord(game, 'CODE');
+    game.step();
+
+    assert.equal(cleared.length, 1);
+    assert.equal(cleared[0].wave, 1);
+    assert.equal(cleared[0].kills, 1);
+    assert.equal(cleared[0].breaches, 0);
+    assert.equal(cleared[0].points, game.score);
+    assert.equal(cleared[0].accuracy, 100);
+    assert.equal(game.health, 50 + WAVE_HEAL);
+    assert.deepEqual(game.stats.scoreHistory, [0, game.score]);
+
+    for (let i = 0; i < INTERMISSION_TICKS - 1; i++) game.step();
+    assert.deepEqual(waves, [], 'no spawns or wave change during the intermission');
+    assert.equal(game.enemies.length, 0);
+
+    game.step();
+    assert.deepEqual(waves, [2]);
+    assert.equal(game.wave, 2);
+    assert.equal(game.waveDef, WAVES[1]);
+});
+
+test('breaches count against the wave summary', () => {
+    const game = createGame();
+    const cleared = record(game, 'waveCleared');
+    game.waveSpawned = game.waveDef.count;
+    addEnemy(game, 'CODE', game.field.height + 1);
+
+    game.step();
+    game.step();
+
+    assert.equal(cleared[0].breaches, 1);
+    assert.equal(cleared[0].kills, 0);
+});
+
+test('enemies fall at the wave speed', () => {
+    const game = createGame();
+    game.startWave(4);
+    const enemy = addEnemy(game, 'CODE', 100);
+
+    game.step();
+
+    assert.ok(Math.abs(enemy.y - (100 + enemy.speed * WAVES[3].speed)) < 1e-9);
+});
+
+test('each wave draws its words from its slice of the vocabulary', () => {
+    const words = ['A', 'BB', 'CCC', 'DDDD', 'EEEEE', 'FFFFFF', 'GGGGGGG', 'HHHHHHHH', 'IIIIIIIII', 'JJJJJJJJJJ'];
+    const game = createGame({ words: words.map(word => ({ word, weight: 1 })) });
+
+    const seen = new Set();
+    for (let i = 0; i < 300; i++) seen.add(game.pickWord());
+    assert.deepEqual([...seen].sort(), words.slice(0, 6)); // Wave 1: shortest 60%
+
+    game.startWave(WAVES.length);
+    seen.clear();
+    for (let i = 0; i < 300; i++) seen.add(game.pickWord());
+    assert.deepEqual([...seen].sort(), words.slice(4));
+});
+
+test('clearing waves advances through the script', () => {
+    const game = createGame({ words: [{ word: 'ZAP', weight: 1 }] });
+    const cleared = record(game, 'waveCleared');
+
+    clearWave(game);
+    for (let i = 0; i < INTERMISSION_TICKS; i++) game.step();
+    clearWave(game);
+
+    assert.deepEqual(cleared.map(c => c.wave), [1, 2]);
+    assert.equal(game.stats.waves.length, 2);
+});
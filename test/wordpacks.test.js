@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { importWordPack, wordsForDifficulty, runReplay } from '../core/index.js';
+import { createGame } from './helpers.js';
+
+test('plain text packs take one word per line, upper-cased', () => {
+    const { pack, errors } = importWordPack('# onboarding\nalpha\n\n  Beta  \ngamma\n', 'team-words.txt');
+
+    assert.deepEqual(errors, []);
+    assert.equal(pack.name, 'TEAM-WORDS');
+    assert.deepEqual(pack.words.map(w => w.word), ['ALPHA', 'BETA', 'GAMMA']);
+    assert.ok(pack.words.every(w => w.weight === 1 && w.difficulty === null));
+});
+
+test('JSON packs carry per-word difficulty and weight', () => {
+    const json = JSON.stringify({
+        name: 'Vocab',
+        words: ['api', { word: 'latency', difficulty: 'medium', weight: 3 }, { word: 'idempotent', difficulty: 'hard' }]
+    });
+    const { pack, errors } = importWordPack(json, 'vocab.json');
+
+    assert.deepEqual(errors, []);
+    assert.equal(pack.name, 'VOCAB');
+    assert.deepEqual(pack.words, [
+        { word: 'API', weight: 1, difficulty: null },
+        { word: 'LATENCY', weight: 3, difficulty: 'medium' },
+        { word: 'IDEMPOTENT', weight: 1, difficulty: 'hard' }
+    ]);
+});
+
+test('untypeable, duplicate, empty and malformed entries are skipped with reasons', () => {
+    const json = JSON.stringify(['ok', 'OK', '', 'two words', 'café', { word: 'x', weight: 0 }, { word: 'y', difficulty: 'insane' }]);
+    const { pack, errors } = importWordPack(json, 'bad.json');
+
+    assert.deepEqual(pack.words.map(w => w.word), ['OK']);
+    assert.deepEqual(errors, [
+        'Entry 2: duplicate "OK"',
+        'Entry 3: empty entry',
+        'Entry 4: "TWO WORDS" contains characters that can\'t be typed',
+        'Entry 5: "CAFÉ" contains characters that can\'t be typed',
+        'Entry 6: weight must be a positive number',
+        'Entry 7: unknown difficulty "insane"'
+    ]);
+});
+
+test('a pack with nothing usable is rejected', () => {
+    assert.equal(importWordPack('\n\n', 'empty.txt').pack, null);
+    assert.equal(importWordPack('{ not json', 'broken.json').pack, null);
+    assert.equal(importWordPack('{"words": 3}', 'odd.json').pack, null);
+});
+
+test('difficulty filtering keeps untagged words and falls back to the whole pack', () => {
+    const { pack } = importWordPack(JSON.stringify([
+        'any', { word: 'short', difficulty: 'easy' }, { word: 'longer', difficulty: 'hard', weight: 2 }
+    ]), 'p.json');
+
+    assert.deepEqual(wordsForDifficulty(pack, 'hard'), [{ word: 'ANY', weight: 1 }, { word: 'LONGER', weight: 2 }]);
+    assert.deepEqual(wordsForDifficulty(pack, 'medium'), [{ word: 'ANY', weight: 1 }]);
+
+    const { pack: hardOnly } = importWordPack(JSON.stringify([{ word: 'deep', difficulty: 'hard' }]), 'h.json');
+    assert.deepEqual(wordsForDifficulty(hardOnly, 'easy'), [{ word: 'DEEP', weight: 1 }]);
+});
+
+test('the spawner only uses the custom words, honouring weights', () => {
+    const game = createGame({ words: [{ word: 'RARE', weight: 1 }, { word: 'COMMON', weight: 9 }] });
+    const counts = { RARE: 0, COMMON: 0 };
+    for (let i = 0; i < 2000; i++) counts[game.spawnEnemy().word]++;
+
+    assert.ok(counts.COMMON > counts.RARE * 5);
+    assert.ok(counts.RARE > 0);
+});
+
+test('custom words are saved in the replay and reused on playback', () => {
+    const words = [{ word: 'ZAP', weight: 1 }];
+    const game = createGame({ words });
+    while (!game.over) game.step();
+
+    assert.deepEqual(game.result.replay.words, words);
+    assert.equal(runReplay(JSON.parse(JSON.stringify(game.result.replay))).verified, true);
+});